@@ -1,57 +1,129 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 
-// Gemini (Embedding only)
-import { initGemini, verifyGeminiApiKey, getEmbedding, getEmbeddingsBatch } from './lib/gemini';
-
-// Groq (Chat & Vision)
-import { initGroq, verifyGroqApiKey, chatWithGroq, analyzeQueryIntent } from './lib/groq';
-
-// PDF & DB (with OCR support)
-import { parsePDFSmart } from './lib/pdf';
+// Embedding providers (Gemini / OpenAI-compatible)
+import {
+  initEmbeddingProvider,
+  getEmbedding,
+  getEmbeddingInfo,
+  getDocumentEmbeddingInfo,
+  isSameEmbeddingSpace
+} from './lib/embeddings';
+import { formatEmbeddingSpace } from './lib/embeddingSpace';
+
+// Chat & Vision (Groq by default, per-task providers configurable)
+import { initGroq, verifyGroqApiKey, streamChatWithGroq, analyzeQueryIntent } from './lib/groq';
+import { configureLLM, setProviderCredential } from './lib/llm';
+import { applyConversationMemory, updateConversationMemory } from './lib/memory';
+import { applyIntentFilters } from './lib/queryIntent';
+import { isRelevantResult } from './lib/lexical';
+
+// Citations
+import { buildCitationSources, extractCitations } from './lib/citations';
+import { EMPTY_DOCUMENT_FILTER, isDocumentFilterActive, collectTags } from './lib/documentFilter';
+
+// Background ingestion queue (parsing, OCR, embedding) & DB
+import {
+  startIngestQueue,
+  subscribeIngest,
+  enqueueFiles,
+  enqueueVersion,
+  pauseJob,
+  resumeJob,
+  cancelJob
+} from './lib/ingest';
+import { getAcceptedFileTypes } from './lib/parsers';
+import {
+  getReindexJob,
+  subscribeReindex,
+  restoreReindex,
+  startReindex,
+  pauseReindex,
+  resumeReindex,
+  cancelReindex
+} from './lib/reindex';
 import {
-  saveDocument,
+  getIngestJobStatuses,
   getAllDocuments,
   clearAllData,
   searchChunks,
+  searchChunksHybrid,
   deleteDocument,
   deleteCategory,
   updateCategory,
+  updateDocumentMetadata,
   saveChatMessage,
   getChatHistory,
   clearChatHistory,
-  getStorageStats
+  getStorageStats,
+  getSetting,
+  saveSetting,
+  createSession,
+  getSessions,
+  updateSession,
+  renameSession,
+  setSessionPinned,
+  deleteSession,
+  getTrashEntries,
+  restoreFromTrash,
+  purgeTrashEntries,
+  emptyTrash,
+  purgeExpiredTrash
 } from './lib/db';
 
 // Components
 import LoginScreen from './components/LoginScreen';
 import Sidebar from './components/Sidebar';
 import ChatPanel from './components/ChatPanel';
+import UndoToast from './components/UndoToast';
 import UploadModal from './components/Modals/UploadModal';
 import TechSpecsModal from './components/Modals/TechSpecsModal';
 import PDFPageAnalyzer from './components/Modals/PDFPageAnalyzer';
 import ExportImportModal from './components/Modals/ExportImportModal';
+import ModelSettingsModal from './components/Modals/ModelSettingsModal';
+import ReindexModal from './components/Modals/ReindexModal';
+import DocumentVersionsModal from './components/Modals/DocumentVersionsModal';
+import DocumentMetadataModal from './components/Modals/DocumentMetadataModal';
+import RetrievalDebuggerModal from './components/Modals/RetrievalDebuggerModal';
+import EvaluationModal from './components/Modals/EvaluationModal';
+
+// 垃圾桶預設保留天數
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
 
 export default function App() {
   // Auth State
   const [isAuthorized, setIsAuthorized] = useState(false);
   const [isVerifying, setIsVerifying] = useState(false);
-  const [verificationStep, setVerificationStep] = useState(''); // 'gemini' | 'groq'
-  const [groqApiKey, setGroqApiKey] = useState(''); // 保存用於 OCR
+  const [verificationStep, setVerificationStep] = useState(''); // 'embedding' | 'groq'
 
   // Documents State
   const [documents, setDocuments] = useState([]);
   const [selectedCategories, setSelectedCategories] = useState([]);
+  const [selectedDocIds, setSelectedDocIds] = useState([]);
+  const [documentFilter, setDocumentFilter] = useState(EMPTY_DOCUMENT_FILTER);
   const [expandedCategories, setExpandedCategories] = useState({});
+  const [ingestJobs, setIngestJobs] = useState([]);
+  const [reindexJob, setReindexJob] = useState(null);
+  const [trashEntries, setTrashEntries] = useState([]);
+  const [trashRetentionDays, setTrashRetentionDays] = useState(DEFAULT_TRASH_RETENTION_DAYS);
+  const [undoToast, setUndoToast] = useState(null);
 
   // Chat State
+  const [sessions, setSessions] = useState([]);
+  const [activeSessionId, setActiveSessionId] = useState(null);
   const [chatHistory, setChatHistory] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
   const [lastChunks, setLastChunks] = useState([]);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const abortControllerRef = useRef(null);
+  // 同一次繪製內連續送出時 isProcessing 尚未更新，以 ref 立即擋下重複送出
+  const sendingRef = useRef(false);
 
   // UI State
   const [isProcessing, setIsProcessing] = useState(false);
   const [status, setStatus] = useState({ type: 'info', message: '' });
   const [similarityThreshold, setSimilarityThreshold] = useState(0.25);
+  const [searchMode, setSearchMode] = useState('vector'); // 'vector' | 'hybrid'
+  const [includeHistory, setIncludeHistory] = useState(false);
   const [storageStats, setStorageStats] = useState(null);
 
   // Modal State
@@ -59,16 +131,92 @@ export default function App() {
   const [showTechSpecs, setShowTechSpecs] = useState(false);
   const [showPageAnalyzer, setShowPageAnalyzer] = useState(false);
   const [showExportImport, setShowExportImport] = useState(false);
+  const [showModelSettings, setShowModelSettings] = useState(false);
+  const [showReindex, setShowReindex] = useState(false);
+  const [showRetrievalDebugger, setShowRetrievalDebugger] = useState(false);
+  const [showEvaluation, setShowEvaluation] = useState(false);
+  const [versionsDocId, setVersionsDocId] = useState(null);
+  const [metadataDocId, setMetadataDocId] = useState(null);
+
+  // 上傳新版本用的檔案選擇器
+  const versionInputRef = useRef(null);
+  const versionTargetRef = useRef(null);
 
   // Load data on auth
   useEffect(() => {
     if (isAuthorized) {
       loadDocs();
-      loadChatHistory();
+      loadSessions(true);
       loadStorageStats();
+      loadTrash(true);
     }
   }, [isAuthorized]);
 
+  // 背景匯入佇列：登入後啟動並繼續上次未完成的工作
+  useEffect(() => {
+    if (!isAuthorized) return;
+
+    const unsubscribe = subscribeIngest(async (event) => {
+      if (event.type === 'completed') {
+        await loadDocs();
+        await loadStorageStats();
+        const ocrInfo = event.job.stats?.ocrUsed ? ` (OCR: ${event.job.stats.ocrPages} 頁)` : '';
+        const versionInfo = event.version ? `，已更新為第 ${event.version} 版` : '';
+        setStatus({
+          type: 'success',
+          message: `「${event.job.fileName}」處理完成！共 ${event.job.total} 個區塊${versionInfo}${ocrInfo}`
+        });
+      } else if (event.type === 'failed') {
+        setStatus({ type: 'error', message: `「${event.job.fileName}」處理失敗: ${event.error.message}` });
+      }
+      await loadIngestJobs();
+    });
+
+    startIngestQueue();
+    return unsubscribe;
+  }, [isAuthorized]);
+
+  // 重新向量化：登入後繼續上次未完成的工作
+  useEffect(() => {
+    if (!isAuthorized) return;
+
+    const unsubscribe = subscribeReindex(async (event) => {
+      if (event.type === 'completed') {
+        await loadDocs();
+        setStatus({
+          type: 'success',
+          message: `重新向量化完成：${event.result.documentCount} 份文件、${event.result.chunkCount} 個區塊` +
+            (event.switched ? `，查詢已切換為 ${formatEmbeddingSpace(getEmbeddingInfo())}` : '')
+        });
+      } else if (event.type === 'failed') {
+        setStatus({ type: 'error', message: `重新向量化失敗: ${event.error.message}` });
+      }
+      setReindexJob(await getReindexJob());
+    });
+
+    restoreReindex();
+    return unsubscribe;
+  }, [isAuthorized]);
+
+  // 記住每個對話勾選的分類、文件與文件篩選條件
+  useEffect(() => {
+    if (activeSessionId != null) {
+      updateSession(activeSessionId, { selectedCategories });
+    }
+  }, [selectedCategories]);
+
+  useEffect(() => {
+    if (activeSessionId != null) {
+      updateSession(activeSessionId, { selectedDocIds });
+    }
+  }, [selectedDocIds]);
+
+  useEffect(() => {
+    if (activeSessionId != null) {
+      updateSession(activeSessionId, { documentFilter });
+    }
+  }, [documentFilter]);
+
   // Grouped documents
   const groupedDocs = useMemo(() => {
     const groups = {};
@@ -81,6 +229,22 @@ export default function App() {
   }, [documents]);
 
   const categoryList = Object.keys(groupedDocs);
+  const allTags = useMemo(() => collectTags(documents), [documents]);
+
+  // 搜尋範圍：勾選的分類與個別勾選的文件取聯集（已刪除的文件不計）；都未勾選時為 null（搜尋全部）
+  const scopedDocs = useMemo(() => documents.filter(d => selectedDocIds.includes(d.id)), [documents, selectedDocIds]);
+  const scopeDocIds = useMemo(() => {
+    if (selectedCategories.length === 0 && scopedDocs.length === 0) return null;
+    return documents
+      .filter(d => selectedCategories.includes(d.category) || selectedDocIds.includes(d.id))
+      .map(d => d.id);
+  }, [documents, selectedCategories, selectedDocIds, scopedDocs]);
+
+  // 與目前查詢向量空間不同的文件（搜尋時會被排除）
+  const mismatchedDocCount = useMemo(() => {
+    const embeddingInfo = getEmbeddingInfo();
+    return documents.filter(d => !isSameEmbeddingSpace(getDocumentEmbeddingInfo(d), embeddingInfo)).length;
+  }, [documents]);
 
   // Data loading functions
   const loadDocs = async () => {
@@ -88,9 +252,64 @@ export default function App() {
     setDocuments(docs);
   };
 
-  const loadChatHistory = async () => {
-    const history = await getChatHistory();
-    setChatHistory(history.map(h => ({ role: h.role, content: h.content })));
+  // 載入對話清單（至少保留一個對話）；restoreActive 時還原上次使用的對話
+  const loadSessions = async (restoreActive = false) => {
+    let list = await getSessions();
+    if (list.length === 0) {
+      await createSession();
+      list = await getSessions();
+    }
+    setSessions(list);
+
+    if (restoreActive) {
+      const savedId = await getSetting('activeSessionId');
+      const target = list.find(s => s.id === savedId) || list[0];
+      await switchSession(target.id);
+    }
+    return list;
+  };
+
+  const switchSession = async (sessionId) => {
+    const list = await getSessions();
+    const session = list.find(s => s.id === sessionId);
+    if (!session) return;
+
+    setSessions(list);
+    setActiveSessionId(session.id);
+    setSelectedCategories(session.selectedCategories || []);
+    setSelectedDocIds(session.selectedDocIds || []);
+    setDocumentFilter({ ...EMPTY_DOCUMENT_FILTER, ...session.documentFilter });
+    setLastChunks(session.lastChunks || []);
+    await saveSetting('activeSessionId', session.id);
+    await loadChatHistory(session.id);
+  };
+
+  const loadChatHistory = async (sessionId) => {
+    const history = await getChatHistory(sessionId);
+    setChatHistory(history.map(h => ({
+      id: h.id,
+      role: h.role,
+      content: h.content,
+      citations: h.citations,
+      uncited: h.uncited,
+      stopped: h.stopped,
+      retrieval: h.retrieval
+    })));
+  };
+
+  // 佇列狀態只取顯示需要的欄位（不含檔案與解析結果，見 getIngestJobStatuses）
+  const loadIngestJobs = async () => {
+    setIngestJobs(await getIngestJobStatuses());
+  };
+
+  // 載入垃圾桶；purgeExpired 時先清除超過保留期限的項目
+  const loadTrash = async (purgeExpired = false) => {
+    if (purgeExpired) {
+      const days = await getSetting('trashRetentionDays', DEFAULT_TRASH_RETENTION_DAYS);
+      setTrashRetentionDays(days);
+      await purgeExpiredTrash(days);
+    }
+    setTrashEntries(await getTrashEntries());
   };
 
   const loadStorageStats = async () => {
@@ -98,26 +317,49 @@ export default function App() {
     setStorageStats(stats);
   };
 
-  // Auth handler - verify both API keys
-  const handleStart = async (geminiKey, groqKey) => {
+  // Auth handler - verify embedding provider & Groq API key
+  const handleStart = async (embeddingConfig, groqKey) => {
     setIsVerifying(true);
 
     try {
-      // Step 1: Verify Gemini
-      setVerificationStep('gemini');
-      setStatus({ type: 'info', message: '驗證 Gemini API Key...' });
-      await verifyGeminiApiKey(geminiKey);
-      initGemini(geminiKey);
+      // Step 1: Verify embedding provider
+      setVerificationStep('embedding');
+      setStatus({ type: 'info', message: '驗證向量化服務...' });
+      // 沿用重新向量化後切換的輸出維度
+      const saved = await getSetting('embeddingProvider');
+      const embeddingInfo = await initEmbeddingProvider({
+        ...embeddingConfig,
+        dimension: saved?.provider === embeddingConfig.provider ? saved.dimension : undefined
+      });
+
+      // 只記住 provider / 端點 / 模型 / 維度，不保存 API Key
+      await saveSetting('embeddingProvider', {
+        provider: embeddingConfig.provider,
+        baseUrl: embeddingConfig.baseUrl || '',
+        model: embeddingConfig.model || '',
+        dimension: embeddingInfo.dimension
+      });
 
       // Step 2: Verify Groq
       setVerificationStep('groq');
       setStatus({ type: 'info', message: '驗證 Groq API Key...' });
       await verifyGroqApiKey(groqKey);
       initGroq(groqKey);
-      setGroqApiKey(groqKey); // 保存用於 OCR
+
+      // 各任務的模型設定（Gemini 向量化的 Key 也可供 Gemini 對話模型使用）
+      configureLLM(await getSetting('llmTasks', {}));
+      if (embeddingConfig.provider === 'gemini') {
+        setProviderCredential('gemini', embeddingConfig.apiKey);
+      }
+
+      // 不同向量模型產生的向量無法互相比較
+      const docs = await getAllDocuments();
+      const mismatched = docs.filter(d => !isSameEmbeddingSpace(getDocumentEmbeddingInfo(d), embeddingInfo));
 
       // Success
-      setStatus({ type: 'success', message: '驗證成功！' });
+      setStatus(mismatched.length > 0
+        ? { type: 'info', message: `驗證成功！注意：${mismatched.length} 份文件由其他向量模型建立，需重新向量化後才能被搜尋` }
+        : { type: 'success', message: '驗證成功！' });
       setIsAuthorized(true);
 
     } catch (err) {
@@ -128,166 +370,316 @@ export default function App() {
     }
   };
 
-  // Upload handler (with OCR support)
-  const handleUploadProcess = async (file, category) => {
-    setIsProcessing(true);
-
-    try {
-      setStatus({ type: 'info', message: '偵測 PDF 類型...' });
-
-      // 使用智能解析（自動偵測並啟用 OCR）
-      const result = await parsePDFSmart(file, groqApiKey, (progress) => {
-        if (progress.stage === 'detecting') {
-          setStatus({ type: 'info', message: progress.message });
-        } else if (progress.stage === 'ocr_detected') {
-          setStatus({ type: 'info', message: `偵測為圖片型 PDF，啟用 OCR...` });
-        } else if (progress.stage === 'text_detected') {
-          setStatus({ type: 'info', message: '偵測為文字型 PDF...' });
-        } else if (progress.stage === 'parsing') {
-          setStatus({ type: 'info', message: progress.message });
-        } else if (progress.stage === 'ocr') {
-          setStatus({ type: 'info', message: progress.message });
-        } else if (progress.stage === 'ocr_start') {
-          setStatus({ type: 'info', message: progress.message });
-        }
-      });
-
-      const textChunks = result.chunks;
-
-      if (textChunks.length === 0) {
-        throw new Error('無法從 PDF 提取文字（文字層為空且 OCR 失敗）');
-      }
+  // Upload handler - 加入背景佇列，處理期間仍可繼續對話
+  const handleUploadProcess = async (files, category) => {
+    await enqueueFiles(files, category);
+    setStatus({ type: 'info', message: `已加入處理佇列：${files.length} 個檔案` });
+  };
 
-      // 顯示統計
-      const ocrInfo = result.stats.ocrUsed
-        ? ` (OCR: ${result.stats.ocrPages} 頁)`
-        : '';
-      setStatus({ type: 'info', message: `使用 Gemini 向量化 ${textChunks.length} 個區塊${ocrInfo}...` });
+  // 新版本：選擇檔案後加入佇列，完成後取代目前版本（舊版本保留於版本記錄）
+  const handleUploadVersion = (doc) => {
+    versionTargetRef.current = doc;
+    versionInputRef.current?.click();
+  };
 
-      const embeddings = await getEmbeddingsBatch(
-        textChunks,
-        (progress) => {
-          setStatus({ type: 'info', message: progress.message });
-        }
-      );
-
-      const processed = textChunks.map((text, i) => ({
-        content: text,
-        embedding: embeddings[i],
-        metadata: {
-          fileName: file.name,
-          ocrUsed: result.stats.ocrUsed
-        }
-      }));
+  const handleVersionFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    const doc = versionTargetRef.current;
+    e.target.value = '';
+    if (!file || !doc) return;
 
-      await saveDocument(file.name, category, processed);
-      await loadDocs();
-      await loadStorageStats();
+    await enqueueVersion(file, doc);
+    setStatus({ type: 'info', message: `已加入處理佇列：「${doc.name}」的新版本` });
+  };
 
-      const successMsg = result.stats.ocrUsed
-        ? `處理完成！共 ${processed.length} 個區塊 (OCR: ${result.stats.ocrPages} 頁)`
-        : `處理完成！共 ${processed.length} 個區塊`;
-      setStatus({ type: 'success', message: successMsg });
+  const handlePauseJob = (jobId) => pauseJob(jobId);
+  const handleResumeJob = (jobId) => resumeJob(jobId);
 
-    } catch (err) {
-      setStatus({ type: 'error', message: `錯誤: ${err.message}` });
-    } finally {
-      setIsProcessing(false);
-    }
+  const handleCancelJob = async (job) => {
+    if (!confirm(`確定要取消處理「${job.fileName}」嗎？已完成的向量化進度將一併刪除。`)) return;
+    await cancelJob(job.id);
   };
 
   // Chat handler - uses Groq
   const handleSendMessage = async (message) => {
-    if (!message.trim() || isProcessing) return;
+    if (!message.trim() || isProcessing || sendingRef.current) return;
 
+    // 在第一個 await 之前標記處理中
+    sendingRef.current = true;
+    setIsProcessing(true);
     setInputMessage('');
 
-    // Add user message
-    const userMessage = { role: 'user', content: message };
-    setChatHistory(prev => [...prev, userMessage]);
-    await saveChatMessage(userMessage);
+    try {
+      // Add user message
+      const sessionId = activeSessionId;
+      const userMessage = { role: 'user', content: message };
+      setChatHistory(prev => [...prev, userMessage]);
+      // 訊息 id 用來判斷是否已併入對話記憶
+      const userMessageId = await saveChatMessage({ ...userMessage, sessionId });
+      setChatHistory(prev => prev.map(m => (m === userMessage ? { ...m, id: userMessageId } : m)));
+
+      // 新對話以第一個問題作為標題
+      const session = sessions.find(s => s.id === sessionId);
+      if (chatHistory.length === 0 && session?.title === '新對話') {
+        await renameSession(sessionId, message.slice(0, 30));
+      }
 
-    setIsProcessing(true);
-    setStatus({ type: 'info', message: 'Llama 4 處理中...' });
+      // 已併入對話記憶的較早訊息改以摘要提供給模型
+      const { summary, history } = applyConversationMemory(chatHistory, session?.memory);
+
+      setStatus({ type: 'info', message: 'Llama 4 處理中...' });
 
-    try {
       // Analyze intent using Groq
-      const intent = await analyzeQueryIntent(message, chatHistory);
+      const intent = await analyzeQueryIntent(message, history, { summary, documents });
       let chunks = lastChunks;
+      // 改寫結果為空時以原始問題檢索
+      const query = intent.newQuery || message;
+
+      // 檢索過程記錄在助理訊息上（區塊 id 與分數在 citations 中），供「來源」面板說明回答依據
+      const retrieval = {
+        intent: intent.type,
+        query,
+        searchMode: intent.type === 'search' ? searchMode : null,
+        threshold: similarityThreshold,
+        ...(intent.filters.language && { language: intent.filters.language }),
+        ...(intent.fallback && { intentError: intent.fallback })
+      };
 
       if (intent.type === 'search') {
-        // Get filter IDs
-        const filterIds = selectedCategories.length > 0
-          ? documents.filter(d => selectedCategories.includes(d.category)).map(d => d.id)
-          : null;
-
         // Get embedding using Gemini
         setStatus({ type: 'info', message: '向量化查詢...' });
-        const vec = await getEmbedding(intent.newQuery);
-        const results = await searchChunks(vec, filterIds);
-
-        // Check threshold
-        if (!results[0] || results[0].similarity < similarityThreshold) {
-          const noResultMsg = { role: 'assistant', content: '知識庫中無相關資訊。請嘗試換個問法或上傳相關文件。' };
-          setChatHistory(prev => [...prev, noResultMsg]);
-          await saveChatMessage(noResultMsg);
+        const vec = await getEmbedding(query);
+        // 只與同一向量空間的文件比較；混合模式的關鍵字部分同時使用原始問題，保留使用者逐字輸入的料號與錯誤碼
+        const space = getEmbeddingInfo();
+        // 問題中提到的分類、文件與日期範圍，在側欄的搜尋範圍內再自動縮小
+        const scoped = applyIntentFilters(intent.filters, documents, { scopeDocIds, documentFilter });
+        if (scoped.applied) retrieval.filters = scoped.applied;
+        const searchOptions = { space, includeHistory, documentFilter: scoped.documentFilter };
+        const results = searchMode === 'hybrid'
+          ? await searchChunksHybrid(`${message} ${query}`, vec, scoped.scopeDocIds, 5, searchOptions)
+          : await searchChunks(vec, scoped.scopeDocIds, 5, searchOptions);
+
+        // Check threshold（混合模式下，關鍵字涵蓋大部分查詢詞的區塊不受相似度門檻限制）
+        const isRelevant = results.some(r => isRelevantResult(r, similarityThreshold));
+        if (!isRelevant) {
+          const noResultMsg = {
+            role: 'assistant',
+            content: isDocumentFilterActive(scoped.documentFilter) || scoped.applied
+              ? '符合文件篩選條件的文件中無相關資訊。請調整篩選條件或換個問法。'
+              : '知識庫中無相關資訊。請嘗試換個問法或上傳相關文件。',
+            citations: buildCitationSources(results),
+            retrieval
+          };
+          const noResultId = await saveChatMessage({ ...noResultMsg, sessionId });
+          setChatHistory(prev => [...prev, { ...noResultMsg, id: noResultId }]);
           setStatus({ type: 'info', message: '就緒' });
-          setIsProcessing(false);
           return;
         }
 
         chunks = results;
         setLastChunks(results);
+        await updateSession(sessionId, {
+          lastChunks: results.map(({ embedding, ...rest }) => rest)
+        });
       }
 
-      // Generate response using Groq
+      // Generate response using Groq (streaming)
       setStatus({ type: 'info', message: 'Llama 4 生成回答...' });
-      const aiResponse = await chatWithGroq(
-        intent.newQuery || message,
-        chunks,
-        chatHistory
-      );
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+      setChatHistory(prev => [...prev, { role: 'assistant', content: '', streaming: true }]);
+      setIsStreaming(true);
+
+      let aiResponse = '';
+      let stopped = false;
+      // 超過上下文上限時，分數最低的區塊不會放入提示，引用只對應實際放入的區塊
+      let promptChunks = chunks;
+      try {
+        const stream = streamChatWithGroq(
+          query,
+          chunks,
+          history,
+          {
+            signal: controller.signal,
+            summary,
+            language: intent.filters.language,
+            onContext: (used) => { promptChunks = used; }
+          }
+        );
+        for await (const delta of stream) {
+          aiResponse += delta;
+          updateStreamingMessage({ content: aiResponse });
+        }
+      } catch (err) {
+        if (err.name !== 'AbortError') throw err;
+        stopped = true;
+      } finally {
+        abortControllerRef.current = null;
+        setIsStreaming(false);
+      }
 
-      const assistantMessage = { role: 'assistant', content: aiResponse };
-      setChatHistory(prev => [...prev, assistantMessage]);
-      await saveChatMessage(assistantMessage);
-      setStatus({ type: 'info', message: '就緒' });
+      // 對應引用標記；檢索回答中沒有任何有效引用時標記提醒
+      const citations = buildCitationSources(promptChunks);
+      const { cited } = extractCitations(aiResponse, citations.length);
+      const assistantMessage = {
+        role: 'assistant',
+        content: aiResponse || '（已停止生成）',
+        citations,
+        uncited: !stopped && intent.type === 'search' && citations.length > 0 && cited.length === 0,
+        retrieval: { ...retrieval, omitted: chunks.length - promptChunks.length },
+        ...(stopped && { stopped: true })
+      };
+
+      // 串流結束後才寫入資料庫
+      const assistantId = await saveChatMessage({ ...assistantMessage, sessionId });
+      setChatHistory(prev => prev.map(m => (m.streaming ? { ...assistantMessage, id: assistantId } : m)));
+      setStatus({ type: 'info', message: stopped ? '已停止生成' : '就緒' });
+
+      // 在背景將較早的訊息併入對話記憶，完成後更新對話清單中的摘要
+      updateConversationMemory(sessionId).then(memory => memory && loadSessions());
 
     } catch (err) {
       const errorMessage = { role: 'assistant', content: `錯誤: ${err.message}` };
-      setChatHistory(prev => [...prev, errorMessage]);
+      setChatHistory(prev => [...prev.filter(m => !m.streaming), errorMessage]);
       setStatus({ type: 'error', message: err.message });
     } finally {
+      sendingRef.current = false;
       setIsProcessing(false);
+      await loadSessions();
     }
   };
 
+  // 更新串流中的助理訊息
+  const updateStreamingMessage = (patch) => {
+    setChatHistory(prev => prev.map(m => (m.streaming ? { ...m, ...patch } : m)));
+  };
+
+  const handleStopGenerating = () => {
+    abortControllerRef.current?.abort();
+  };
+
   // Clear chat handler
   const handleClearChat = async () => {
     if (!confirm('確定要清除所有對話記錄嗎？')) return;
 
-    await clearChatHistory();
+    await clearChatHistory(activeSessionId);
+    await updateSession(activeSessionId, { lastChunks: [], memory: null });
     setChatHistory([]);
     setLastChunks([]);
     setStatus({ type: 'info', message: '對話已清除' });
     await loadStorageStats();
   };
 
-  // Document handlers
+  // Session handlers
+  const handleSelectSession = async (sessionId) => {
+    if (isProcessing || sessionId === activeSessionId) return;
+    await switchSession(sessionId);
+  };
+
+  const handleCreateSession = async () => {
+    if (isProcessing) return;
+    const sessionId = await createSession();
+    await switchSession(sessionId);
+  };
+
+  const handleRenameSession = async (session) => {
+    const title = prompt('請輸入對話名稱：', session.title);
+    if (title && title.trim() && title !== session.title) {
+      await renameSession(session.id, title.trim());
+      await loadSessions();
+    }
+  };
+
+  const handleDeleteSession = async (session) => {
+    if (isProcessing) return;
+    if (!confirm(`確定要刪除對話「${session.title}」及其所有訊息嗎？`)) return;
+    await deleteSession(session.id);
+    const list = await loadSessions();
+    if (session.id === activeSessionId) {
+      await switchSession(list[0].id);
+    }
+    await loadStorageStats();
+  };
+
+  const handleTogglePinSession = async (session) => {
+    await setSessionPinned(session.id, !session.pinned);
+    await loadSessions();
+  };
+
+  // Document handlers - 刪除的文件移至垃圾桶，可立即復原
   const handleDeleteDoc = async (id, name) => {
-    if (!confirm(`確定要刪除「${name}」嗎？`)) return;
-    await deleteDocument(id);
+    const trashId = await deleteDocument(id);
+    await afterMoveToTrash(trashId, `已將「${name}」移至垃圾桶`);
+  };
+
+  const handleDeleteCategory = async (name) => {
+    if (!confirm(`確定要刪除分類「${name}」及其所有文件嗎？文件會移至垃圾桶。`)) return;
+    const trashId = await deleteCategory(name);
+    await afterMoveToTrash(trashId, `已將分類「${name}」移至垃圾桶`);
+  };
+
+  const afterMoveToTrash = async (trashId, message) => {
     await loadDocs();
+    await loadTrash();
     await loadStorageStats();
+    if (trashId != null) setUndoToast({ trashId, message });
   };
 
-  const handleDeleteCategory = async (name) => {
-    if (!confirm(`確定要刪除分類「${name}」及其所有文件嗎？`)) return;
-    await deleteCategory(name);
+  const handleSaveMetadata = async (docId, metadata) => {
+    try {
+      await updateDocumentMetadata(docId, metadata);
+      await loadDocs();
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message });
+    }
+  };
+
+  // Trash handlers
+  const handleRestoreTrash = async (trashId) => {
+    setUndoToast(null);
+    try {
+      const result = await restoreFromTrash(trashId);
+      setStatus({ type: 'success', message: `已還原 ${result.documentCount} 份文件` });
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message });
+    }
     await loadDocs();
+    await loadTrash();
     await loadStorageStats();
   };
 
+  const handlePurgeTrashEntry = async (entry) => {
+    if (!confirm(`確定要永久刪除「${entry.name}」嗎？此操作無法復原！`)) return;
+    await purgeTrashEntries([entry.id]);
+    if (undoToast?.trashId === entry.id) setUndoToast(null);
+    await loadTrash();
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!confirm('確定要清空垃圾桶嗎？此操作無法復原！')) return;
+    await emptyTrash();
+    setUndoToast(null);
+    await loadTrash();
+  };
+
+  const handleTrashRetentionChange = async (days) => {
+    setTrashRetentionDays(days);
+    await saveSetting('trashRetentionDays', days);
+    await loadTrash(true);
+  };
+
+  // 只與單一文件對話：取代目前勾選的分類與文件
+  const handleChatWithDoc = (doc) => {
+    setSelectedCategories([]);
+    setSelectedDocIds([doc.id]);
+    setStatus({ type: 'info', message: `搜尋範圍：「${doc.name}」` });
+  };
+
+  const handleClearScope = () => {
+    setSelectedCategories([]);
+    setSelectedDocIds([]);
+  };
+
   const handleRenameCategory = async (oldName) => {
     const newName = prompt('請輸入新的分類名稱：', oldName);
     if (newName && newName !== oldName) {
@@ -297,19 +689,46 @@ export default function App() {
   };
 
   const handleClearAll = async () => {
-    if (!confirm('確定要清空所有資料嗎？此操作無法復原！')) return;
-    await clearAllData();
-    await loadDocs();
-    setChatHistory([]);
-    setLastChunks([]);
-    await loadStorageStats();
+    if (!confirm('確定要清空所有資料嗎？對話記錄將永久刪除，文件會移至垃圾桶。')) return;
+    // 先停止處理中的匯入與重新向量化工作
+    for (const job of ingestJobs) {
+      await cancelJob(job.id);
+    }
+    await cancelReindex();
+    const trashId = await clearAllData();
+    await loadSessions(true);
+    await afterMoveToTrash(trashId, '已清空所有資料，文件已移至垃圾桶');
     setStatus({ type: 'info', message: '已清空所有資料' });
   };
 
+  // Re-embedding handlers
+  const handleStartReindex = async (docIds, target) => {
+    try {
+      await startReindex({ docIds, target });
+      setStatus({ type: 'info', message: `開始重新向量化 ${docIds.length} 份文件` });
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message });
+    }
+  };
+
+  const handleCancelReindex = async () => {
+    if (!confirm('確定要取消重新向量化嗎？已完成的進度將一併刪除，文件維持原本的向量。')) return;
+    await cancelReindex();
+  };
+
+  // 檢索偵錯工具的設定套用到對話
+  const handleApplyRetrievalSettings = ({ threshold, searchMode: mode, includeHistory: history }) => {
+    setSimilarityThreshold(threshold);
+    setSearchMode(mode);
+    setIncludeHistory(history);
+    setStatus({ type: 'info', message: `已套用檢索設定：門檻 ${(threshold * 100).toFixed(0)}%、${mode === 'hybrid' ? '混合' : '向量'}模式` });
+  };
+
   // Import complete handler
   const handleImportComplete = async () => {
     await loadDocs();
-    await loadChatHistory();
+    await loadTrash();
+    await loadSessions(true);
     await loadStorageStats();
   };
 
@@ -339,6 +758,52 @@ export default function App() {
         isOpen={showTechSpecs}
         onClose={() => setShowTechSpecs(false)}
         storageStats={storageStats}
+        onReindexClick={() => setShowReindex(true)}
+      />
+      <ReindexModal
+        isOpen={showReindex}
+        onClose={() => setShowReindex(false)}
+        documents={documents}
+        reindexJob={reindexJob}
+        onStart={handleStartReindex}
+        onPause={pauseReindex}
+        onResume={resumeReindex}
+        onCancel={handleCancelReindex}
+      />
+      <DocumentVersionsModal
+        isOpen={versionsDocId != null}
+        onClose={() => setVersionsDocId(null)}
+        document={documents.find(d => d.id === versionsDocId)}
+        onUploadVersion={handleUploadVersion}
+      />
+      <DocumentMetadataModal
+        isOpen={metadataDocId != null}
+        onClose={() => setMetadataDocId(null)}
+        document={documents.find(d => d.id === metadataDocId)}
+        existingTags={allTags}
+        onSave={handleSaveMetadata}
+      />
+      <RetrievalDebuggerModal
+        isOpen={showRetrievalDebugger}
+        onClose={() => setShowRetrievalDebugger(false)}
+        chatHistory={chatHistory}
+        documents={documents}
+        scopeDocIds={scopeDocIds}
+        documentFilter={documentFilter}
+        settings={{ threshold: similarityThreshold, searchMode, includeHistory }}
+        onApplySettings={handleApplyRetrievalSettings}
+      />
+      <EvaluationModal
+        isOpen={showEvaluation}
+        onClose={() => setShowEvaluation(false)}
+        settings={{ threshold: similarityThreshold, searchMode, includeHistory }}
+      />
+      <input
+        ref={versionInputRef}
+        type="file"
+        accept={getAcceptedFileTypes()}
+        onChange={handleVersionFileChange}
+        className="hidden"
       />
       <PDFPageAnalyzer
         isOpen={showPageAnalyzer}
@@ -349,24 +814,65 @@ export default function App() {
         onClose={() => setShowExportImport(false)}
         onImportComplete={handleImportComplete}
       />
+      <ModelSettingsModal
+        isOpen={showModelSettings}
+        onClose={() => setShowModelSettings(false)}
+      />
 
       {/* Sidebar */}
       <Sidebar
+        sessions={sessions}
+        activeSessionId={activeSessionId}
+        onSelectSession={handleSelectSession}
+        onCreateSession={handleCreateSession}
+        onRenameSession={handleRenameSession}
+        onDeleteSession={handleDeleteSession}
+        onTogglePinSession={handleTogglePinSession}
+        isProcessing={isProcessing}
+        ingestJobs={ingestJobs}
+        onPauseJob={handlePauseJob}
+        onResumeJob={handleResumeJob}
+        onCancelJob={handleCancelJob}
+        reindexJob={reindexJob}
+        mismatchedDocCount={mismatchedDocCount}
+        onReindexClick={() => setShowReindex(true)}
         groupedDocs={groupedDocs}
         selectedCategories={selectedCategories}
         setSelectedCategories={setSelectedCategories}
+        selectedDocIds={selectedDocIds}
+        setSelectedDocIds={setSelectedDocIds}
+        onChatWithDoc={handleChatWithDoc}
         expandedCategories={expandedCategories}
         setExpandedCategories={setExpandedCategories}
         similarityThreshold={similarityThreshold}
         setSimilarityThreshold={setSimilarityThreshold}
+        searchMode={searchMode}
+        setSearchMode={setSearchMode}
+        includeHistory={includeHistory}
+        setIncludeHistory={setIncludeHistory}
+        onShowVersions={(doc) => setVersionsDocId(doc.id)}
+        onUploadVersion={handleUploadVersion}
+        onEditMetadata={(doc) => setMetadataDocId(doc.id)}
+        documentFilter={documentFilter}
+        setDocumentFilter={setDocumentFilter}
+        allTags={allTags}
+        trashEntries={trashEntries}
+        trashRetentionDays={trashRetentionDays}
+        onTrashRetentionChange={handleTrashRetentionChange}
+        onRestoreTrash={handleRestoreTrash}
+        onPurgeTrashEntry={handlePurgeTrashEntry}
+        onEmptyTrash={handleEmptyTrash}
         onDeleteDoc={handleDeleteDoc}
         onDeleteCategory={handleDeleteCategory}
         onRenameCategory={handleRenameCategory}
         onClearAll={handleClearAll}
         onUploadClick={() => setShowUploadModal(true)}
         onPageAnalyzerClick={() => setShowPageAnalyzer(true)}
+        onRetrievalDebuggerClick={() => setShowRetrievalDebugger(true)}
+        onEvaluationClick={() => setShowEvaluation(true)}
         onTechSpecsClick={() => setShowTechSpecs(true)}
         onExportImportClick={() => setShowExportImport(true)}
+        onModelSettingsClick={() => setShowModelSettings(true)}
         storageStats={storageStats}
       />
 
@@ -376,9 +882,26 @@ export default function App() {
         inputMessage={inputMessage}
         setInputMessage={setInputMessage}
         isProcessing={isProcessing}
+        isStreaming={isStreaming}
         status={status}
         onSendMessage={handleSendMessage}
+        onStopGenerating={handleStopGenerating}
         onClearChat={handleClearChat}
+        memory={sessions.find(s => s.id === activeSessionId)?.memory}
+        scope={{
+          categories: selectedCategories.filter(cat => categoryList.includes(cat)),
+          documents: scopedDocs.filter(d => !selectedCategories.includes(d.category)),
+          filterActive: isDocumentFilterActive(documentFilter)
+        }}
+        onRemoveScopeCategory={(cat) => setSelectedCategories(prev => prev.filter(c => c !== cat))}
+        onRemoveScopeDoc={(docId) => setSelectedDocIds(prev => prev.filter(id => id !== docId))}
+        onClearScope={handleClearScope}
+      />
+
+      <UndoToast
+        toast={undoToast}
+        onUndo={handleRestoreTrash}
+        onDismiss={() => setUndoToast(null)}
       />
     </div>
   );
@@ -1,23 +1,166 @@
-import React, { useRef, useEffect } from 'react';
-import { Send, Loader2, Trash2, MessageSquare, AlertCircle, Zap } from 'lucide-react';
+import React, { useRef, useEffect, useState } from 'react';
+import { Send, Loader2, Trash2, MessageSquare, AlertCircle, AlertTriangle, Zap, X, FileText, Square, FolderOpen, Filter, Crosshair, ChevronDown, ChevronRight, Search, Brain } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
+import { formatPageRange, linkifyCitations, highlightSnippet } from '../lib/citations';
+import { getLanguageLabel } from '../lib/queryIntent';
+import { isRelevantResult } from '../lib/lexical';
+
+const SEARCH_MODE_LABELS = {
+  vector: '向量',
+  hybrid: '混合 (BM25)'
+};
+
+// 意圖分析從問題中擷取並實際套用的篩選條件
+const formatIntentFilters = (filters) => [
+  ...(filters.categories || []).map(c => `分類：${c}`),
+  ...(filters.documents || []).map(d => `文件：${d}`),
+  ...(filters.dateFrom || filters.dateTo ? [`日期：${filters.dateFrom || '不限'} ～ ${filters.dateTo || '不限'}`] : [])
+];
+
+// 每則回答的檢索來源：改寫後的查詢、意圖與各區塊的分數與片段
+const SourcesDrawer = ({ citations = [], retrieval, onOpenCitation }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const query = retrieval?.query || '';
+
+  return (
+    <div className="not-prose mt-3 border-t border-slate-100 pt-2 text-xs">
+      <button
+        type="button"
+        onClick={() => setIsOpen(prev => !prev)}
+        className="flex items-center gap-1 text-slate-500 hover:text-purple-600 transition-colors"
+      >
+        {isOpen ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+        來源（{citations.length}）
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 space-y-2">
+          {retrieval && (
+            <div className="flex flex-wrap items-center gap-2 text-slate-500 bg-slate-50 rounded-lg p-2">
+              <Search size={12} className="text-purple-500" />
+              {retrieval.intent === 'search' ? (
+                <>
+                  <span>檢索查詢：</span>
+                  <span className="text-slate-700 font-medium">{query}</span>
+                  {retrieval.searchMode && (
+                    <span className="text-[10px] bg-white border px-1.5 py-0.5 rounded">
+                      {SEARCH_MODE_LABELS[retrieval.searchMode]}
+                    </span>
+                  )}
+                </>
+              ) : (
+                <span>判斷為延續對話，沿用上一輪檢索的來源</span>
+              )}
+            </div>
+          )}
+
+          {(retrieval?.filters || retrieval?.language) && (
+            <div className="flex flex-wrap items-center gap-1 px-2 text-slate-500">
+              <Filter size={12} className="text-purple-500" />
+              <span>依問題自動套用：</span>
+              {retrieval.filters && formatIntentFilters(retrieval.filters).map(label => (
+                <span key={label} className="text-[10px] bg-purple-50 text-purple-700 border border-purple-100 px-1.5 py-0.5 rounded">
+                  {label}
+                </span>
+              ))}
+              {retrieval.language && (
+                <span className="text-[10px] bg-purple-50 text-purple-700 border border-purple-100 px-1.5 py-0.5 rounded">
+                  回答語言：{getLanguageLabel(retrieval.language)}
+                </span>
+              )}
+            </div>
+          )}
+
+          {retrieval?.intentError && (
+            <div className="text-amber-600 px-2">意圖分析失敗（{retrieval.intentError}），已直接以原始問題檢索</div>
+          )}
+
+          {retrieval?.omitted > 0 && (
+            <div className="text-amber-600 px-2">另有 {retrieval.omitted} 筆檢索結果因超過上下文上限未提供給模型</div>
+          )}
+
+          {citations.length === 0 && (
+            <div className="text-slate-400 p-2">沒有使用任何知識庫來源</div>
+          )}
+
+          {citations.map(citation => {
+            const belowThreshold = retrieval?.threshold != null && citation.similarity != null &&
+              !isRelevantResult(citation, retrieval.threshold);
+            return (
+              <button
+                key={citation.n}
+                type="button"
+                onClick={() => onOpenCitation(citation)}
+                className={`w-full text-left p-2 rounded-lg border hover:border-purple-300 hover:bg-purple-50/50 transition-colors ${
+                  belowThreshold ? 'border-slate-100 opacity-60' : 'border-slate-200'
+                }`}
+              >
+                <div className="flex items-center gap-2 mb-1">
+                  <span className="inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 rounded bg-purple-100 text-purple-700 text-[10px] font-bold">
+                    {citation.n}
+                  </span>
+                  <FileText size={12} className="text-slate-400 shrink-0" />
+                  <span className="truncate font-medium text-slate-700" title={citation.fileName}>{citation.fileName}</span>
+                  {formatPageRange(citation) && <span className="text-slate-500 shrink-0">{formatPageRange(citation)}</span>}
+                  {citation.version && (
+                    <span className="text-[10px] bg-amber-100 text-amber-700 px-1.5 py-0.5 rounded shrink-0">舊版 v{citation.version}</span>
+                  )}
+                  <span className="ml-auto flex items-center gap-2 shrink-0 text-slate-500">
+                    {citation.similarity != null && (
+                      <span title="餘弦相似度">相似度 {(citation.similarity * 100).toFixed(1)}%</span>
+                    )}
+                    {citation.bm25Score > 0 && (
+                      <span title={citation.keywordCoverage != null ? `查詢詞涵蓋率 ${(citation.keywordCoverage * 100).toFixed(0)}%` : 'BM25 關鍵字分數'}>
+                        BM25 {citation.bm25Score.toFixed(2)}
+                      </span>
+                    )}
+                    {belowThreshold && <span className="text-amber-600">低於門檻</span>}
+                  </span>
+                </div>
+                <div className="text-slate-600 leading-relaxed whitespace-pre-wrap">
+                  {highlightSnippet(citation.content, query).map((segment, i) => (
+                    segment.match
+                      ? <mark key={i} className="bg-yellow-200 text-slate-900 rounded px-0.5">{segment.text}</mark>
+                      : <span key={i}>{segment.text}</span>
+                  ))}
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
 
 const ChatPanel = ({
   chatHistory,
   inputMessage,
   setInputMessage,
   isProcessing,
+  isStreaming,
   status,
   onSendMessage,
-  onClearChat
+  onStopGenerating,
+  onClearChat,
+  memory,
+  scope,
+  onRemoveScopeCategory,
+  onRemoveScopeDoc,
+  onClearScope
 }) => {
   const chatEndRef = useRef(null);
+  const [activeCitation, setActiveCitation] = useState(null);
+  const [showMemory, setShowMemory] = useState(false);
 
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [chatHistory]);
 
+  // 串流開始輸出內容後，改由訊息本身顯示進度
+  const hasStreamingContent = chatHistory.some(m => m.streaming && m.content);
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (inputMessage.trim() && !isProcessing) {
@@ -51,6 +194,19 @@ const ChatPanel = ({
               <Zap size={10} />
               Llama 4 Scout
             </span>
+            {/* 較早的訊息已由對話記憶摘要取代 */}
+            {memory?.summary && (
+              <button
+                type="button"
+                onClick={() => setShowMemory(prev => !prev)}
+                className="ml-2 text-indigo-500 hover:text-indigo-700 flex items-center gap-1"
+                title="較早的訊息以摘要提供給模型"
+              >
+                <Brain size={10} />
+                對話記憶（{memory.messageCount} 則已摘要）
+                {showMemory ? <ChevronDown size={10} /> : <ChevronRight size={10} />}
+              </button>
+            )}
           </span>
           <button
             onClick={onClearChat}
@@ -61,6 +217,14 @@ const ChatPanel = ({
           </button>
         </div>
       )}
+      {chatHistory.length > 0 && showMemory && memory?.summary && (
+        <div className="px-6 py-3 border-b bg-indigo-50/50 text-xs text-slate-600 max-h-48 overflow-y-auto">
+          <div className="text-indigo-600 font-medium mb-1">較早對話的摘要</div>
+          <div className="prose prose-sm prose-slate max-w-none text-xs">
+            <ReactMarkdown remarkPlugins={[remarkGfm]}>{memory.summary}</ReactMarkdown>
+          </div>
+        </div>
+      )}
 
       {/* Chat Messages */}
       <div className="flex-1 overflow-y-auto p-6 space-y-6">
@@ -76,7 +240,7 @@ const ChatPanel = ({
             </p>
           </div>
         ) : (
-          chatHistory.map((msg, i) => (
+          chatHistory.map((msg, i) => (msg.streaming && !msg.content) ? null : (
             <div
               key={i}
               className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}
@@ -112,6 +276,27 @@ const ChatPanel = ({
                             {children}
                           </td>
                         ),
+                        a: ({ href, children, ...props }) => {
+                          // 引用標記 [n] → 可點擊的來源標籤
+                          if (href?.startsWith('#cite-')) {
+                            const n = parseInt(href.slice(6), 10);
+                            const citation = msg.citations?.find(c => c.n === n);
+                            if (!citation) {
+                              return <span className="text-slate-400" title="無效引用">[{n}]</span>;
+                            }
+                            return (
+                              <button
+                                type="button"
+                                onClick={() => setActiveCitation(citation)}
+                                className="inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 mx-0.5 align-text-top rounded bg-purple-100 text-purple-700 text-[10px] font-bold hover:bg-purple-200 transition-colors"
+                                title={`${citation.fileName} ${formatPageRange(citation)}${citation.version ? `（舊版 v${citation.version}）` : ''}`}
+                              >
+                                {n}
+                              </button>
+                            );
+                          }
+                          return <a href={href} {...props}>{children}</a>;
+                        },
                         code: ({ inline, children, ...props }) => {
                           if (inline) {
                             return (
@@ -128,8 +313,27 @@ const ChatPanel = ({
                         }
                       }}
                     >
-                      {msg.content}
+                      {msg.citations?.length ? linkifyCitations(msg.content) : msg.content}
                     </ReactMarkdown>
+                    {msg.streaming && (
+                      <span className="inline-block w-2 h-4 bg-purple-500 animate-pulse align-middle" />
+                    )}
+                    {msg.stopped && (
+                      <div className="not-prose mt-2 text-xs text-slate-400">已停止生成</div>
+                    )}
+                    {msg.uncited && (
+                      <div className="not-prose mt-3 p-2 bg-amber-50 border border-amber-200 rounded-lg text-xs text-amber-700 flex items-center gap-2">
+                        <AlertTriangle size={12} />
+                        此回答未包含有效的來源引用，請謹慎參考
+                      </div>
+                    )}
+                    {!msg.streaming && (msg.retrieval || msg.citations?.length > 0) && (
+                      <SourcesDrawer
+                        citations={msg.citations}
+                        retrieval={msg.retrieval}
+                        onOpenCitation={setActiveCitation}
+                      />
+                    )}
                   </div>
                 )}
               </div>
@@ -138,7 +342,7 @@ const ChatPanel = ({
         )}
 
         {/* Typing Indicator */}
-        {isProcessing && chatHistory.length > 0 && (
+        {isProcessing && chatHistory.length > 0 && !hasStreamingContent && (
           <div className="flex justify-start">
             <div className="bg-white border border-slate-100 p-4 rounded-2xl shadow-sm">
               <div className="flex items-center gap-2 text-purple-600">
@@ -152,8 +356,78 @@ const ChatPanel = ({
         <div ref={chatEndRef} />
       </div>
 
+      {/* Citation Viewer */}
+      {activeCitation && (
+        <div
+          className="fixed inset-0 bg-black/40 z-50 flex items-center justify-center p-4 backdrop-blur-sm"
+          onClick={() => setActiveCitation(null)}
+        >
+          <div
+            className="bg-white rounded-2xl w-full max-w-lg shadow-2xl overflow-hidden"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="p-4 border-b flex justify-between items-center bg-slate-50">
+              <h3 className="font-bold text-sm flex items-center gap-2 min-w-0">
+                <span className="bg-purple-600 text-white rounded px-1.5 text-xs">{activeCitation.n}</span>
+                <FileText size={14} className="text-slate-500 shrink-0" />
+                <span className="truncate">{activeCitation.fileName}</span>
+                <span className="text-xs text-slate-500 font-normal shrink-0">{formatPageRange(activeCitation)}</span>
+                {activeCitation.version && (
+                  <span className="text-[10px] bg-amber-100 text-amber-700 px-1.5 py-0.5 rounded font-normal shrink-0">
+                    舊版 v{activeCitation.version}
+                  </span>
+                )}
+              </h3>
+              <button onClick={() => setActiveCitation(null)} className="text-gray-400 hover:text-gray-600">
+                <X size={18} />
+              </button>
+            </div>
+            <div className="p-4 max-h-[60vh] overflow-y-auto text-sm text-slate-700 whitespace-pre-wrap leading-relaxed">
+              {activeCitation.content}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Input Area */}
       <div className="p-6 bg-white border-t">
+        {/* 目前的搜尋範圍 */}
+        <div className="max-w-4xl mx-auto mb-3 flex flex-wrap items-center gap-1.5 text-xs text-slate-500">
+          <Crosshair size={12} className="text-purple-500" />
+          <span>搜尋範圍：</span>
+          {scope.categories.length === 0 && scope.documents.length === 0 && (
+            <span className="text-slate-700">全部文件</span>
+          )}
+          {scope.categories.map(cat => (
+            <span key={`cat-${cat}`} className="flex items-center gap-1 bg-yellow-50 text-yellow-800 border border-yellow-200 px-2 py-0.5 rounded-full">
+              <FolderOpen size={10} />
+              {cat}
+              <button onClick={() => onRemoveScopeCategory(cat)} className="hover:text-red-500" title="移除">
+                <X size={10} />
+              </button>
+            </span>
+          ))}
+          {scope.documents.map(doc => (
+            <span key={`doc-${doc.id}`} className="flex items-center gap-1 bg-purple-50 text-purple-800 border border-purple-200 px-2 py-0.5 rounded-full max-w-[16rem]">
+              <FileText size={10} className="shrink-0" />
+              <span className="truncate" title={doc.name}>{doc.name}</span>
+              <button onClick={() => onRemoveScopeDoc(doc.id)} className="hover:text-red-500 shrink-0" title="移除">
+                <X size={10} />
+              </button>
+            </span>
+          ))}
+          {scope.filterActive && (
+            <span className="flex items-center gap-1 bg-slate-100 text-slate-600 px-2 py-0.5 rounded-full">
+              <Filter size={10} />
+              套用文件篩選
+            </span>
+          )}
+          {(scope.categories.length > 0 || scope.documents.length > 0) && (
+            <button onClick={onClearScope} className="text-purple-600 hover:underline ml-1">
+              搜尋全部
+            </button>
+          )}
+        </div>
         <form onSubmit={handleSubmit} className="max-w-4xl mx-auto flex gap-3">
           <input
             type="text"
@@ -163,13 +437,24 @@ const ChatPanel = ({
             value={inputMessage}
             onChange={(e) => setInputMessage(e.target.value)}
           />
-          <button
-            type="submit"
-            disabled={isProcessing || !inputMessage.trim()}
-            className="bg-gradient-to-r from-purple-600 to-indigo-600 text-white p-4 rounded-xl hover:from-purple-700 hover:to-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
-          >
-            <Send size={20} />
-          </button>
+          {isStreaming ? (
+            <button
+              type="button"
+              onClick={onStopGenerating}
+              className="bg-slate-700 text-white p-4 rounded-xl hover:bg-slate-800 transition-all flex items-center gap-2"
+              title="停止生成"
+            >
+              <Square size={16} fill="currentColor" />
+            </button>
+          ) : (
+            <button
+              type="submit"
+              disabled={isProcessing || !inputMessage.trim()}
+              className="bg-gradient-to-r from-purple-600 to-indigo-600 text-white p-4 rounded-xl hover:from-purple-700 hover:to-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+            >
+              <Send size={20} />
+            </button>
+          )}
         </form>
       </div>
     </main>
@@ -1,5 +1,7 @@
-import React, { useState } from 'react';
-import { Key, Loader2, CheckCircle, AlertCircle, Zap, Database } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Key, Loader2, CheckCircle, AlertCircle, Zap, Database, Server } from 'lucide-react';
+import { EMBEDDING_PROVIDERS } from '../lib/embeddings';
+import { getSetting } from '../lib/db';
 
 const LoginScreen = ({
   onStart,
@@ -7,13 +9,31 @@ const LoginScreen = ({
   verificationStep,
   status
 }) => {
+  const [embeddingProvider, setEmbeddingProvider] = useState('gemini'); // 'gemini' | 'openai'
   const [geminiKey, setGeminiKey] = useState('');
+  const [embeddingBaseUrl, setEmbeddingBaseUrl] = useState('http://localhost:11434/v1');
+  const [embeddingModel, setEmbeddingModel] = useState('nomic-embed-text');
+  const [embeddingKey, setEmbeddingKey] = useState('');
   const [groqKey, setGroqKey] = useState('');
-  const [currentStep, setCurrentStep] = useState(1); // 1: Gemini, 2: Groq, 3: Ready
+  const [currentStep, setCurrentStep] = useState(1); // 1: Embedding, 2: Groq, 3: Ready
 
-  const handleGeminiSubmit = (e) => {
+  // 還原上次使用的向量化服務設定（API Key 不保存）
+  useEffect(() => {
+    getSetting('embeddingProvider').then(saved => {
+      if (!saved) return;
+      setEmbeddingProvider(saved.provider);
+      if (saved.baseUrl) setEmbeddingBaseUrl(saved.baseUrl);
+      if (saved.model) setEmbeddingModel(saved.model);
+    });
+  }, []);
+
+  const isEmbeddingReady = embeddingProvider === 'gemini'
+    ? !!geminiKey.trim()
+    : !!embeddingBaseUrl.trim() && !!embeddingModel.trim();
+
+  const handleEmbeddingSubmit = (e) => {
     e.preventDefault();
-    if (geminiKey.trim()) {
+    if (isEmbeddingReady) {
       setCurrentStep(2);
     }
   };
@@ -21,7 +41,15 @@ const LoginScreen = ({
   const handleGroqSubmit = (e) => {
     e.preventDefault();
     if (groqKey.trim()) {
-      onStart(geminiKey.trim(), groqKey.trim());
+      const embeddingConfig = embeddingProvider === 'gemini'
+        ? { provider: 'gemini', apiKey: geminiKey.trim() }
+        : {
+            provider: 'openai',
+            baseUrl: embeddingBaseUrl.trim(),
+            model: embeddingModel.trim(),
+            apiKey: embeddingKey.trim()
+          };
+      onStart(embeddingConfig, groqKey.trim());
     }
   };
 
@@ -43,7 +71,9 @@ const LoginScreen = ({
           <div className="flex items-center gap-4 text-xs">
             <div className="flex-1 text-center">
               <Database size={20} className="mx-auto mb-1 text-blue-600" />
-              <span className="font-medium text-blue-800">Gemini</span>
+              <span className="font-medium text-blue-800">
+                {embeddingProvider === 'gemini' ? 'Gemini' : 'OpenAI 相容'}
+              </span>
               <p className="text-blue-600">向量化</p>
             </div>
             <div className="text-slate-400">+</div>
@@ -60,7 +90,7 @@ const LoginScreen = ({
           <div className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-bold ${
             currentStep >= 1 ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-500'
           }`}>
-            {verificationStep === 'gemini' && isVerifying ? (
+            {verificationStep === 'embedding' && isVerifying ? (
               <Loader2 size={16} className="animate-spin" />
             ) : currentStep > 1 ? (
               <CheckCircle size={16} />
@@ -94,41 +124,105 @@ const LoginScreen = ({
           </div>
         )}
 
-        {/* Step 1: Gemini API Key */}
+        {/* Step 1: Embedding Provider */}
         {currentStep === 1 && (
-          <form onSubmit={handleGeminiSubmit} className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium text-slate-700 mb-1 flex items-center gap-2">
-                <Database size={16} className="text-blue-600" />
-                Google AI Studio API Key
-              </label>
-              <input
-                type="password"
-                placeholder="AIza..."
-                className="w-full p-3 border border-slate-200 rounded-xl outline-none focus:ring-2 focus:ring-blue-500"
-                value={geminiKey}
-                onChange={(e) => setGeminiKey(e.target.value)}
-                autoFocus
-              />
-              <p className="text-xs text-slate-400 mt-1">用於文字向量化 (Embedding)</p>
+          <form onSubmit={handleEmbeddingSubmit} className="space-y-4">
+            <div className="grid grid-cols-2 gap-2">
+              {EMBEDDING_PROVIDERS.map(({ id, label }) => (
+                <button
+                  key={id}
+                  type="button"
+                  onClick={() => setEmbeddingProvider(id)}
+                  className={`p-2 rounded-xl text-sm font-medium border transition-colors ${
+                    embeddingProvider === id
+                      ? 'bg-blue-600 text-white border-blue-600'
+                      : 'bg-white text-slate-600 border-slate-200 hover:border-blue-300'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
             </div>
+
+            {embeddingProvider === 'gemini' ? (
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1 flex items-center gap-2">
+                  <Database size={16} className="text-blue-600" />
+                  Google AI Studio API Key
+                </label>
+                <input
+                  type="password"
+                  placeholder="AIza..."
+                  className="w-full p-3 border border-slate-200 rounded-xl outline-none focus:ring-2 focus:ring-blue-500"
+                  value={geminiKey}
+                  onChange={(e) => setGeminiKey(e.target.value)}
+                  autoFocus
+                />
+                <p className="text-xs text-slate-400 mt-1">用於文字向量化 (Embedding)</p>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1 flex items-center gap-2">
+                    <Server size={16} className="text-blue-600" />
+                    Base URL
+                  </label>
+                  <input
+                    type="text"
+                    placeholder="http://localhost:11434/v1"
+                    className="w-full p-3 border border-slate-200 rounded-xl outline-none focus:ring-2 focus:ring-blue-500"
+                    value={embeddingBaseUrl}
+                    onChange={(e) => setEmbeddingBaseUrl(e.target.value)}
+                  />
+                  <p className="text-xs text-slate-400 mt-1">
+                    提供 /embeddings 端點的服務（Ollama、LM Studio、text-embeddings-inference）
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">模型名稱</label>
+                  <input
+                    type="text"
+                    placeholder="nomic-embed-text"
+                    className="w-full p-3 border border-slate-200 rounded-xl outline-none focus:ring-2 focus:ring-blue-500"
+                    value={embeddingModel}
+                    onChange={(e) => setEmbeddingModel(e.target.value)}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1 flex items-center gap-2">
+                    <Key size={16} className="text-slate-400" />
+                    API Key（選填）
+                  </label>
+                  <input
+                    type="password"
+                    placeholder="本機服務通常不需要"
+                    className="w-full p-3 border border-slate-200 rounded-xl outline-none focus:ring-2 focus:ring-blue-500"
+                    value={embeddingKey}
+                    onChange={(e) => setEmbeddingKey(e.target.value)}
+                  />
+                </div>
+              </div>
+            )}
+
             <button
               type="submit"
-              disabled={!geminiKey.trim()}
+              disabled={!isEmbeddingReady}
               className="w-full bg-blue-600 text-white p-3 rounded-xl font-bold hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             >
               下一步
             </button>
-            <p className="text-xs text-slate-400 text-center">
-              <a
-                href="https://aistudio.google.com/apikey"
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-blue-500 hover:underline"
-              >
-                取得 Google AI Studio API Key
-              </a>
-            </p>
+            {embeddingProvider === 'gemini' && (
+              <p className="text-xs text-slate-400 text-center">
+                <a
+                  href="https://aistudio.google.com/apikey"
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-500 hover:underline"
+                >
+                  取得 Google AI Studio API Key
+                </a>
+              </p>
+            )}
           </form>
         )}
 
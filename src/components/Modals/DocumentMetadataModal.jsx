@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { X, Tag, Loader2 } from 'lucide-react';
+import { getDocumentMetadata, parseTags } from '../../lib/documentFilter';
+
+const DocumentMetadataModal = ({ isOpen, onClose, document, existingTags, onSave }) => {
+  const [tagText, setTagText] = useState('');
+  const [author, setAuthor] = useState('');
+  const [source, setSource] = useState('');
+  const [date, setDate] = useState('');
+  const [notes, setNotes] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && document) {
+      const meta = getDocumentMetadata(document);
+      setTagText(meta.tags.join(', '));
+      setAuthor(meta.author);
+      setSource(meta.source);
+      setDate(meta.date);
+      setNotes(meta.notes);
+    }
+  }, [isOpen, document?.id]);
+
+  if (!isOpen || !document) return null;
+
+  const tags = parseTags(tagText);
+  const suggestions = existingTags.filter(tag => !tags.includes(tag));
+
+  const addTag = (tag) => {
+    setTagText([...tags, tag].join(', '));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(document.id, {
+        tags,
+        author: author.trim(),
+        source: source.trim(),
+        date,
+        notes: notes.trim()
+      });
+      onClose();
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full p-2 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500 outline-none';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm">
+      <div className="bg-white rounded-2xl w-full max-w-lg shadow-2xl overflow-hidden max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="p-4 border-b flex justify-between items-center bg-slate-50">
+          <h3 className="font-bold text-lg flex items-center gap-2 min-w-0">
+            <Tag size={20} className="text-purple-600 shrink-0" />
+            <span className="truncate">文件資訊：{document.name}</span>
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-4 overflow-y-auto custom-scrollbar">
+          <div>
+            <label className="block text-xs text-slate-500 mb-1">標籤（以逗號分隔）</label>
+            <input
+              type="text"
+              value={tagText}
+              onChange={(e) => setTagText(e.target.value)}
+              placeholder="例如：合約, 2024, 財務"
+              className={inputClass}
+            />
+            {suggestions.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {suggestions.map(tag => (
+                  <button
+                    key={tag}
+                    onClick={() => addTag(tag)}
+                    className="text-[10px] px-2 py-0.5 rounded-full bg-slate-100 text-slate-600 hover:bg-purple-100 hover:text-purple-700 transition-colors"
+                  >
+                    + {tag}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs text-slate-500 mb-1">作者</label>
+              <input type="text" value={author} onChange={(e) => setAuthor(e.target.value)} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-500 mb-1">日期</label>
+              <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className={inputClass} />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-xs text-slate-500 mb-1">來源</label>
+            <input
+              type="text"
+              value={source}
+              onChange={(e) => setSource(e.target.value)}
+              placeholder="例如：出版單位、網址或專案名稱"
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label className="block text-xs text-slate-500 mb-1">備註</label>
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              rows={4}
+              className={`${inputClass} resize-none`}
+            />
+          </div>
+
+          <p className="text-xs text-slate-400">
+            PDF 的作者、主旨與建立日期會在匯入時自動帶入，可於此修改。
+          </p>
+        </div>
+
+        {/* Footer */}
+        <div className="p-4 border-t bg-gray-50 flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 hover:bg-gray-200 rounded-lg transition-colors"
+          >
+            取消
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 transition-colors flex items-center gap-2"
+          >
+            {isSaving && <Loader2 size={16} className="animate-spin" />}
+            儲存
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentMetadataModal;
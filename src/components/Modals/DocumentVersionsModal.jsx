@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import { X, History, Loader2, Plus, Minus, Upload, AlertCircle } from 'lucide-react';
+import { getDocumentVersions, getVersionDiff } from '../../lib/db';
+import { formatPageRange } from '../../lib/citations';
+
+const DocumentVersionsModal = ({ isOpen, onClose, document, onUploadVersion }) => {
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const versions = document ? getDocumentVersions(document) : [];
+  const latest = document?.version || 1;
+
+  // 預設比較前一版與最新版
+  useEffect(() => {
+    if (isOpen && document) {
+      setFromVersion(Math.max(1, latest - 1));
+      setToVersion(latest);
+    }
+  }, [isOpen, document?.id, latest]);
+
+  useEffect(() => {
+    if (!isOpen || !document || fromVersion == null || toVersion == null || fromVersion === toVersion) {
+      setDiff(null);
+      setError(null);
+      return;
+    }
+
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+    getVersionDiff(document.id, fromVersion, toVersion)
+      .then(result => { if (!cancelled) setDiff(result); })
+      .catch(err => {
+        if (cancelled) return;
+        setDiff(null);
+        setError(`無法比較版本：${err.message}`);
+      })
+      .finally(() => { if (!cancelled) setIsLoading(false); });
+    return () => { cancelled = true; };
+  }, [isOpen, document?.id, fromVersion, toVersion]);
+
+  if (!isOpen || !document) return null;
+
+  const renderChunk = (chunk, i, type) => (
+    <div
+      key={`${type}-${i}`}
+      className={`text-xs p-3 rounded-lg border whitespace-pre-wrap ${
+        type === 'added'
+          ? 'bg-green-50 border-green-200 text-green-900'
+          : 'bg-red-50 border-red-200 text-red-900 line-through decoration-red-300'
+      }`}
+    >
+      {formatPageRange(chunk.metadata) && (
+        <div className="text-[10px] text-slate-500 mb-1 no-underline">{formatPageRange(chunk.metadata)}</div>
+      )}
+      {chunk.content}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm">
+      <div className="bg-white rounded-2xl w-full max-w-3xl shadow-2xl overflow-hidden max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="p-4 border-b flex justify-between items-center bg-slate-50">
+          <h3 className="font-bold text-lg flex items-center gap-2 min-w-0">
+            <History size={20} className="text-purple-600 shrink-0" />
+            <span className="truncate">版本記錄：{document.name}</span>
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-4 overflow-y-auto custom-scrollbar">
+          {/* Version List */}
+          <div className="border rounded-xl divide-y">
+            {[...versions].reverse().map(v => (
+              <div key={v.version} className="flex items-center gap-3 p-3 text-sm">
+                <span className="font-mono text-purple-600 w-10">v{v.version}</span>
+                <span className="flex-1 truncate" title={v.fileName}>{v.fileName}</span>
+                <span className="text-xs text-slate-500">{v.chunkCount} 個區塊</span>
+                <span className="text-xs text-slate-400">
+                  {v.timestamp ? new Date(v.timestamp).toLocaleString() : ''}
+                </span>
+                {v.version === latest && (
+                  <span className="text-[10px] bg-purple-100 text-purple-700 px-1.5 py-0.5 rounded">目前版本</span>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {/* Diff */}
+          {versions.length > 1 ? (
+            <>
+              <div className="flex items-center gap-2 text-sm">
+                <span className="text-slate-500">比較</span>
+                <select
+                  value={fromVersion ?? ''}
+                  onChange={(e) => setFromVersion(parseInt(e.target.value, 10))}
+                  className="p-1.5 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500 outline-none"
+                >
+                  {versions.map(v => <option key={v.version} value={v.version}>v{v.version}</option>)}
+                </select>
+                <span className="text-slate-500">→</span>
+                <select
+                  value={toVersion ?? ''}
+                  onChange={(e) => setToVersion(parseInt(e.target.value, 10))}
+                  className="p-1.5 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500 outline-none"
+                >
+                  {versions.map(v => <option key={v.version} value={v.version}>v{v.version}</option>)}
+                </select>
+                {diff && (
+                  <span className="ml-auto text-xs text-slate-500 flex items-center gap-3">
+                    <span className="text-green-600 flex items-center gap-0.5"><Plus size={12} />{diff.added.length}</span>
+                    <span className="text-red-600 flex items-center gap-0.5"><Minus size={12} />{diff.removed.length}</span>
+                    <span>未變動 {diff.unchangedCount}</span>
+                  </span>
+                )}
+              </div>
+
+              {fromVersion === toVersion ? (
+                <div className="text-center text-slate-400 text-sm py-6">請選擇兩個不同的版本</div>
+              ) : isLoading ? (
+                <div className="flex justify-center py-6">
+                  <Loader2 size={20} className="animate-spin text-purple-600" />
+                </div>
+              ) : error ? (
+                <div className="text-xs text-red-600 bg-red-50 p-3 rounded-lg flex items-center gap-2">
+                  <AlertCircle size={14} />
+                  {error}
+                </div>
+              ) : diff && (
+                <div className="space-y-2">
+                  {diff.added.length === 0 && diff.removed.length === 0 && (
+                    <div className="text-center text-slate-400 text-sm py-6">兩個版本的內容相同</div>
+                  )}
+                  {diff.removed.map((chunk, i) => renderChunk(chunk, i, 'removed'))}
+                  {diff.added.map((chunk, i) => renderChunk(chunk, i, 'added'))}
+                </div>
+              )}
+            </>
+          ) : (
+            <div className="text-center text-slate-400 text-sm py-6">
+              目前只有一個版本，上傳新版本後可比較差異
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="p-4 border-t bg-gray-50 flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 hover:bg-gray-200 rounded-lg transition-colors"
+          >
+            關閉
+          </button>
+          <button
+            onClick={() => onUploadVersion(document)}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors flex items-center gap-2"
+          >
+            <Upload size={16} />
+            上傳新版本
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentVersionsModal;
@@ -0,0 +1,346 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  X,
+  FlaskConical,
+  Upload,
+  Play,
+  Loader2,
+  AlertCircle,
+  Trash2,
+  ChevronDown,
+  ChevronRight,
+  ArrowUp,
+  ArrowDown
+} from 'lucide-react';
+import { parseEvalSet, runEvaluation } from '../../lib/evaluation';
+import { getEvalRuns, deleteEvalRun } from '../../lib/db';
+
+const LIMIT_OPTIONS = [3, 5, 10];
+
+const METRICS = [
+  { key: 'recallAtK', label: 'Recall@k', title: '預期文件出現在前 k 個區塊中的比例' },
+  { key: 'mrr', label: 'MRR', title: '第一個預期文件區塊排名的倒數平均' },
+  { key: 'faithfulness', label: '忠實度', title: 'LLM 評分：回答是否都有參考資訊支持' },
+  { key: 'correctness', label: '正確性', title: 'LLM 評分：回答與標準答案是否一致' }
+];
+
+const formatMetric = (value) => (value == null ? '—' : `${(value * 100).toFixed(1)}%`);
+
+// 與同一題組的上一次評估比較
+const MetricDelta = ({ value, previous }) => {
+  if (value == null || previous == null) return null;
+  const delta = value - previous;
+  if (Math.abs(delta) < 0.0005) return null;
+  return (
+    <span className={`inline-flex items-center text-[10px] ml-1 ${delta > 0 ? 'text-green-600' : 'text-red-600'}`}>
+      {delta > 0 ? <ArrowUp size={10} /> : <ArrowDown size={10} />}
+      {Math.abs(delta * 100).toFixed(1)}
+    </span>
+  );
+};
+
+const EvaluationModal = ({ isOpen, onClose, settings }) => {
+  const [evalSet, setEvalSet] = useState(null);
+  const [config, setConfig] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [expandedRunId, setExpandedRunId] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setConfig({ ...settings, limit: 5 });
+    setError('');
+    getEvalRuns().then(setRuns);
+  }, [isOpen]);
+
+  if (!isOpen || !config) return null;
+
+  const isRunning = progress != null;
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setEvalSet(parseEvalSet(await file.text(), file.name));
+      setError('');
+    } catch (err) {
+      setEvalSet(null);
+      setError(err.message);
+    }
+  };
+
+  const handleRun = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setError('');
+    setProgress({ current: 0, total: evalSet.questions.length, question: '' });
+
+    try {
+      const run = await runEvaluation(evalSet, config, { onProgress: setProgress, signal: controller.signal });
+      setRuns(await getEvalRuns());
+      setExpandedRunId(run.id);
+    } catch (err) {
+      setError(err.name === 'AbortError' ? '評估已取消，結果未保存' : err.message);
+    } finally {
+      controllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const handleDeleteRun = async (runId) => {
+    if (!confirm('確定要刪除這筆評估紀錄嗎？')) return;
+    await deleteEvalRun(runId);
+    setRuns(await getEvalRuns());
+  };
+
+  const handleClose = () => {
+    if (isRunning && !confirm('評估進行中，關閉將取消評估，確定嗎？')) return;
+    controllerRef.current?.abort();
+    onClose();
+  };
+
+  const findPreviousRun = (run) => runs.find(r => r.setName === run.setName && r.createdAt < run.createdAt);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm">
+      <div className="bg-white rounded-2xl w-full max-w-5xl shadow-2xl overflow-hidden max-h-[95vh] flex flex-col">
+        {/* Header */}
+        <div className="p-4 border-b flex justify-between items-center bg-slate-50">
+          <h3 className="font-bold text-lg flex items-center gap-2">
+            <FlaskConical size={20} className="text-purple-600" />
+            RAG 評估
+          </h3>
+          <button onClick={handleClose} className="text-gray-400 hover:text-gray-600">
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-6 overflow-y-auto custom-scrollbar">
+          {/* 題組與設定 */}
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <div className="text-sm font-medium text-slate-700">題組</div>
+              <label className={`flex flex-col items-center justify-center h-28 border-2 border-dashed border-gray-200 rounded-xl transition-colors ${
+                isRunning ? 'opacity-50' : 'cursor-pointer hover:bg-gray-50 hover:border-purple-300'
+              }`}>
+                <Upload size={24} className="text-gray-400 mb-1" />
+                {evalSet ? (
+                  <span className="text-sm text-slate-700">{evalSet.name}（{evalSet.questions.length} 題）</span>
+                ) : (
+                  <span className="text-sm text-gray-500">選擇題組檔案 (.json / .csv)</span>
+                )}
+                <input type="file" accept=".json,.csv" onChange={handleFileChange} disabled={isRunning} className="hidden" />
+              </label>
+              <p className="text-[10px] text-slate-400">
+                每題包含 question，以及 expectedDocs（預期的來源文件名稱）或 expectedAnswer（標準答案）。CSV 欄位為 question, expected_docs, expected_answer，多個文件以 ; 分隔。
+              </p>
+            </div>
+
+            <div className="space-y-2 text-xs">
+              <div className="text-sm font-medium text-slate-700">檢索設定</div>
+              <div className="flex items-center gap-2">
+                <span className="text-slate-500 w-16">檢索模式</span>
+                <div className="flex border rounded overflow-hidden">
+                  {[
+                    { value: 'vector', label: '向量' },
+                    { value: 'hybrid', label: '混合 (BM25)' }
+                  ].map(({ value, label }) => (
+                    <button
+                      key={value}
+                      onClick={() => setConfig(prev => ({ ...prev, searchMode: value }))}
+                      disabled={isRunning}
+                      className={`px-2 py-0.5 transition-colors ${
+                        config.searchMode === value ? 'bg-purple-600 text-white' : 'text-slate-500 hover:text-slate-800'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="text-slate-500 w-16">k（筆數）</span>
+                <select
+                  value={config.limit}
+                  onChange={(e) => setConfig(prev => ({ ...prev, limit: parseInt(e.target.value, 10) }))}
+                  disabled={isRunning}
+                  className="p-0.5 border rounded"
+                >
+                  {LIMIT_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+                </select>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="text-slate-500 w-16">相似度門檻</span>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={config.threshold}
+                  onChange={(e) => setConfig(prev => ({ ...prev, threshold: parseFloat(e.target.value) }))}
+                  disabled={isRunning}
+                  className="flex-1 h-1 accent-purple-500"
+                />
+                <span className="text-purple-600 w-10 text-right">{(config.threshold * 100).toFixed(0)}%</span>
+              </div>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={config.includeHistory}
+                  onChange={(e) => setConfig(prev => ({ ...prev, includeHistory: e.target.checked }))}
+                  disabled={isRunning}
+                  className="accent-purple-500"
+                />
+                <span className="text-slate-500">搜尋舊版本文件</span>
+              </label>
+              <p className="text-[10px] text-slate-400">
+                每題約呼叫 4 次 API（意圖分析、向量化、回答、評分），題數多時需數分鐘。
+              </p>
+            </div>
+          </div>
+
+          {/* 執行 */}
+          {isRunning ? (
+            <div className="border border-slate-200 rounded-xl p-4 space-y-2">
+              <div className="flex items-center gap-2 text-sm">
+                <Loader2 size={16} className="text-purple-600 animate-spin" />
+                <span>評估中 {progress.current}/{progress.total}</span>
+                <span className="truncate text-xs text-slate-500 flex-1" title={progress.question}>{progress.question}</span>
+                <button
+                  onClick={() => controllerRef.current?.abort()}
+                  className="text-xs px-3 py-1 rounded-lg text-red-600 hover:bg-red-50 transition-colors"
+                >
+                  取消
+                </button>
+              </div>
+              <div className="h-2 bg-slate-100 rounded overflow-hidden">
+                <div
+                  className="h-full bg-purple-500 transition-all"
+                  style={{ width: `${(progress.current / progress.total) * 100}%` }}
+                />
+              </div>
+            </div>
+          ) : (
+            <button
+              onClick={handleRun}
+              disabled={!evalSet}
+              className="w-full py-2 bg-purple-600 text-white rounded-xl hover:bg-purple-700 disabled:opacity-50 transition-colors flex items-center justify-center gap-2"
+            >
+              <Play size={16} />
+              開始評估
+            </button>
+          )}
+
+          {error && (
+            <div className="text-xs text-red-600 bg-red-50 p-3 rounded-lg flex items-center gap-2">
+              <AlertCircle size={14} />
+              {error}
+            </div>
+          )}
+
+          {/* 評估紀錄 */}
+          <div className="space-y-2">
+            <div className="text-sm font-medium text-slate-700">評估紀錄</div>
+            {runs.length === 0 ? (
+              <div className="text-center text-slate-400 text-sm py-6 border rounded-xl">尚無評估紀錄</div>
+            ) : (
+              <div className="border rounded-xl divide-y text-xs">
+                <div className="grid grid-cols-[1.5rem_1fr_10rem_repeat(4,5.5rem)_1.5rem] gap-2 p-2 bg-slate-50 text-slate-500 font-medium">
+                  <span />
+                  <span>題組 / 時間</span>
+                  <span>設定</span>
+                  {METRICS.map(m => <span key={m.key} title={m.title}>{m.label}</span>)}
+                  <span />
+                </div>
+                {runs.map(run => {
+                  const previous = findPreviousRun(run);
+                  const expanded = expandedRunId === run.id;
+                  return (
+                    <div key={run.id}>
+                      <div
+                        className="grid grid-cols-[1.5rem_1fr_10rem_repeat(4,5.5rem)_1.5rem] gap-2 p-2 items-center hover:bg-slate-50 cursor-pointer"
+                        onClick={() => setExpandedRunId(expanded ? null : run.id)}
+                      >
+                        {expanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                        <div className="min-w-0">
+                          <div className="truncate font-medium text-slate-700">{run.setName}</div>
+                          <div className="text-[10px] text-slate-400">
+                            {new Date(run.createdAt).toLocaleString()} · {run.questionCount} 題
+                            {run.metrics.errors > 0 && <span className="text-red-500"> · {run.metrics.errors} 題失敗</span>}
+                          </div>
+                        </div>
+                        <div className="text-[10px] text-slate-500">
+                          {run.settings.searchMode === 'hybrid' ? '混合' : '向量'} · k={run.settings.limit} · 門檻 {(run.settings.threshold * 100).toFixed(0)}%
+                        </div>
+                        {METRICS.map(m => (
+                          <span key={m.key} className="font-mono">
+                            {formatMetric(run.metrics[m.key])}
+                            <MetricDelta value={run.metrics[m.key]} previous={previous?.metrics[m.key]} />
+                          </span>
+                        ))}
+                        <button
+                          onClick={(e) => { e.stopPropagation(); handleDeleteRun(run.id); }}
+                          className="text-slate-400 hover:text-red-500"
+                          title="刪除紀錄"
+                        >
+                          <Trash2 size={12} />
+                        </button>
+                      </div>
+
+                      {expanded && (
+                        <div className="p-3 bg-slate-50 space-y-2">
+                          {run.results.map((r, i) => (
+                            <div key={i} className="bg-white border rounded-lg p-2 space-y-1">
+                              <div className="flex items-start gap-2">
+                                <span className="font-mono text-slate-400">{i + 1}.</span>
+                                <span className="flex-1 font-medium text-slate-700">{r.question}</span>
+                                {r.error ? (
+                                  <span className="text-red-600">失敗</span>
+                                ) : (
+                                  <span className="text-slate-500 shrink-0 space-x-2">
+                                    {r.recall != null && <span>Recall {formatMetric(r.recall)}</span>}
+                                    {r.reciprocalRank != null && <span>RR {r.reciprocalRank.toFixed(2)}</span>}
+                                    {r.faithfulness != null && <span>忠實 {r.faithfulness}/5</span>}
+                                    {r.correctness != null && <span>正確 {r.correctness}/5</span>}
+                                  </span>
+                                )}
+                              </div>
+                              {r.error ? (
+                                <div className="text-red-600 pl-5">{r.error}</div>
+                              ) : (
+                                <div className="pl-5 space-y-1 text-slate-500">
+                                  {r.query !== r.question && <div>檢索查詢：{r.query}</div>}
+                                  <div className="truncate" title={r.retrieved.map(c => c.fileName).join(', ')}>
+                                    來源：{r.retrieved.map(c => `${c.fileName}${c.pages ? ` ${c.pages}` : ''} (${(c.similarity * 100).toFixed(0)}%)`).join('、') || '無'}
+                                  </div>
+                                  {r.expectedDocs.length > 0 && <div>預期文件：{r.expectedDocs.join('、')}</div>}
+                                  <div className="line-clamp-2 text-slate-600" title={r.answer}>
+                                    {r.abstained && <span className="text-amber-600">（未通過門檻）</span>}
+                                    回答：{r.answer}
+                                  </div>
+                                  {r.reason && <div className="italic">評語：{r.reason}</div>}
+                                  {r.judgeError && <div className="text-red-600">評分失敗：{r.judgeError}</div>}
+                                </div>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EvaluationModal;
@@ -145,7 +145,7 @@ const ExportImportModal = ({ isOpen, onClose, onImportComplete }) => {
                   onChange={(e) => setClearExisting(e.target.checked)}
                   className="accent-red-600"
                 />
-                <span className="text-red-600">清空現有資料後再匯入</span>
+                <span className="text-red-600">清空現有資料後再匯入（原有文件移至垃圾桶）</span>
               </label>
 
               <label className="flex flex-col items-center justify-center h-32 border-2 border-dashed border-gray-200 rounded-xl cursor-pointer hover:bg-gray-50 hover:border-green-300 transition-colors">
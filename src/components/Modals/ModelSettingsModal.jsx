@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import { X, SlidersHorizontal, Loader2, CheckCircle, AlertCircle, Key, Eye } from 'lucide-react';
+import {
+  LLM_PROVIDERS,
+  LLM_TASKS,
+  getTaskConfigs,
+  configureLLM,
+  setProviderCredential,
+  hasProviderCredential,
+  verifyLLMConfig,
+  DEFAULT_CONTEXT_TOKENS
+} from '../../lib/llm';
+import { saveSetting } from '../../lib/db';
+
+// 上下文預算下限，再小就放不下系統提示與一個參考區塊
+const MIN_CONTEXT_TOKENS = 2048;
+
+const ModelSettingsModal = ({ isOpen, onClose }) => {
+  const [configs, setConfigs] = useState({});
+  const [keys, setKeys] = useState({ openai: '', gemini: '' });
+  const [testResults, setTestResults] = useState({}); // { [task]: { type, message } }
+  const [testingTask, setTestingTask] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setConfigs(getTaskConfigs());
+      setKeys({ openai: '', gemini: '' });
+      setTestResults({});
+    }
+  }, [isOpen]);
+
+  const updateTask = (task, patch) => {
+    setConfigs(prev => ({ ...prev, [task]: { ...prev[task], ...patch } }));
+    setTestResults(prev => ({ ...prev, [task]: null }));
+  };
+
+  // 切換 Provider 時帶入該 Provider 的預設模型
+  const handleProviderChange = (task, provider) => {
+    const defaults = LLM_PROVIDERS.find(p => p.id === provider);
+    updateTask(task, { provider, model: defaults?.defaultModel || '' });
+  };
+
+  // 新輸入的 Key 才覆寫（留空表示沿用目前的 Key）
+  const applyKeys = () => {
+    Object.entries(keys).forEach(([provider, key]) => {
+      if (key.trim()) setProviderCredential(provider, key.trim());
+    });
+  };
+
+  const handleTest = async (task) => {
+    applyKeys();
+    setTestingTask(task);
+    try {
+      await verifyLLMConfig(configs[task]);
+      setTestResults(prev => ({ ...prev, [task]: { type: 'success', message: '連線成功' } }));
+    } catch (err) {
+      setTestResults(prev => ({ ...prev, [task]: { type: 'error', message: err.message } }));
+    } finally {
+      setTestingTask(null);
+    }
+  };
+
+  const handleSave = async () => {
+    const missing = LLM_TASKS.find(t =>
+      !configs[t.id].model?.trim() || (configs[t.id].provider === 'openai' && !configs[t.id].baseUrl?.trim())
+    );
+    if (missing) {
+      alert(`請完整設定「${missing.label}」的模型${configs[missing.id].provider === 'openai' ? '與 Base URL' : ''}`);
+      return;
+    }
+    const tooSmall = LLM_TASKS.find(t => t.contextBudget && !(configs[t.id].contextTokens >= MIN_CONTEXT_TOKENS));
+    if (tooSmall) {
+      alert(`「${tooSmall.label}」的上下文上限至少需要 ${MIN_CONTEXT_TOKENS} tokens`);
+      return;
+    }
+
+    applyKeys();
+    configureLLM(configs);
+    // 只保存 Provider / Base URL / 模型，API Key 不寫入資料庫
+    await saveSetting('llmTasks', configs);
+    onClose();
+  };
+
+  const usedProviders = new Set(Object.values(configs).map(c => c.provider));
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm">
+      <div className="bg-white rounded-2xl w-full max-w-2xl shadow-2xl overflow-hidden max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="p-4 border-b flex justify-between items-center bg-slate-50">
+          <h3 className="font-bold text-lg flex items-center gap-2">
+            <SlidersHorizontal size={20} className="text-purple-600" />
+            模型設定
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-4 overflow-y-auto custom-scrollbar">
+          <p className="text-xs text-slate-500">
+            每個任務可分別指定 Provider 與模型。OpenAI 相容可連接 vLLM、Ollama、LM Studio 等自架服務。
+          </p>
+
+          {LLM_TASKS.map((task) => {
+            const config = configs[task.id];
+            if (!config) return null;
+            const result = testResults[task.id];
+
+            return (
+              <div key={task.id} className="border border-slate-200 rounded-xl p-4 space-y-3">
+                <div className="flex items-center justify-between">
+                  <span className="font-medium text-slate-800 flex items-center gap-2">
+                    {task.label}
+                    {task.needsVision && (
+                      <span className="text-[10px] text-purple-600 bg-purple-50 px-1.5 py-0.5 rounded flex items-center gap-1">
+                        <Eye size={10} />
+                        需支援圖片
+                      </span>
+                    )}
+                  </span>
+                  <button
+                    onClick={() => handleTest(task.id)}
+                    disabled={testingTask !== null}
+                    className="text-xs px-3 py-1 rounded-lg bg-slate-100 hover:bg-slate-200 disabled:opacity-50 transition-colors flex items-center gap-1"
+                  >
+                    {testingTask === task.id && <Loader2 size={12} className="animate-spin" />}
+                    測試
+                  </button>
+                </div>
+
+                <div className="grid grid-cols-3 gap-2">
+                  <select
+                    value={config.provider}
+                    onChange={(e) => handleProviderChange(task.id, e.target.value)}
+                    className="p-2 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500 outline-none"
+                  >
+                    {LLM_PROVIDERS.map(p => (
+                      <option key={p.id} value={p.id}>{p.label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    placeholder={config.provider === 'openai' ? 'llama3.2-vision' : '模型名稱'}
+                    value={config.model}
+                    onChange={(e) => updateTask(task.id, { model: e.target.value })}
+                    className="col-span-2 p-2 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500 outline-none"
+                  />
+                </div>
+
+                {config.provider === 'openai' && (
+                  <input
+                    type="text"
+                    placeholder="http://localhost:11434/v1"
+                    value={config.baseUrl}
+                    onChange={(e) => updateTask(task.id, { baseUrl: e.target.value })}
+                    className="w-full p-2 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500 outline-none"
+                  />
+                )}
+
+                {task.contextBudget && (
+                  <label className="flex items-center gap-2 text-xs text-slate-500">
+                    上下文上限
+                    <input
+                      type="number"
+                      min={MIN_CONTEXT_TOKENS}
+                      step="1000"
+                      value={config.contextTokens ?? DEFAULT_CONTEXT_TOKENS}
+                      onChange={(e) => updateTask(task.id, { contextTokens: parseInt(e.target.value, 10) || 0 })}
+                      className="w-28 p-1 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500 outline-none"
+                    />
+                    tokens（輸入 + 輸出，超過時捨棄分數最低的參考資訊並摘要較早的對話）
+                  </label>
+                )}
+
+                {result && (
+                  <div className={`text-xs flex items-center gap-1 ${
+                    result.type === 'success' ? 'text-green-600' : 'text-red-600'
+                  }`}>
+                    {result.type === 'success' ? <CheckCircle size={12} /> : <AlertCircle size={12} />}
+                    {result.message}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          {/* API Keys（僅保存在記憶體） */}
+          {(usedProviders.has('openai') || usedProviders.has('gemini')) && (
+            <div className="bg-slate-50 rounded-xl p-4 space-y-3">
+              <div className="text-sm font-medium text-slate-700 flex items-center gap-2">
+                <Key size={14} />
+                API Key
+                <span className="text-xs font-normal text-slate-400">僅保存在瀏覽器記憶體，留空則沿用目前的 Key</span>
+              </div>
+              {usedProviders.has('gemini') && (
+                <input
+                  type="password"
+                  placeholder={hasProviderCredential('gemini') ? 'Gemini API Key（已設定）' : 'Gemini API Key (AIza...)'}
+                  value={keys.gemini}
+                  onChange={(e) => setKeys(prev => ({ ...prev, gemini: e.target.value }))}
+                  className="w-full p-2 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500 outline-none"
+                />
+              )}
+              {usedProviders.has('openai') && (
+                <input
+                  type="password"
+                  placeholder={hasProviderCredential('openai') ? 'OpenAI 相容 API Key（已設定）' : 'OpenAI 相容 API Key（選填）'}
+                  value={keys.openai}
+                  onChange={(e) => setKeys(prev => ({ ...prev, openai: e.target.value }))}
+                  className="w-full p-2 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500 outline-none"
+                />
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="p-4 border-t bg-gray-50 flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 hover:bg-gray-200 rounded-lg transition-colors"
+          >
+            取消
+          </button>
+          <button
+            onClick={handleSave}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+          >
+            儲存
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModelSettingsModal;
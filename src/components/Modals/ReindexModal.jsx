@@ -0,0 +1,336 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, RefreshCw, Loader2, AlertCircle, Pause, Play, FileText, Plug } from 'lucide-react';
+import {
+  EMBEDDING_PROVIDERS,
+  getEmbeddingInfo,
+  getSupportedDimensions,
+  getConnectedEmbeddingSpace,
+  isEmbeddingSpaceConnected,
+  connectEmbeddingTarget
+} from '../../lib/embeddings';
+import { isSameEmbeddingSpace, getDocumentEmbeddingSpace, formatEmbeddingSpace } from '../../lib/embeddingSpace';
+
+const ReindexModal = ({ isOpen, onClose, documents, reindexJob, onStart, onPause, onResume, onCancel }) => {
+  const active = getEmbeddingInfo();
+  const [providerId, setProviderId] = useState('gemini');
+  const [modelName, setModelName] = useState('');
+  const [baseUrl, setBaseUrl] = useState('');
+  const [apiKey, setApiKey] = useState('');
+  const [dimension, setDimension] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isConnecting, setIsConnecting] = useState(false);
+  const [connectError, setConnectError] = useState('');
+
+  // 目標模型：固定模型的 Provider（Gemini）或輸入的模型名稱；已連線時才能開始
+  const providerInfo = EMBEDDING_PROVIDERS.find(p => p.id === providerId);
+  const targetModel = providerInfo?.fixedModel || modelName.trim();
+  const connected = targetModel ? getConnectedEmbeddingSpace({ provider: providerId, model: targetModel }) : null;
+  const dimensions = getSupportedDimensions(providerId);
+  const isActiveModel = !!connected && active?.provider === connected.provider && active?.model === connected.model;
+  const defaultDimension = isActiveModel ? active.dimension : connected?.dimension;
+  const target = connected && {
+    ...connected,
+    dimension: dimensions?.includes(dimension) ? dimension : defaultDimension
+  };
+
+  // 預設勾選與目標向量空間不同的文件
+  const mismatchedIds = useMemo(() => (
+    target ? documents.filter(d => !isSameEmbeddingSpace(getDocumentEmbeddingSpace(d), target)).map(d => d.id) : []
+  ), [documents, target?.provider, target?.model, target?.dimension]);
+
+  // 開啟時以進行中工作的目標或目前的查詢模型為預設
+  useEffect(() => {
+    if (!isOpen) return;
+    const base = reindexJob?.target || active;
+    setProviderId(base?.provider || 'gemini');
+    setModelName(base?.provider === 'openai' ? base.model : '');
+    setBaseUrl(base?.baseUrl || '');
+    setApiKey('');
+    setConnectError('');
+    setDimension(base?.dimension || null);
+  }, [isOpen]);
+
+  useEffect(() => {
+    setSelectedIds(mismatchedIds);
+  }, [mismatchedIds]);
+
+  if (!isOpen || !active) return null;
+
+  const toggleDoc = (docId) => {
+    setSelectedIds(prev => prev.includes(docId) ? prev.filter(id => id !== docId) : [...prev, docId]);
+  };
+
+  const handleProviderChange = (id) => {
+    setProviderId(id);
+    setModelName(id === active.provider && id === 'openai' ? active.model : '');
+    setDimension(null);
+    setConnectError('');
+  };
+
+  // 連線目標模型（API Key 只保存在記憶體），不改變目前的查詢模型
+  const handleConnect = async () => {
+    setIsConnecting(true);
+    setConnectError('');
+    try {
+      await connectEmbeddingTarget({ provider: providerId, apiKey, baseUrl, model: targetModel });
+      setApiKey('');
+    } catch (err) {
+      setConnectError(err.message);
+    } finally {
+      setIsConnecting(false);
+    }
+  };
+
+  const canConnect = providerId === 'gemini' ? !!apiKey.trim() : !!baseUrl.trim() && !!targetModel;
+
+  const renderConnectionForm = () => (
+    <div className="border border-blue-100 bg-blue-50/50 rounded-xl p-3 space-y-2 text-sm">
+      <div className="text-xs text-slate-600 flex items-center gap-1">
+        <Plug size={12} />
+        連線 {providerInfo?.label} · {targetModel || '請輸入模型名稱'}（API Key 只保存在記憶體，重新整理後需重新連線）
+      </div>
+      {providerId === 'openai' && (
+        <input
+          type="text"
+          placeholder="Base URL，例如 http://localhost:11434/v1"
+          value={baseUrl}
+          onChange={(e) => setBaseUrl(e.target.value)}
+          className="w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+        />
+      )}
+      <input
+        type="password"
+        placeholder={providerId === 'gemini' ? 'Google AI Studio API Key' : 'API Key（選填）'}
+        value={apiKey}
+        onChange={(e) => setApiKey(e.target.value)}
+        className="w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+      />
+      {connectError && (
+        <div className="text-xs text-red-600 flex items-center gap-1">
+          <AlertCircle size={12} />
+          {connectError}
+        </div>
+      )}
+      <button
+        onClick={handleConnect}
+        disabled={isConnecting || !canConnect}
+        className="text-xs px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors flex items-center gap-1"
+      >
+        {isConnecting ? <Loader2 size={12} className="animate-spin" /> : <Plug size={12} />}
+        連線
+      </button>
+    </div>
+  );
+
+  // 轉換後目前查詢空間若仍有文件，查詢會繼續使用目前的向量空間
+  const remainingInActive = documents.filter(d =>
+    !selectedIds.includes(d.id) && isSameEmbeddingSpace(getDocumentEmbeddingSpace(d), active)
+  ).length;
+  const willSwitch = !!target && !isSameEmbeddingSpace(target, active) && remainingInActive === 0;
+  const jobNeedsConnection = !!reindexJob && reindexJob.status !== 'running' && !isEmbeddingSpaceConnected(reindexJob.target);
+
+  const selectedChunks = documents
+    .filter(d => selectedIds.includes(d.id))
+    .reduce((sum, d) => sum + (d.chunkCount || 0), 0);
+
+  const percent = reindexJob?.total > 0 ? Math.round((reindexJob.done / reindexJob.total) * 100) : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-[70] flex items-center justify-center p-4 backdrop-blur-sm">
+      <div className="bg-white rounded-2xl w-full max-w-2xl shadow-2xl overflow-hidden max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="p-4 border-b flex justify-between items-center bg-slate-50">
+          <h3 className="font-bold text-lg flex items-center gap-2">
+            <RefreshCw size={20} className="text-blue-600" />
+            重新向量化
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-4 overflow-y-auto custom-scrollbar">
+          <div className="text-sm text-slate-600 bg-blue-50 p-3 rounded-lg">
+            目前查詢使用：<span className="font-medium text-blue-700">{formatEmbeddingSpace(active)}</span>
+            <p className="text-xs text-slate-500 mt-1">
+              新向量全部完成後才會一次替換，處理期間搜尋仍使用舊向量與目前的查詢模型。不同向量空間的文件不會出現在搜尋結果中。
+            </p>
+          </div>
+
+          {reindexJob ? (
+            // 進行中的工作
+            <div className="border border-slate-200 rounded-xl p-4 space-y-3">
+              <div className="flex items-center gap-2 text-sm">
+                {reindexJob.status === 'running' ? (
+                  <Loader2 size={16} className="text-blue-600 animate-spin" />
+                ) : reindexJob.status === 'error' ? (
+                  <AlertCircle size={16} className="text-red-500" />
+                ) : (
+                  <Pause size={16} className="text-slate-500" />
+                )}
+                <span className="font-medium">
+                  {reindexJob.docIds.length} 份文件 → {formatEmbeddingSpace(reindexJob.target)}
+                </span>
+                <span className="ml-auto text-xs text-slate-500">{reindexJob.done}/{reindexJob.total}</span>
+              </div>
+              <div className="h-2 bg-slate-100 rounded overflow-hidden">
+                <div className="h-full bg-blue-500 transition-all" style={{ width: `${percent}%` }} />
+              </div>
+              <div className={`text-xs ${reindexJob.status === 'error' ? 'text-red-600' : 'text-slate-500'}`}>
+                {reindexJob.message}
+              </div>
+              {jobNeedsConnection && renderConnectionForm()}
+              <div className="flex justify-end gap-2">
+                {reindexJob.status === 'running' ? (
+                  <button
+                    onClick={onPause}
+                    className="text-xs px-3 py-1 rounded-lg bg-slate-100 hover:bg-slate-200 transition-colors flex items-center gap-1"
+                  >
+                    <Pause size={12} />
+                    暫停
+                  </button>
+                ) : (
+                  <button
+                    onClick={onResume}
+                    disabled={jobNeedsConnection}
+                    className="text-xs px-3 py-1 rounded-lg bg-slate-100 hover:bg-slate-200 disabled:opacity-50 transition-colors flex items-center gap-1"
+                  >
+                    <Play size={12} />
+                    {reindexJob.status === 'error' ? '重試' : '繼續'}
+                  </button>
+                )}
+                <button
+                  onClick={onCancel}
+                  className="text-xs px-3 py-1 rounded-lg text-red-600 hover:bg-red-50 transition-colors flex items-center gap-1"
+                >
+                  <X size={12} />
+                  取消
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              {/* 目標向量空間 */}
+              <div className="grid grid-cols-3 gap-3 text-sm">
+                <div>
+                  <label className="block text-xs text-slate-500 mb-1">服務</label>
+                  <select
+                    value={providerId}
+                    onChange={(e) => handleProviderChange(e.target.value)}
+                    className="w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+                  >
+                    {EMBEDDING_PROVIDERS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs text-slate-500 mb-1">模型</label>
+                  {providerInfo?.fixedModel ? (
+                    <div className="p-2 border rounded-lg bg-slate-50 text-slate-600 truncate">{providerInfo.fixedModel}</div>
+                  ) : (
+                    <input
+                      type="text"
+                      placeholder="nomic-embed-text"
+                      value={modelName}
+                      onChange={(e) => setModelName(e.target.value)}
+                      className="w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+                    />
+                  )}
+                </div>
+                <div>
+                  <label className="block text-xs text-slate-500 mb-1">維度</label>
+                  {dimensions ? (
+                    <select
+                      value={target?.dimension || dimension || dimensions[dimensions.length - 1]}
+                      onChange={(e) => setDimension(parseInt(e.target.value, 10))}
+                      className="w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+                    >
+                      {dimensions.map(d => <option key={d} value={d}>{d}</option>)}
+                    </select>
+                  ) : (
+                    <div className="p-2 border rounded-lg bg-slate-50 text-slate-600">
+                      {target ? `${target.dimension}（由模型決定）` : '連線後取得'}
+                    </div>
+                  )}
+                </div>
+              </div>
+              {target ? (
+                <p className="text-xs text-slate-400">
+                  更換服務或模型不需重新登入：在此連線目標模型，完成前查詢仍使用 {formatEmbeddingSpace(active)}。
+                </p>
+              ) : renderConnectionForm()}
+
+              {/* 文件清單 */}
+              <div className="flex justify-between items-center text-xs text-slate-500">
+                <span>選擇文件（已勾選 {selectedIds.length} 份，{selectedChunks} 個區塊）</span>
+                <div className="flex gap-2">
+                  <button onClick={() => setSelectedIds(mismatchedIds)} className="text-blue-600 hover:underline">
+                    僅不相容
+                  </button>
+                  <button onClick={() => setSelectedIds(documents.map(d => d.id))} className="text-blue-600 hover:underline">
+                    全選
+                  </button>
+                </div>
+              </div>
+              <div className="border rounded-xl divide-y max-h-60 overflow-y-auto custom-scrollbar">
+                {documents.map(doc => {
+                  const space = getDocumentEmbeddingSpace(doc);
+                  const compatible = !!target && isSameEmbeddingSpace(space, target);
+                  return (
+                    <label key={doc.id} className="flex items-center gap-2 p-2 text-sm hover:bg-slate-50 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(doc.id)}
+                        onChange={() => toggleDoc(doc.id)}
+                        className="accent-blue-600"
+                      />
+                      <FileText size={14} className="text-slate-400 shrink-0" />
+                      <span className="flex-1 truncate" title={doc.name}>{doc.name}</span>
+                      <span className={`text-[10px] px-1.5 py-0.5 rounded ${
+                        compatible ? 'bg-green-50 text-green-700' : 'bg-amber-50 text-amber-700'
+                      }`}>
+                        {formatEmbeddingSpace(space)}
+                      </span>
+                    </label>
+                  );
+                })}
+                {documents.length === 0 && (
+                  <div className="text-center text-slate-400 text-sm py-6">尚無文件</div>
+                )}
+              </div>
+
+              {target && !isSameEmbeddingSpace(target, active) && !willSwitch && (
+                <div className="text-xs text-amber-700 bg-amber-50 p-3 rounded-lg flex items-start gap-2">
+                  <AlertCircle size={14} className="shrink-0 mt-0.5" />
+                  尚有 {remainingInActive} 份文件使用目前的向量空間，完成後查詢仍維持 {formatEmbeddingSpace(active)}，
+                  已轉換的文件要等其餘文件也轉換後才會被搜尋到。
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="p-4 border-t bg-gray-50 flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 hover:bg-gray-200 rounded-lg transition-colors"
+          >
+            關閉
+          </button>
+          {!reindexJob && (
+            <button
+              onClick={() => onStart(selectedIds, target)}
+              disabled={!target || selectedIds.length === 0}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              開始重新向量化
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReindexModal;
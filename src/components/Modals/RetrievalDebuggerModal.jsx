@@ -0,0 +1,335 @@
+import React, { useState, useEffect } from 'react';
+import { X, Bug, Loader2, Search, AlertCircle, FileText, Check } from 'lucide-react';
+import { getEmbedding, getEmbeddingInfo } from '../../lib/embeddings';
+import { analyzeQueryIntent } from '../../lib/groq';
+import { searchChunks, searchChunksHybrid } from '../../lib/db';
+import { applyIntentFilters, EMPTY_INTENT_FILTERS, getLanguageLabel } from '../../lib/queryIntent';
+import { formatPageRange, highlightSnippet } from '../../lib/citations';
+import { isRelevantResult } from '../../lib/lexical';
+
+const LIMIT_OPTIONS = [5, 10, 20];
+
+const SEARCH_MODES = [
+  { value: 'vector', label: '向量' },
+  { value: 'hybrid', label: '混合 (BM25)' }
+];
+
+// 一組檢索設定的結果欄（可調整設定並套用到對話）
+const ConfigColumn = ({ label, config, onChange, results, otherIds, onApply }) => {
+  const passed = results?.filter(r => isRelevantResult(r, config.threshold)).length ?? 0;
+
+  return (
+    <div className="flex-1 min-w-0 border rounded-xl overflow-hidden flex flex-col">
+      {/* 設定 */}
+      <div className="p-3 bg-slate-50 border-b space-y-2 text-xs">
+        <div className="flex items-center justify-between">
+          <span className="font-bold text-slate-700">設定 {label}</span>
+          <button
+            onClick={onApply}
+            className="text-purple-600 hover:underline flex items-center gap-1"
+            title="將此設定套用到對話的檢索"
+          >
+            <Check size={12} />
+            套用至對話
+          </button>
+        </div>
+        <div className="flex items-center gap-2">
+          <span className="text-slate-500 w-12">模式</span>
+          <div className="flex bg-white border rounded overflow-hidden">
+            {SEARCH_MODES.map(({ value, label: modeLabel }) => (
+              <button
+                key={value}
+                onClick={() => onChange({ searchMode: value })}
+                className={`px-2 py-0.5 transition-colors ${
+                  config.searchMode === value ? 'bg-purple-600 text-white' : 'text-slate-500 hover:text-slate-800'
+                }`}
+              >
+                {modeLabel}
+              </button>
+            ))}
+          </div>
+          <select
+            value={config.limit}
+            onChange={(e) => onChange({ limit: parseInt(e.target.value, 10) })}
+            className="ml-auto p-0.5 border rounded bg-white"
+          >
+            {LIMIT_OPTIONS.map(n => <option key={n} value={n}>前 {n} 筆</option>)}
+          </select>
+        </div>
+        <div className="flex items-center gap-2">
+          <span className="text-slate-500 w-12">門檻</span>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={config.threshold}
+            onChange={(e) => onChange({ threshold: parseFloat(e.target.value) })}
+            className="flex-1 h-1 accent-purple-500"
+          />
+          <span className="text-purple-600 w-10 text-right">{(config.threshold * 100).toFixed(0)}%</span>
+        </div>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={config.includeHistory}
+            onChange={(e) => onChange({ includeHistory: e.target.checked })}
+            className="accent-purple-500"
+          />
+          <span className="text-slate-500">搜尋舊版本文件</span>
+        </label>
+      </div>
+
+      {/* 結果 */}
+      <div className="p-3 space-y-2 overflow-y-auto custom-scrollbar max-h-[45vh]">
+        {results == null ? (
+          <div className="text-center text-slate-400 text-xs py-6">輸入查詢後按「檢索」</div>
+        ) : results.length === 0 ? (
+          <div className="text-center text-slate-400 text-xs py-6">沒有任何結果</div>
+        ) : (
+          <>
+            <div className="text-[10px] text-slate-500">
+              {passed} / {results.length} 筆通過門檻{passed === 0 && '（對話中會回覆「知識庫中無相關資訊」）'}
+            </div>
+            {results.map((r, i) => {
+              const pass = isRelevantResult(r, config.threshold);
+              return (
+                <div
+                  key={r.id}
+                  className={`p-2 rounded-lg border text-xs ${pass ? 'border-slate-200' : 'border-slate-100 opacity-50'}`}
+                >
+                  <div className="flex items-center gap-2 mb-1">
+                    <span className="font-mono text-slate-400 w-5">#{i + 1}</span>
+                    <FileText size={12} className="text-slate-400 shrink-0" />
+                    <span className="truncate font-medium text-slate-700" title={r.metadata?.fileName}>
+                      {r.metadata?.fileName || '未知文件'}
+                    </span>
+                    <span className="text-slate-500 shrink-0">{formatPageRange(r.metadata)}</span>
+                    {r.historical && (
+                      <span className="text-[10px] bg-amber-100 text-amber-700 px-1 rounded shrink-0">舊版 v{r.version || 1}</span>
+                    )}
+                    {!otherIds.has(r.id) && (
+                      <span className="text-[10px] bg-blue-50 text-blue-600 px-1 rounded shrink-0">僅 {label}</span>
+                    )}
+                  </div>
+                  <div className="flex flex-wrap gap-x-3 text-[10px] text-slate-500 mb-1">
+                    <span>Cosine <span className="text-slate-800 font-mono">{r.similarity.toFixed(4)}</span></span>
+                    {config.searchMode === 'hybrid' && (
+                      <>
+                        <span>BM25 <span className="text-slate-800 font-mono">{(r.bm25Score || 0).toFixed(3)}</span></span>
+                        <span title="查詢詞的 IDF 加權涵蓋率">涵蓋 <span className="text-slate-800 font-mono">{((r.keywordCoverage || 0) * 100).toFixed(0)}%</span></span>
+                        <span>RRF <span className="text-slate-800 font-mono">{r.rrfScore.toFixed(4)}</span></span>
+                      </>
+                    )}
+                  </div>
+                  <div className="text-slate-600 leading-relaxed whitespace-pre-wrap">
+                    {highlightSnippet(r.content, r.query, 160).map((segment, k) => (
+                      segment.match
+                        ? <mark key={k} className="bg-yellow-200 text-slate-900 rounded px-0.5">{segment.text}</mark>
+                        : <span key={k}>{segment.text}</span>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * 檢索偵錯工具 - 只執行意圖分析與檢索，不呼叫回答模型
+ * 以兩組設定並排比較相似度門檻、檢索模式與筆數的效果
+ */
+const RetrievalDebuggerModal = ({
+  isOpen,
+  onClose,
+  chatHistory,
+  documents,
+  scopeDocIds,
+  documentFilter,
+  settings,
+  onApplySettings
+}) => {
+  const [query, setQuery] = useState('');
+  const [useRewrite, setUseRewrite] = useState(true);
+  const [useContext, setUseContext] = useState(false);
+  const [useScope, setUseScope] = useState(true);
+  const [configs, setConfigs] = useState([]);
+  const [intent, setIntent] = useState(null);
+  const [results, setResults] = useState([null, null]);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  // 開啟時以目前的對話設定為 A，B 預設改用另一種檢索模式
+  useEffect(() => {
+    if (!isOpen) return;
+    const base = { ...settings, limit: 5 };
+    setConfigs([base, { ...base, searchMode: settings.searchMode === 'hybrid' ? 'vector' : 'hybrid' }]);
+    setResults([null, null]);
+    setIntent(null);
+    setError('');
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const updateConfig = (index, patch) => {
+    setConfigs(prev => prev.map((c, i) => (i === index ? { ...c, ...patch } : c)));
+  };
+
+  const handleRun = async () => {
+    if (!query.trim() || isRunning) return;
+    setIsRunning(true);
+    setError('');
+
+    try {
+      // 與對話相同：先改寫查詢，再以改寫結果向量化
+      const analyzed = useRewrite
+        ? await analyzeQueryIntent(query, useContext ? chatHistory : [], { documents })
+        : { type: 'search', newQuery: query, filters: EMPTY_INTENT_FILTERS };
+      const searchQuery = analyzed.newQuery || query;
+
+      // 與對話相同：問題中提到的分類、文件與日期範圍自動縮小搜尋範圍
+      const scoped = applyIntentFilters(analyzed.filters, documents, {
+        scopeDocIds: useScope ? scopeDocIds : null,
+        documentFilter: useScope ? documentFilter : null
+      });
+      setIntent({ ...analyzed, applied: scoped.applied });
+
+      const vec = await getEmbedding(searchQuery);
+      const space = getEmbeddingInfo();
+      const docIds = scoped.scopeDocIds;
+      const filter = scoped.documentFilter;
+
+      const next = [];
+      for (const config of configs) {
+        const options = { space, includeHistory: config.includeHistory, documentFilter: filter };
+        const found = config.searchMode === 'hybrid'
+          ? await searchChunksHybrid(`${query} ${searchQuery}`, vec, docIds, config.limit, options)
+          : await searchChunks(vec, docIds, config.limit, options);
+        next.push(found.map(r => ({ ...r, query: searchQuery })));
+      }
+      setResults(next);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const idSets = results.map(r => new Set((r || []).map(c => c.id)));
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm">
+      <div className="bg-white rounded-2xl w-full max-w-6xl shadow-2xl overflow-hidden max-h-[95vh] flex flex-col">
+        {/* Header */}
+        <div className="p-4 border-b flex justify-between items-center bg-slate-50">
+          <h3 className="font-bold text-lg flex items-center gap-2">
+            <Bug size={20} className="text-purple-600" />
+            檢索偵錯工具
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-4 overflow-y-auto custom-scrollbar">
+          <form
+            onSubmit={(e) => { e.preventDefault(); handleRun(); }}
+            className="flex gap-2"
+          >
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="輸入要測試的問題..."
+              className="flex-1 p-3 border rounded-xl focus:ring-2 focus:ring-purple-500 outline-none"
+            />
+            <button
+              type="submit"
+              disabled={isRunning || !query.trim()}
+              className="px-4 bg-purple-600 text-white rounded-xl hover:bg-purple-700 disabled:opacity-50 transition-colors flex items-center gap-2"
+            >
+              {isRunning ? <Loader2 size={16} className="animate-spin" /> : <Search size={16} />}
+              檢索
+            </button>
+          </form>
+
+          <div className="flex flex-wrap gap-4 text-xs text-slate-600">
+            <label className="flex items-center gap-1.5 cursor-pointer">
+              <input type="checkbox" checked={useRewrite} onChange={(e) => setUseRewrite(e.target.checked)} className="accent-purple-500" />
+              以意圖分析改寫查詢
+            </label>
+            <label className={`flex items-center gap-1.5 cursor-pointer ${!useRewrite ? 'opacity-40' : ''}`}>
+              <input
+                type="checkbox"
+                checked={useContext}
+                disabled={!useRewrite}
+                onChange={(e) => setUseContext(e.target.checked)}
+                className="accent-purple-500"
+              />
+              參考目前對話的脈絡
+            </label>
+            <label className="flex items-center gap-1.5 cursor-pointer">
+              <input type="checkbox" checked={useScope} onChange={(e) => setUseScope(e.target.checked)} className="accent-purple-500" />
+              套用目前的搜尋範圍與文件篩選
+            </label>
+          </div>
+
+          {intent && (
+            <div className="text-xs bg-purple-50 text-slate-600 p-3 rounded-lg space-y-1">
+              <div>
+                意圖：<span className="font-medium text-purple-700">{intent.type === 'search' ? '檢索 (search)' : '一般對話 (chat)'}</span>
+                {intent.type !== 'search' && (
+                  <span className="text-amber-700 ml-2">對話中不會重新檢索，會沿用上一輪的來源</span>
+                )}
+              </div>
+              <div>
+                檢索查詢：<span className="font-medium text-slate-800">{intent.newQuery || query}</span>
+              </div>
+              {intent.applied?.documents && <div>自動篩選文件：{intent.applied.documents.join('、')}</div>}
+              {intent.applied?.categories && <div>自動篩選分類：{intent.applied.categories.join('、')}</div>}
+              {(intent.applied?.dateFrom || intent.applied?.dateTo) && (
+                <div>自動篩選日期：{intent.applied.dateFrom || '不限'} ～ {intent.applied.dateTo || '不限'}</div>
+              )}
+              {intent.filters.language && <div>回答語言：{getLanguageLabel(intent.filters.language)}</div>}
+              {intent.fallback && (
+                <div className="text-amber-700">意圖分析失敗（{intent.fallback}），已直接以原始問題檢索</div>
+              )}
+            </div>
+          )}
+
+          {error && (
+            <div className="text-xs text-red-600 bg-red-50 p-3 rounded-lg flex items-center gap-2">
+              <AlertCircle size={14} />
+              {error}
+            </div>
+          )}
+
+          <div className="flex gap-4">
+            {configs.map((config, i) => (
+              <ConfigColumn
+                key={i}
+                label={i === 0 ? 'A' : 'B'}
+                config={config}
+                onChange={(patch) => updateConfig(i, patch)}
+                results={results[i]}
+                otherIds={idSets[1 - i]}
+                onApply={() => onApplySettings(config)}
+              />
+            ))}
+          </div>
+
+          <p className="text-xs text-slate-400">
+            此工具只呼叫意圖分析與向量化 API，不會產生回答。區塊大小於匯入時決定，調整後需重新上傳文件。
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RetrievalDebuggerModal;
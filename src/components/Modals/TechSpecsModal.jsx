@@ -1,14 +1,33 @@
-import React from 'react';
-import { X, Code2, ShieldCheck, Zap, Database, Cpu, Globe } from 'lucide-react';
-import { getEmbeddingModelInfo } from '../../lib/gemini';
+import React, { useState, useEffect } from 'react';
+import { X, Code2, ShieldCheck, Zap, Database, Cpu, Globe, RefreshCw, Layers, Trash2, Gauge } from 'lucide-react';
+import { getEmbeddingModelInfo, getEmbeddingCacheInfo, purgeEmbeddingCache } from '../../lib/embeddings';
 import { getModelInfo } from '../../lib/groq';
+import { LLM_TASKS, LLM_PROVIDERS } from '../../lib/llm';
+import { getBudgetInfo } from '../../lib/budget';
+
+const TechSpecsModal = ({ isOpen, onClose, storageStats = null, onReindexClick }) => {
+  const [cacheInfo, setCacheInfo] = useState(null);
+  const [budgetInfo, setBudgetInfo] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    getEmbeddingCacheInfo().then(setCacheInfo);
+    getBudgetInfo().then(setBudgetInfo);
+  }, [isOpen]);
+
+  const handlePurgeCache = async () => {
+    if (!confirm('確定要清除向量快取嗎？已存入知識庫的文件不受影響，之後相同內容需重新呼叫 API。')) return;
+    await purgeEmbeddingCache();
+    setCacheInfo(await getEmbeddingCacheInfo());
+  };
 
-const TechSpecsModal = ({ isOpen, onClose, storageStats = null }) => {
   if (!isOpen) return null;
 
   const embeddingInfo = getEmbeddingModelInfo();
   const groqInfo = getModelInfo();
 
+  const formatCount = (value) => (value == null ? '-' : value.toLocaleString());
+
   const formatBytes = (bytes) => {
     if (bytes < 1024) return `${bytes} B`;
     if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
@@ -38,11 +57,11 @@ const TechSpecsModal = ({ isOpen, onClose, storageStats = null }) => {
               混合模型架構
             </h4>
             <div className="grid grid-cols-2 gap-4">
-              {/* Gemini */}
+              {/* Embedding */}
               <div className="bg-white p-4 rounded-xl border border-blue-200">
                 <div className="flex items-center gap-2 mb-2">
                   <Database size={18} className="text-blue-600" />
-                  <span className="font-bold text-blue-800">Google Gemini</span>
+                  <span className="font-bold text-blue-800">{embeddingInfo.provider}</span>
                 </div>
                 <ul className="text-xs text-slate-600 space-y-1">
                   <li>• 模型: {embeddingInfo.id}</li>
@@ -50,19 +69,28 @@ const TechSpecsModal = ({ isOpen, onClose, storageStats = null }) => {
                   <li>• 維度: {embeddingInfo.dimensions}</li>
                   <li>• 速率: {embeddingInfo.rateLimit}</li>
                 </ul>
+                {onReindexClick && (
+                  <button
+                    onClick={onReindexClick}
+                    className="mt-3 text-xs text-blue-600 hover:text-blue-800 flex items-center gap-1"
+                  >
+                    <RefreshCw size={12} />
+                    重新向量化 / 變更維度
+                  </button>
+                )}
               </div>
 
               {/* Groq */}
               <div className="bg-white p-4 rounded-xl border border-purple-200">
                 <div className="flex items-center gap-2 mb-2">
                   <Zap size={18} className="text-purple-600" />
-                  <span className="font-bold text-purple-800">Groq (Llama 4)</span>
+                  <span className="font-bold text-purple-800">{groqInfo.provider}</span>
                 </div>
                 <ul className="text-xs text-slate-600 space-y-1">
                   <li>• 模型: {groqInfo.name}</li>
-                  <li>• 任務: 對話 + 視覺分析</li>
+                  <li>• 任務: {groqInfo.maxImages ? '對話 + 視覺分析' : '對話'}</li>
                   <li>• Context: {groqInfo.contextWindow}</li>
-                  <li>• 圖片: 最多 5 張/請求</li>
+                  {groqInfo.maxImages && <li>• 圖片: 最多 {groqInfo.maxImages} 張/請求</li>}
                 </ul>
               </div>
             </div>
@@ -144,6 +172,100 @@ const TechSpecsModal = ({ isOpen, onClose, storageStats = null }) => {
             </section>
           )}
 
+          {/* Embedding Cache */}
+          {cacheInfo && (
+            <section>
+              <div className="flex items-center justify-between mb-4">
+                <h4 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+                  <Layers className="text-blue-600" size={20} />
+                  向量快取
+                </h4>
+                <button
+                  onClick={handlePurgeCache}
+                  disabled={cacheInfo.count === 0}
+                  className="text-xs px-3 py-1 rounded-lg text-red-600 hover:bg-red-50 disabled:opacity-40 transition-colors flex items-center gap-1"
+                >
+                  <Trash2 size={12} />
+                  清除快取
+                </button>
+              </div>
+              <div className="grid grid-cols-3 gap-4">
+                <div className="bg-gray-50 p-4 rounded-xl">
+                  <div className="text-2xl font-bold text-slate-800">{cacheInfo.count}</div>
+                  <div className="text-sm text-slate-500">快取筆數</div>
+                </div>
+                <div className="bg-gray-50 p-4 rounded-xl">
+                  <div className="text-2xl font-bold text-slate-800">{formatBytes(cacheInfo.bytes)}</div>
+                  <div className="text-sm text-slate-500">估計大小</div>
+                </div>
+                <div className="bg-gray-50 p-4 rounded-xl">
+                  <div className="text-2xl font-bold text-slate-800">
+                    {cacheInfo.hits + cacheInfo.misses > 0
+                      ? `${Math.round((cacheInfo.hits / (cacheInfo.hits + cacheInfo.misses)) * 100)}%`
+                      : '-'}
+                  </div>
+                  <div className="text-sm text-slate-500">本次命中率（{cacheInfo.hits}/{cacheInfo.hits + cacheInfo.misses}）</div>
+                </div>
+              </div>
+              {Object.keys(cacheInfo.byModel).length > 0 && (
+                <div className="text-xs text-slate-500 mt-3 space-y-1">
+                  {Object.entries(cacheInfo.byModel).map(([label, count]) => (
+                    <div key={label}>• {label}：{count} 筆</div>
+                  ))}
+                </div>
+              )}
+              <p className="text-xs text-slate-400 mt-2">
+                相同內容（同模型、維度與用途）的文字直接使用快取向量，重新上傳修訂版文件時只需向量化有變動的段落。
+              </p>
+            </section>
+          )}
+
+          {/* API Usage */}
+          {budgetInfo && (
+            <section>
+              <h4 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
+                <Gauge className="text-purple-600" size={20} />
+                今日 API 用量
+                <span className="text-xs font-normal text-slate-400">{budgetInfo.date}</span>
+              </h4>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-slate-500 border-b">
+                    <th className="py-2 font-medium">功能</th>
+                    <th className="py-2 font-medium text-right">請求數</th>
+                    <th className="py-2 font-medium text-right">輸入 tokens</th>
+                    <th className="py-2 font-medium text-right">輸出 tokens</th>
+                  </tr>
+                </thead>
+                <tbody className="text-slate-700">
+                  {LLM_TASKS.map(task => {
+                    const usage = budgetInfo.tasks[task.id];
+                    const prefix = usage?.estimated ? '≈ ' : '';
+                    return (
+                      <tr key={task.id} className="border-b border-gray-50">
+                        <td className="py-2">{task.label}</td>
+                        <td className="py-2 text-right font-mono">{usage?.requests || 0}</td>
+                        <td className="py-2 text-right font-mono">{prefix}{formatCount(usage?.promptTokens || 0)}</td>
+                        <td className="py-2 text-right font-mono">{prefix}{formatCount(usage?.completionTokens || 0)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {Object.entries(budgetInfo.limits).filter(([, l]) => l.rpm || l.tpm || l.rpd).map(([provider, l]) => (
+                <div key={provider} className="text-xs text-slate-500 mt-3 space-y-1">
+                  <div className="font-medium text-slate-600">{LLM_PROVIDERS.find(p => p.id === provider)?.label || provider} 速率限制</div>
+                  {l.rpm && <div>• 最近一分鐘請求：{l.requestsLastMinute} / {l.rpm} RPM</div>}
+                  {l.tpm && <div>• 本分鐘剩餘 tokens：{formatCount(l.remainingTokens ?? l.tpm)} / {formatCount(l.tpm)} TPM</div>}
+                  {l.rpd && <div>• 今日剩餘請求：{formatCount(l.remainingRequests ?? l.rpd)} / {formatCount(l.rpd)} RPD</div>}
+                </div>
+              ))}
+              <p className="text-xs text-slate-400 mt-2">
+                依回應的 usage 統計，標示 ≈ 者含估算值。送出請求前會依剩餘額度自動排程，需等待超過 1 分鐘時直接提示稍後再試。
+              </p>
+            </section>
+          )}
+
           {/* Version Info */}
           <section className="bg-slate-50 p-4 rounded-xl">
             <h4 className="text-sm font-bold text-slate-700 mb-2 flex items-center gap-2">
@@ -152,7 +274,7 @@ const TechSpecsModal = ({ isOpen, onClose, storageStats = null }) => {
             </h4>
             <div className="text-xs text-slate-500 space-y-1">
               <div>RAG Engine: V3.0 (Hybrid)</div>
-              <div>Embedding: Gemini ({embeddingInfo.id})</div>
+              <div>Embedding: {embeddingInfo.provider} ({embeddingInfo.id})</div>
               <div>Chat/Vision: Groq ({groqInfo.id})</div>
               <div>Chunk Strategy: Semantic (sentence-aware)</div>
             </div>
@@ -1,19 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { X, Upload, FileText, Clock, ScanLine, Type } from 'lucide-react';
-import { getDocumentStats } from '../../lib/pdf';
+import { getFileStats, getAcceptedFileTypes, getSupportedFormatLabels } from '../../lib/parsers';
 
 const UploadModal = ({ isOpen, onClose, onUpload, existingCategories }) => {
-  const [file, setFile] = useState(null);
-  const [fileStats, setFileStats] = useState(null);
+  const [files, setFiles] = useState([]); // [{ file, stats, error }]
   const [mode, setMode] = useState('existing');
   const [selectedCategory, setSelectedCategory] = useState('');
   const [newCategory, setNewCategory] = useState('');
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
 
   useEffect(() => {
     if (isOpen) {
-      setFile(null);
-      setFileStats(null);
+      setFiles([]);
       setNewCategory('');
       if (existingCategories.length > 0) {
         setMode('existing');
@@ -24,28 +23,53 @@ const UploadModal = ({ isOpen, onClose, onUpload, existingCategories }) => {
     }
   }, [isOpen, existingCategories]);
 
-  const handleFileSelect = async (e) => {
-    const f = e.target.files?.[0];
-    if (f) {
-      setFile(f);
-      setIsAnalyzing(true);
+  // 逐一分析新加入的檔案（不支援的格式會標示錯誤，不會送出）
+  const addFiles = async (fileList) => {
+    const incoming = [...fileList].filter(f =>
+      !files.some(entry => entry.file.name === f.name && entry.file.size === f.size)
+    );
+    if (incoming.length === 0) return;
+
+    setIsAnalyzing(true);
+    const analyzed = [];
+    for (const f of incoming) {
       try {
-        const stats = await getDocumentStats(f);
-        setFileStats(stats);
+        analyzed.push({ file: f, stats: await getFileStats(f), error: null });
       } catch (err) {
-        console.error('Failed to analyze PDF:', err);
+        console.error('Failed to analyze document:', err);
+        analyzed.push({ file: f, stats: null, error: err.message });
       }
-      setIsAnalyzing(false);
     }
+    setFiles(prev => [...prev, ...analyzed]);
+    setIsAnalyzing(false);
+  };
+
+  const handleFileSelect = (e) => {
+    if (e.target.files?.length) addFiles(e.target.files);
+    e.target.value = '';
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (e.dataTransfer.files?.length) addFiles(e.dataTransfer.files);
+  };
+
+  const removeFile = (index) => {
+    setFiles(prev => prev.filter((_, i) => i !== index));
   };
 
+  const validFiles = files.filter(entry => !entry.error);
+  const totalChunks = validFiles.reduce((sum, entry) => sum + (entry.stats?.estimatedChunks || 0), 0);
+  const totalTime = validFiles.reduce((sum, entry) => sum + (entry.stats?.estimatedTime || 0), 0);
+
   const handleSubmit = () => {
     const category = mode === 'existing' ? selectedCategory : newCategory;
-    if (!file || !category.trim()) {
+    if (validFiles.length === 0 || !category.trim()) {
       alert('請選擇檔案並設定分類');
       return;
     }
-    onUpload(file, category);
+    onUpload(validFiles.map(entry => entry.file), category);
     onClose();
   };
 
@@ -73,81 +97,114 @@ const UploadModal = ({ isOpen, onClose, onUpload, existingCategories }) => {
         </div>
 
         {/* Content */}
-        <div className="p-6 space-y-4">
+        <div className="p-6 space-y-4 max-h-[75vh] overflow-y-auto">
           {/* File Drop Zone */}
-          <label className="flex flex-col items-center justify-center h-32 border-2 border-dashed border-gray-200 rounded-xl cursor-pointer hover:bg-gray-50 hover:border-blue-300 transition-colors">
-            {file ? (
-              <div className="text-center">
-                <FileText size={24} className="mx-auto text-blue-600 mb-2" />
-                <span className="text-sm font-medium text-gray-700">{file.name}</span>
-                <span className="text-xs text-gray-500 block mt-1">
-                  {(file.size / 1024 / 1024).toFixed(2)} MB
-                </span>
-              </div>
-            ) : (
-              <div className="text-center text-gray-500">
-                <Upload size={24} className="mx-auto mb-2" />
-                <span className="text-sm">點擊或拖曳 PDF 檔案</span>
-              </div>
-            )}
+          <label
+            onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+            className={`flex flex-col items-center justify-center h-28 border-2 border-dashed rounded-xl cursor-pointer transition-colors ${
+              isDragging
+                ? 'bg-blue-50 border-blue-400'
+                : 'border-gray-200 hover:bg-gray-50 hover:border-blue-300'
+            }`}
+          >
+            <div className="text-center text-gray-500">
+              <Upload size={24} className="mx-auto mb-2" />
+              <span className="text-sm">點擊或拖曳文件（可多選）</span>
+              <span className="text-xs text-gray-400 block mt-1">
+                支援 {getSupportedFormatLabels().join('、')}
+              </span>
+            </div>
             <input
               type="file"
+              multiple
               className="hidden"
-              accept=".pdf"
+              accept={getAcceptedFileTypes()}
               onChange={handleFileSelect}
             />
           </label>
 
-          {/* File Stats */}
+          {/* File List */}
+          {files.length > 0 && (
+            <div className="space-y-2">
+              {files.map((entry, index) => (
+                <div
+                  key={`${entry.file.name}-${entry.file.size}`}
+                  className={`p-2 rounded-lg border text-sm flex items-start gap-2 ${
+                    entry.error
+                      ? 'bg-red-50 border-red-200'
+                      : entry.stats?.needsOCR
+                        ? 'bg-amber-50 border-amber-200'
+                        : 'bg-green-50 border-green-200'
+                  }`}
+                >
+                  {entry.error ? (
+                    <FileText size={16} className="text-red-500 mt-0.5 shrink-0" />
+                  ) : entry.stats?.needsOCR ? (
+                    <ScanLine size={16} className="text-amber-600 mt-0.5 shrink-0" />
+                  ) : (
+                    <Type size={16} className="text-green-600 mt-0.5 shrink-0" />
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium text-gray-700 truncate" title={entry.file.name}>
+                      {entry.file.name}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {(entry.file.size / 1024 / 1024).toFixed(2)} MB
+                      {entry.error ? (
+                        <span className="text-red-600"> · {entry.error}</span>
+                      ) : (
+                        <>
+                          {' · '}
+                          {entry.stats.needsOCR
+                            ? '圖片型 PDF - 自動 OCR'
+                            : entry.stats.format === 'pdf' ? '文字型 PDF' : `${entry.stats.formatLabel} 文件`}
+                          {entry.stats.pages != null && ` · ${entry.stats.pages} 頁`}
+                          {` · 約 ${entry.stats.estimatedChunks} 個區塊`}
+                        </>
+                      )}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => removeFile(index)}
+                    className="text-gray-400 hover:text-red-500"
+                    title="移除"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
           {isAnalyzing && (
             <div className="text-center text-sm text-gray-500">
               分析文件中...
             </div>
           )}
-          {fileStats && (
-            <div className="space-y-2">
-              {/* OCR Badge */}
-              {fileStats.needsOCR ? (
-                <div className="bg-amber-50 border border-amber-200 p-3 rounded-lg">
-                  <div className="flex items-center gap-2 text-amber-700 font-medium mb-1">
-                    <ScanLine size={16} />
-                    <span>圖片型 PDF - 自動 OCR</span>
-                  </div>
-                  <p className="text-xs text-amber-600">
-                    此 PDF 為掃描版或圖片型文件，將自動使用 Groq Vision AI 逐頁進行 OCR 文字識別。
-                  </p>
-                </div>
-              ) : (
-                <div className="bg-green-50 border border-green-200 p-2 rounded-lg flex items-center gap-2 text-green-700 text-sm">
-                  <Type size={16} />
-                  <span>文字型 PDF - 直接提取</span>
-                </div>
-              )}
 
-              {/* Stats */}
-              <div className="bg-blue-50 p-3 rounded-lg text-sm space-y-1">
-                <div className="flex justify-between">
-                  <span className="text-gray-600">頁數：</span>
-                  <span className="font-medium">{fileStats.pages} 頁</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-600">預估區塊：</span>
-                  <span className="font-medium">{fileStats.estimatedChunks} 個</span>
-                </div>
-                {fileStats.needsOCR && (
-                  <div className="flex justify-between text-amber-600">
-                    <span>OCR 頁數：</span>
-                    <span className="font-medium">{fileStats.pages} 頁（自動處理）</span>
-                  </div>
-                )}
-                <div className="flex justify-between items-center text-orange-600">
-                  <span className="flex items-center gap-1">
-                    <Clock size={14} />
-                    預估時間：
-                  </span>
-                  <span className="font-medium">{formatTime(fileStats.estimatedTime)}</span>
-                </div>
+          {/* Summary */}
+          {validFiles.length > 0 && (
+            <div className="bg-blue-50 p-3 rounded-lg text-sm space-y-1">
+              <div className="flex justify-between">
+                <span className="text-gray-600">檔案數：</span>
+                <span className="font-medium">{validFiles.length} 個</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">預估區塊：</span>
+                <span className="font-medium">{totalChunks} 個</span>
+              </div>
+              <div className="flex justify-between items-center text-orange-600">
+                <span className="flex items-center gap-1">
+                  <Clock size={14} />
+                  預估時間：
+                </span>
+                <span className="font-medium">{formatTime(totalTime)}</span>
               </div>
+              <p className="text-xs text-gray-500 pt-1">
+                檔案會在背景依序處理，期間仍可繼續對話；重新整理頁面後會從中斷處繼續。
+              </p>
             </div>
           )}
 
@@ -209,10 +266,10 @@ const UploadModal = ({ isOpen, onClose, onUpload, existingCategories }) => {
           </button>
           <button
             onClick={handleSubmit}
-            disabled={!file}
+            disabled={validFiles.length === 0 || isAnalyzing}
             className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
           >
-            開始處理
+            加入佇列
           </button>
         </div>
       </div>
@@ -2,3 +2,9 @@ export { default as UploadModal } from './UploadModal';
 export { default as TechSpecsModal } from './TechSpecsModal';
 export { default as PDFPageAnalyzer } from './PDFPageAnalyzer';
 export { default as ExportImportModal } from './ExportImportModal';
+export { default as ModelSettingsModal } from './ModelSettingsModal';
+export { default as ReindexModal } from './ReindexModal';
+export { default as DocumentVersionsModal } from './DocumentVersionsModal';
+export { default as DocumentMetadataModal } from './DocumentMetadataModal';
+export { default as RetrievalDebuggerModal } from './RetrievalDebuggerModal';
+export { default as EvaluationModal } from './EvaluationModal';
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   BookOpen,
   Trash2,
@@ -10,27 +10,127 @@ import {
   HardDrive,
   Eye,
   Zap,
-  Database
+  Database,
+  MessageSquare,
+  Plus,
+  Pin,
+  PinOff,
+  Pause,
+  Play,
+  X,
+  Loader2,
+  AlertCircle,
+  SlidersHorizontal,
+  RefreshCw,
+  History,
+  FileUp,
+  ChevronDown,
+  ChevronRight,
+  ArchiveRestore,
+  Tag,
+  Filter,
+  Crosshair,
+  Bug,
+  FlaskConical
 } from 'lucide-react';
+import { EMPTY_DOCUMENT_FILTER, isDocumentFilterActive, matchesDocumentFilter } from '../lib/documentFilter';
+
+const JOB_STATUS_LABELS = {
+  queued: '排隊中',
+  running: '處理中',
+  paused: '已暫停',
+  error: '失敗'
+};
+
+const TRASH_RETENTION_OPTIONS = [7, 30, 90];
 
 const Sidebar = ({
+  sessions,
+  activeSessionId,
+  onSelectSession,
+  onCreateSession,
+  onRenameSession,
+  onDeleteSession,
+  onTogglePinSession,
+  isProcessing,
+  ingestJobs,
+  onPauseJob,
+  onResumeJob,
+  onCancelJob,
+  reindexJob,
+  mismatchedDocCount,
+  onReindexClick,
   groupedDocs,
   selectedCategories,
   setSelectedCategories,
+  selectedDocIds,
+  setSelectedDocIds,
+  onChatWithDoc,
   expandedCategories,
   setExpandedCategories,
   similarityThreshold,
   setSimilarityThreshold,
+  searchMode,
+  setSearchMode,
+  includeHistory,
+  setIncludeHistory,
+  onShowVersions,
+  onUploadVersion,
+  onEditMetadata,
+  documentFilter,
+  setDocumentFilter,
+  allTags,
+  trashEntries,
+  trashRetentionDays,
+  onTrashRetentionChange,
+  onRestoreTrash,
+  onPurgeTrashEntry,
+  onEmptyTrash,
   onDeleteDoc,
   onDeleteCategory,
   onRenameCategory,
   onClearAll,
   onUploadClick,
   onPageAnalyzerClick,
+  onRetrievalDebuggerClick,
+  onEvaluationClick,
   onTechSpecsClick,
   onExportImportClick,
+  onModelSettingsClick,
   storageStats
 }) => {
+  const [showTrash, setShowTrash] = useState(false);
+  const [showFilter, setShowFilter] = useState(false);
+
+  const filterActive = isDocumentFilterActive(documentFilter);
+  const allDocs = Object.values(groupedDocs).flat();
+  const matchedDocCount = filterActive
+    ? allDocs.filter(d => matchesDocumentFilter(d, documentFilter)).length
+    : allDocs.length;
+
+  const updateFilter = (patch) => {
+    setDocumentFilter(prev => ({ ...prev, ...patch }));
+  };
+
+  const toggleFilterTag = (tag) => {
+    updateFilter({
+      tags: documentFilter.tags.includes(tag)
+        ? documentFilter.tags.filter(t => t !== tag)
+        : [...documentFilter.tags, tag]
+    });
+  };
+
+  // 文件名稱的提示：顯示作者、日期與標籤
+  const getDocTooltip = (doc) => {
+    return [
+      doc.name,
+      doc.author && `作者：${doc.author}`,
+      doc.source && `來源：${doc.source}`,
+      doc.date && `日期：${doc.date}`,
+      doc.tags?.length > 0 && `標籤：${doc.tags.join(', ')}`
+    ].filter(Boolean).join('\n');
+  };
+
   const toggleCategory = (cat) => {
     setExpandedCategories(prev => ({ ...prev, [cat]: !prev[cat] }));
   };
@@ -41,6 +141,12 @@ const Sidebar = ({
     );
   };
 
+  const toggleDocSelection = (docId) => {
+    setSelectedDocIds(prev =>
+      prev.includes(docId) ? prev.filter(id => id !== docId) : [...prev, docId]
+    );
+  };
+
   const formatBytes = (bytes) => {
     if (!bytes) return '0 B';
     if (bytes < 1024) return `${bytes} B`;
@@ -68,8 +174,217 @@ const Sidebar = ({
         <span className="ml-auto text-xs bg-purple-600 px-2 py-0.5 rounded">V3</span>
       </div>
 
-      {/* Category List */}
+      {/* Session & Category List */}
       <div className="flex-1 overflow-y-auto p-4 space-y-4 custom-scrollbar">
+        {/* Session List */}
+        <div className="flex justify-between items-center px-2 text-xs font-semibold text-slate-400">
+          <span>對話清單</span>
+          <button
+            onClick={onCreateSession}
+            disabled={isProcessing}
+            className="text-slate-500 hover:text-white transition-colors disabled:opacity-30"
+            title="新對話"
+          >
+            <Plus size={14} />
+          </button>
+        </div>
+
+        <div className="space-y-1">
+          {sessions.map((session) => (
+            <div
+              key={session.id}
+              className={`flex items-center gap-2 text-xs p-2 rounded-lg group transition-colors ${
+                session.id === activeSessionId
+                  ? 'bg-purple-600/30 text-white'
+                  : 'text-slate-300 hover:bg-slate-800'
+              }`}
+            >
+              <button
+                className="flex-1 text-left truncate flex items-center gap-2 disabled:cursor-not-allowed"
+                onClick={() => onSelectSession(session.id)}
+                disabled={isProcessing}
+              >
+                {session.pinned ? (
+                  <Pin size={12} className="text-purple-400 shrink-0" />
+                ) : (
+                  <MessageSquare size={12} className="text-slate-500 shrink-0" />
+                )}
+                <span className="truncate" title={session.title}>{session.title}</span>
+              </button>
+              <div className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                <button
+                  onClick={() => onTogglePinSession(session)}
+                  className="text-slate-400 hover:text-white"
+                  title={session.pinned ? '取消置頂' : '置頂'}
+                >
+                  {session.pinned ? <PinOff size={12} /> : <Pin size={12} />}
+                </button>
+                <button
+                  onClick={() => onRenameSession(session)}
+                  className="text-slate-400 hover:text-white"
+                  title="重新命名"
+                >
+                  <Edit2 size={12} />
+                </button>
+                <button
+                  onClick={() => onDeleteSession(session)}
+                  className="text-slate-400 hover:text-red-400"
+                  title="刪除對話"
+                >
+                  <Trash2 size={12} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Ingest Queue */}
+        {ingestJobs.length > 0 && (
+          <>
+            <div className="flex justify-between items-center px-2 text-xs font-semibold text-slate-400">
+              <span>處理佇列</span>
+              <span className="text-slate-500">{ingestJobs.length} 個檔案</span>
+            </div>
+
+            <div className="space-y-1">
+              {ingestJobs.map((job) => {
+                const percent = job.total > 0 ? Math.round((job.embedded / job.total) * 100) : 0;
+                return (
+                  <div key={job.id} className="text-xs p-2 rounded-lg bg-slate-800/50 space-y-1">
+                    <div className="flex items-center gap-2">
+                      {job.status === 'running' ? (
+                        <Loader2 size={12} className="text-blue-400 shrink-0 animate-spin" />
+                      ) : job.status === 'error' ? (
+                        <AlertCircle size={12} className="text-red-400 shrink-0" />
+                      ) : (
+                        <FileText size={12} className="text-slate-500 shrink-0" />
+                      )}
+                      <span className="flex-1 truncate" title={job.fileName}>{job.fileName}</span>
+                      <span className="text-[10px] text-slate-500">{JOB_STATUS_LABELS[job.status]}</span>
+                      {['queued', 'running'].includes(job.status) ? (
+                        <button
+                          onClick={() => onPauseJob(job.id)}
+                          className="text-slate-400 hover:text-white"
+                          title="暫停"
+                        >
+                          <Pause size={12} />
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => onResumeJob(job.id)}
+                          className="text-slate-400 hover:text-white"
+                          title={job.status === 'error' ? '重試' : '繼續'}
+                        >
+                          <Play size={12} />
+                        </button>
+                      )}
+                      <button
+                        onClick={() => onCancelJob(job)}
+                        className="text-slate-400 hover:text-red-400"
+                        title="取消"
+                      >
+                        <X size={12} />
+                      </button>
+                    </div>
+                    {job.total > 0 && (
+                      <div className="h-1 bg-slate-700 rounded overflow-hidden">
+                        <div
+                          className="h-full bg-blue-500 transition-all"
+                          style={{ width: `${percent}%` }}
+                        />
+                      </div>
+                    )}
+                    <div
+                      className={`text-[10px] truncate ${job.status === 'error' ? 'text-red-400' : 'text-slate-500'}`}
+                      title={job.message}
+                    >
+                      {job.category}{job.docId != null && ' · 新版本'} · {job.message}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </>
+        )}
+
+        {/* Document Filter */}
+        <div className="space-y-2">
+          <div className="flex justify-between items-center px-2 text-xs font-semibold text-slate-400">
+            <button
+              onClick={() => setShowFilter(prev => !prev)}
+              className="flex items-center gap-1 hover:text-white transition-colors"
+            >
+              {showFilter ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+              <Filter size={12} className={filterActive ? 'text-purple-400' : ''} />
+              <span>文件篩選</span>
+              {filterActive && (
+                <span className="text-purple-400 font-normal">（{matchedDocCount}/{allDocs.length} 份）</span>
+              )}
+            </button>
+            {filterActive && (
+              <button
+                onClick={() => setDocumentFilter(EMPTY_DOCUMENT_FILTER)}
+                className="text-slate-500 hover:text-white transition-colors font-normal"
+              >
+                清除
+              </button>
+            )}
+          </div>
+
+          {showFilter && (
+            <div className="text-[10px] p-2 rounded-lg bg-slate-800/50 space-y-2">
+              {allTags.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                  {allTags.map(tag => (
+                    <button
+                      key={tag}
+                      onClick={() => toggleFilterTag(tag)}
+                      className={`px-2 py-0.5 rounded-full transition-colors ${
+                        documentFilter.tags.includes(tag)
+                          ? 'bg-purple-600 text-white'
+                          : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                      }`}
+                    >
+                      {tag}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {[
+                { key: 'author', label: '作者' },
+                { key: 'source', label: '來源' },
+                { key: 'notes', label: '備註' }
+              ].map(({ key, label }) => (
+                <input
+                  key={key}
+                  type="text"
+                  value={documentFilter[key]}
+                  onChange={(e) => updateFilter({ [key]: e.target.value })}
+                  placeholder={`${label}包含...`}
+                  className="w-full bg-slate-900 text-slate-200 rounded px-2 py-1 outline-none placeholder:text-slate-600"
+                />
+              ))}
+              <div className="flex items-center gap-1 text-slate-500">
+                <input
+                  type="date"
+                  value={documentFilter.dateFrom}
+                  onChange={(e) => updateFilter({ dateFrom: e.target.value })}
+                  className="flex-1 min-w-0 bg-slate-900 text-slate-200 rounded px-1 py-1 outline-none"
+                />
+                <span>~</span>
+                <input
+                  type="date"
+                  value={documentFilter.dateTo}
+                  onChange={(e) => updateFilter({ dateTo: e.target.value })}
+                  className="flex-1 min-w-0 bg-slate-900 text-slate-200 rounded px-1 py-1 outline-none"
+                />
+              </div>
+              <p className="text-slate-500">條件皆須符合，並與勾選的分類同時套用於搜尋</p>
+            </div>
+          )}
+        </div>
+
+        {/* Category List */}
         <div className="flex justify-between items-center px-2 text-xs font-semibold text-slate-400">
           <span>分類清單</span>
           <button
@@ -99,6 +414,11 @@ const Sidebar = ({
                   <FolderOpen size={14} className="text-yellow-500" />
                   <span>{cat}</span>
                   <span className="text-xs text-slate-500">({docs.length})</span>
+                  {!selectedCategories.includes(cat) && docs.some(d => selectedDocIds.includes(d.id)) && (
+                    <span className="text-[10px] text-purple-400">
+                      已選 {docs.filter(d => selectedDocIds.includes(d.id)).length}
+                    </span>
+                  )}
                 </button>
                 <div className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
                   <button
@@ -124,18 +444,62 @@ const Sidebar = ({
                   {docs.map((d) => (
                     <div
                       key={d.id}
-                      className="text-xs p-2 flex justify-between items-center group hover:bg-slate-800/30 rounded"
+                      className={`text-xs p-2 flex justify-between items-center group hover:bg-slate-800/30 rounded ${
+                        filterActive && !matchesDocumentFilter(d, documentFilter) ? 'opacity-40' : ''
+                      }`}
                     >
                       <span className="flex items-center gap-2 truncate">
-                        <FileText size={12} className="text-slate-500" />
-                        <span className="truncate" title={d.name}>{d.name}</span>
+                        <input
+                          type="checkbox"
+                          checked={selectedCategories.includes(cat) || selectedDocIds.includes(d.id)}
+                          disabled={selectedCategories.includes(cat)}
+                          onChange={() => toggleDocSelection(d.id)}
+                          className="accent-purple-500 shrink-0 disabled:opacity-50"
+                          title={selectedCategories.includes(cat) ? '已勾選整個分類' : '加入搜尋範圍'}
+                        />
+                        <FileText size={12} className="text-slate-500 shrink-0" />
+                        <span className="truncate" title={getDocTooltip(d)}>{d.name}</span>
+                        {d.version > 1 && (
+                          <span className="text-[10px] text-purple-400 shrink-0">v{d.version}</span>
+                        )}
                       </span>
-                      <button
-                        onClick={() => onDeleteDoc(d.id, d.name)}
-                        className="text-slate-600 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
-                      >
-                        <Trash2 size={12} />
-                      </button>
+                      <div className="flex gap-1 shrink-0 opacity-0 group-hover:opacity-100 transition-opacity">
+                        <button
+                          onClick={() => onChatWithDoc(d)}
+                          className="text-slate-600 hover:text-white"
+                          title="只與此文件對話"
+                        >
+                          <Crosshair size={12} />
+                        </button>
+                        <button
+                          onClick={() => onEditMetadata(d)}
+                          className="text-slate-600 hover:text-white"
+                          title="文件資訊與標籤"
+                        >
+                          <Tag size={12} />
+                        </button>
+                        <button
+                          onClick={() => onShowVersions(d)}
+                          className="text-slate-600 hover:text-white"
+                          title="版本記錄"
+                        >
+                          <History size={12} />
+                        </button>
+                        <button
+                          onClick={() => onUploadVersion(d)}
+                          className="text-slate-600 hover:text-white"
+                          title="上傳新版本"
+                        >
+                          <FileUp size={12} />
+                        </button>
+                        <button
+                          onClick={() => onDeleteDoc(d.id, d.name)}
+                          className="text-slate-600 hover:text-red-400"
+                          title="刪除文件"
+                        >
+                          <Trash2 size={12} />
+                        </button>
+                      </div>
                     </div>
                   ))}
                 </div>
@@ -149,10 +513,103 @@ const Sidebar = ({
             </div>
           )}
         </div>
+
+        {/* Trash */}
+        {trashEntries.length > 0 && (
+          <>
+            <div className="flex justify-between items-center px-2 text-xs font-semibold text-slate-400">
+              <button
+                onClick={() => setShowTrash(prev => !prev)}
+                className="flex items-center gap-1 hover:text-white transition-colors"
+              >
+                {showTrash ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+                <span>垃圾桶</span>
+                <span className="text-slate-500">({trashEntries.length})</span>
+              </button>
+              <button
+                onClick={onEmptyTrash}
+                className="text-slate-500 hover:text-red-400 transition-colors font-normal"
+                title="永久刪除垃圾桶中的所有項目"
+              >
+                清空
+              </button>
+            </div>
+
+            {showTrash && (
+              <div className="space-y-1">
+                {trashEntries.map((entry) => (
+                  <div key={entry.id} className="text-xs p-2 rounded-lg bg-slate-800/50 flex items-center gap-2 group">
+                    {entry.type === 'document' ? (
+                      <FileText size={12} className="text-slate-500 shrink-0" />
+                    ) : (
+                      <FolderOpen size={12} className="text-slate-500 shrink-0" />
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <div className="truncate text-slate-300" title={entry.name}>{entry.name}</div>
+                      <div className="text-[10px] text-slate-500">
+                        {entry.type !== 'document' && `${entry.documents.length} 份文件 · `}
+                        {new Date(entry.deletedAt).toLocaleDateString()} 刪除
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => onRestoreTrash(entry.id)}
+                      className="text-slate-400 hover:text-white"
+                      title="還原"
+                    >
+                      <ArchiveRestore size={12} />
+                    </button>
+                    <button
+                      onClick={() => onPurgeTrashEntry(entry)}
+                      className="text-slate-400 hover:text-red-400"
+                      title="永久刪除"
+                    >
+                      <X size={12} />
+                    </button>
+                  </div>
+                ))}
+                <div className="flex justify-between items-center px-2 pt-1 text-[10px] text-slate-500">
+                  <span>自動永久刪除</span>
+                  <select
+                    value={trashRetentionDays}
+                    onChange={(e) => onTrashRetentionChange(parseInt(e.target.value, 10))}
+                    className="bg-slate-800 text-slate-300 rounded px-1 py-0.5 outline-none"
+                  >
+                    {TRASH_RETENTION_OPTIONS.map(days => (
+                      <option key={days} value={days}>{days} 天後</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            )}
+          </>
+        )}
       </div>
 
       {/* Bottom Controls */}
       <div className="p-4 border-t border-slate-700/50 space-y-4 bg-slate-900/50">
+        {/* Re-embedding */}
+        {(reindexJob || mismatchedDocCount > 0) && (
+          <button
+            onClick={onReindexClick}
+            className={`w-full text-[10px] flex items-center gap-2 p-2 rounded text-left transition-colors ${
+              reindexJob?.status === 'error' || (!reindexJob && mismatchedDocCount > 0)
+                ? 'bg-amber-900/40 text-amber-300 hover:bg-amber-900/60'
+                : 'bg-slate-800/50 text-slate-400 hover:bg-slate-800'
+            }`}
+          >
+            {reindexJob?.status === 'running' ? (
+              <Loader2 size={12} className="animate-spin shrink-0" />
+            ) : (
+              <RefreshCw size={12} className="shrink-0" />
+            )}
+            <span className="truncate">
+              {reindexJob
+                ? `重新向量化 ${reindexJob.done}/${reindexJob.total}${reindexJob.status === 'running' ? '' : `（${JOB_STATUS_LABELS[reindexJob.status]}）`}`
+                : `${mismatchedDocCount} 份文件需重新向量化才能被搜尋`}
+            </span>
+          </button>
+        )}
+
         {/* Storage Stats */}
         {storageStats && (
           <div className="text-[10px] text-slate-500 flex items-center gap-2 bg-slate-800/50 p-2 rounded">
@@ -178,6 +635,50 @@ const Sidebar = ({
             onChange={(e) => setSimilarityThreshold(parseFloat(e.target.value))}
             className="w-full h-1 accent-purple-500"
           />
+          <div className="flex justify-between items-center pt-1">
+            <span>檢索模式</span>
+            <div className="flex bg-slate-800 rounded overflow-hidden">
+              {[
+                { value: 'vector', label: '向量' },
+                { value: 'hybrid', label: '混合 (BM25)' }
+              ].map(({ value, label }) => (
+                <button
+                  key={value}
+                  onClick={() => setSearchMode(value)}
+                  className={`px-2 py-0.5 transition-colors ${
+                    searchMode === value
+                      ? 'bg-purple-600 text-white'
+                      : 'text-slate-400 hover:text-white'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <label className="flex justify-between items-center pt-1 cursor-pointer">
+            <span>搜尋舊版本文件</span>
+            <input
+              type="checkbox"
+              checked={includeHistory}
+              onChange={(e) => setIncludeHistory(e.target.checked)}
+              className="accent-purple-500"
+            />
+          </label>
+          <button
+            onClick={onRetrievalDebuggerClick}
+            className="w-full flex items-center justify-center gap-1 pt-1 text-slate-400 hover:text-white transition-colors"
+          >
+            <Bug size={10} />
+            檢索偵錯工具
+          </button>
+          <button
+            onClick={onEvaluationClick}
+            className="w-full flex items-center justify-center gap-1 text-slate-400 hover:text-white transition-colors"
+          >
+            <FlaskConical size={10} />
+            RAG 評估
+          </button>
         </div>
 
         {/* Page Analyzer Button */}
@@ -190,7 +691,14 @@ const Sidebar = ({
         </button>
 
         {/* Bottom Buttons */}
-        <div className="grid grid-cols-3 gap-2">
+        <div className="grid grid-cols-4 gap-2">
+          <button
+            onClick={onModelSettingsClick}
+            className="bg-slate-800 hover:bg-slate-700 p-2 rounded-xl text-[10px] transition-colors flex items-center justify-center gap-1"
+          >
+            <SlidersHorizontal size={12} />
+            模型
+          </button>
           <button
             onClick={onTechSpecsClick}
             className="bg-slate-800 hover:bg-slate-700 p-2 rounded-xl text-[10px] transition-colors flex items-center justify-center gap-1"
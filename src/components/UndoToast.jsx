@@ -0,0 +1,32 @@
+import React, { useEffect } from 'react';
+import { Trash2, Undo2, X } from 'lucide-react';
+
+// 刪除後短暫顯示的復原提示，逾時自動關閉（項目仍可從垃圾桶還原）
+const UndoToast = ({ toast, onUndo, onDismiss, duration = 8000 }) => {
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  if (!toast) return null;
+
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-[80] bg-slate-900 text-white text-sm rounded-xl shadow-2xl px-4 py-3 flex items-center gap-3">
+      <Trash2 size={16} className="text-slate-400 shrink-0" />
+      <span>{toast.message}</span>
+      <button
+        onClick={() => onUndo(toast.trashId)}
+        className="text-purple-300 hover:text-white font-medium flex items-center gap-1 transition-colors"
+      >
+        <Undo2 size={14} />
+        復原
+      </button>
+      <button onClick={onDismiss} className="text-slate-500 hover:text-white">
+        <X size={14} />
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
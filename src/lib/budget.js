@@ -0,0 +1,191 @@
+/**
+ * 模型 API 額度管理 - 依速率限制排程請求，並統計每日各功能的用量
+ * 限制來源：Groq 回應的 x-ratelimit-* 標頭（requests 為每日請求數 RPD、tokens 為每分鐘 token 數 TPM），
+ * 每分鐘請求數（RPM）沒有標頭，使用免費方案的預設值
+ * 用量來源：回應的 usage 欄位，沒有時（部分串流端點）以估算值記錄（見 tokens.js）
+ */
+
+import { getSetting, saveSetting } from './db';
+import { RateLimitError, sleep } from './http';
+
+// 已知的每分鐘請求數限制（Groq Free Tier: 約 30 RPM）
+const DEFAULT_RPM = { groq: 30 };
+
+// 需等待超過此時間時不排隊，直接拋出錯誤
+const MAX_WAIT_MS = 60000;
+const WINDOW_MS = 60000;
+
+const USAGE_SETTING_KEY = 'llmUsage';
+
+// 每個 provider 的限制狀態（僅保存在記憶體）
+const limits = {};
+
+// 今日用量：{ date, tasks: { [task]: { requests, promptTokens, completionTokens, estimated } } }
+let dailyUsage = null;
+let loadPromise = null;
+
+const getLimitState = (provider) => {
+  if (!limits[provider]) {
+    limits[provider] = {
+      rpm: DEFAULT_RPM[provider] || null,
+      requestTimes: [],
+      rpd: null,
+      remainingRequests: null,
+      requestsResetAt: 0,
+      tpm: null,
+      remainingTokens: null,
+      tokensResetAt: 0
+    };
+  }
+  return limits[provider];
+};
+
+// 本地日期（YYYY-MM-DD）
+const today = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// Groq 的重置時間格式如 "2m59.56s"、"7.66s"、"120ms"
+const parseDuration = (text) => {
+  let ms = 0;
+  for (const [, value, unit] of String(text).matchAll(/([\d.]+)(ms|h|m|s)/g)) {
+    ms += parseFloat(value) * { ms: 1, s: 1000, m: 60000, h: 3600000 }[unit];
+  }
+  return ms;
+};
+
+const readNumberHeader = (headers, name) => {
+  const value = headers?.get(name);
+  return value == null || value === '' ? null : Number(value);
+};
+
+const formatWait = (ms) => (ms >= 60000 ? `${Math.ceil(ms / 60000)} 分鐘` : `${Math.ceil(ms / 1000)} 秒`);
+
+// ==================== 排程 ====================
+
+// 計算在目前限制下需等待的時間
+const getWaitMs = (state, tokens, now) => {
+  let wait = 0;
+
+  if (state.rpm && state.requestTimes.length >= state.rpm) {
+    wait = Math.max(wait, state.requestTimes[0] + WINDOW_MS - now);
+  }
+  if (state.remainingRequests != null && state.remainingRequests <= 0 && now < state.requestsResetAt) {
+    wait = Math.max(wait, state.requestsResetAt - now);
+  }
+  if (state.remainingTokens != null && state.remainingTokens < tokens && now < state.tokensResetAt) {
+    wait = Math.max(wait, state.tokensResetAt - now);
+  }
+  return wait;
+};
+
+/**
+ * 送出請求前取得額度，必要時等待到限制重置
+ * 預扣估計的 token 與請求數，下一次回應的標頭會更新為實際剩餘量
+ * @throws {RateLimitError} 需等待超過 1 分鐘（例如每日請求數用完）
+ */
+export const acquireBudget = async (provider, tokens, signal = null) => {
+  const state = getLimitState(provider);
+
+  while (true) {
+    const now = Date.now();
+    state.requestTimes = state.requestTimes.filter(t => now - t < WINDOW_MS);
+    if (now >= state.tokensResetAt) state.remainingTokens = null;
+    if (now >= state.requestsResetAt) state.remainingRequests = null;
+
+    const wait = getWaitMs(state, tokens, now);
+    if (wait <= 0) break;
+    if (wait > MAX_WAIT_MS) {
+      throw new RateLimitError(`已達 API 使用上限，約 ${formatWait(wait)}後恢復`, { status: 429, retryAfterMs: wait });
+    }
+    console.warn(`[Budget] ${provider} 額度不足，等待 ${(wait / 1000).toFixed(1)} 秒`);
+    await sleep(wait, signal);
+  }
+
+  state.requestTimes.push(Date.now());
+  if (state.remainingTokens != null) state.remainingTokens -= tokens;
+  if (state.remainingRequests != null) state.remainingRequests -= 1;
+};
+
+// 從回應標頭更新限制狀態
+const updateLimits = (provider, headers) => {
+  if (!headers?.get('x-ratelimit-limit-requests') && !headers?.get('x-ratelimit-limit-tokens')) return;
+
+  const state = getLimitState(provider);
+  const now = Date.now();
+
+  const rpd = readNumberHeader(headers, 'x-ratelimit-limit-requests');
+  const remainingRequests = readNumberHeader(headers, 'x-ratelimit-remaining-requests');
+  if (rpd != null) state.rpd = rpd;
+  if (remainingRequests != null) {
+    state.remainingRequests = remainingRequests;
+    state.requestsResetAt = now + parseDuration(headers.get('x-ratelimit-reset-requests') || '');
+  }
+
+  const tpm = readNumberHeader(headers, 'x-ratelimit-limit-tokens');
+  const remainingTokens = readNumberHeader(headers, 'x-ratelimit-remaining-tokens');
+  if (tpm != null) state.tpm = tpm;
+  if (remainingTokens != null) {
+    state.remainingTokens = remainingTokens;
+    state.tokensResetAt = now + parseDuration(headers.get('x-ratelimit-reset-tokens') || '');
+  }
+};
+
+// ==================== 用量統計 ====================
+
+const loadDailyUsage = async () => {
+  if (!loadPromise) {
+    loadPromise = getSetting(USAGE_SETTING_KEY).then(saved => {
+      dailyUsage = saved?.date === today() ? saved : { date: today(), tasks: {} };
+    });
+  }
+  await loadPromise;
+  // 跨日時重新計算
+  if (dailyUsage.date !== today()) dailyUsage = { date: today(), tasks: {} };
+  return dailyUsage;
+};
+
+/**
+ * 記錄一次回應：更新限制狀態，並累加該功能的今日用量
+ * @param {string} provider
+ * @param {string | undefined} task - 未指定（例如設定面板的連線測試）時不計入功能用量
+ * @param {Headers | null} headers
+ * @param {{ promptTokens, completionTokens, estimated? }} usage
+ */
+export const recordUsage = async (provider, task, headers, usage) => {
+  updateLimits(provider, headers);
+  if (!task) return;
+
+  try {
+    const current = await loadDailyUsage();
+    const entry = current.tasks[task] || { requests: 0, promptTokens: 0, completionTokens: 0, estimated: false };
+    current.tasks[task] = {
+      requests: entry.requests + 1,
+      promptTokens: entry.promptTokens + (usage.promptTokens || 0),
+      completionTokens: entry.completionTokens + (usage.completionTokens || 0),
+      estimated: entry.estimated || !!usage.estimated
+    };
+    await saveSetting(USAGE_SETTING_KEY, current);
+  } catch (err) {
+    console.error('Failed to record usage:', err);
+  }
+};
+
+// 技術規格面板：今日各功能用量與各 provider 的限制狀態
+export const getBudgetInfo = async () => {
+  const usage = await loadDailyUsage();
+  const now = Date.now();
+  return {
+    date: usage.date,
+    tasks: { ...usage.tasks },
+    limits: Object.fromEntries(Object.entries(limits).map(([provider, state]) => [provider, {
+      rpm: state.rpm,
+      requestsLastMinute: state.requestTimes.filter(t => now - t < WINDOW_MS).length,
+      rpd: state.rpd,
+      remainingRequests: now < state.requestsResetAt ? state.remainingRequests : null,
+      tpm: state.tpm,
+      remainingTokens: now < state.tokensResetAt ? state.remainingTokens : null
+    }]))
+  };
+};
@@ -0,0 +1,140 @@
+/**
+ * 文字分塊 - 所有文件格式共用
+ * 輸入為「頁」陣列（PDF 為實際頁面，其他格式為段落或章節，pageNum 為 null）
+ */
+
+// 分頁分塊：保留頁面邊界，為每個區塊記錄頁碼、字元位置與頁面來源
+// 回傳的 fullText 為各頁清理後以換行串接的全文，charStart/charEnd 即為其中的位置
+export function chunkPages(pages, maxSize = 800, overlapSentences = 2) {
+  let fullText = '';
+  const ranges = [];
+
+  for (const page of pages) {
+    const text = (page.text || '').replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+    if (fullText) fullText += '\n';
+    ranges.push({
+      pageNum: page.pageNum ?? null,
+      start: fullText.length,
+      end: fullText.length + text.length,
+      source: page.source || 'text'
+    });
+    fullText += text;
+  }
+
+  const chunks = chunkTextSemantic(fullText, maxSize, overlapSentences).map(chunk => {
+    const covered = ranges.filter(r => r.end > chunk.start && r.start < chunk.end);
+    const paged = covered.filter(r => r.pageNum != null);
+    return {
+      content: chunk.content,
+      metadata: {
+        pageStart: paged[0]?.pageNum ?? null,
+        pageEnd: paged[paged.length - 1]?.pageNum ?? null,
+        charStart: chunk.start,
+        charEnd: chunk.end,
+        pageSources: paged.map(r => ({ page: r.pageNum, source: r.source }))
+      }
+    };
+  });
+
+  return { chunks, fullText };
+}
+
+// 語義分塊：按句子邊界切割，保持語義完整性
+// 回傳 { content, start, end }，start/end 為區塊在原文中涵蓋的範圍
+function chunkTextSemantic(text, maxSize = 800, overlapSentences = 2) {
+  if (!text.trim()) return [];
+
+  // 按句子分割（支援中英文標點），保留每句在原文中的位置
+  const sentencePattern = /[^。！？.!?\n]+[。！？.!?\n]?/g;
+  const sentences = [];
+  for (const match of text.matchAll(sentencePattern)) {
+    const raw = match[0];
+    const sentence = raw.trim();
+    if (!sentence) continue;
+    const start = match.index + raw.indexOf(sentence);
+    sentences.push({ text: sentence, start, end: start + sentence.length });
+  }
+
+  const chunks = [];
+  let currentChunk = [];
+  let currentLength = 0;
+
+  const pushChunk = (parts) => {
+    chunks.push({
+      content: parts.map(p => p.text).join(' '),
+      start: parts[0].start,
+      end: parts[parts.length - 1].end
+    });
+  };
+
+  for (const sentence of sentences) {
+    const sentenceLength = sentence.text.length;
+
+    // 如果單句超過 maxSize，強制分割
+    if (sentenceLength > maxSize) {
+      if (currentChunk.length > 0) {
+        pushChunk(currentChunk);
+        currentChunk = [];
+        currentLength = 0;
+      }
+      chunks.push(...chunkLongSentence(sentence, maxSize));
+      continue;
+    }
+
+    // 如果加入這句會超過限制
+    if (currentLength + sentenceLength > maxSize && currentChunk.length > 0) {
+      pushChunk(currentChunk);
+
+      // 重疊：保留最後幾個句子
+      const overlapStart = Math.max(0, currentChunk.length - overlapSentences);
+      currentChunk = currentChunk.slice(overlapStart);
+      currentLength = currentChunk.reduce((sum, s) => sum + s.text.length, 0);
+    }
+
+    currentChunk.push(sentence);
+    currentLength += sentenceLength;
+  }
+
+  // 處理最後一個 chunk
+  if (currentChunk.length > 0) {
+    pushChunk(currentChunk);
+  }
+
+  // 過濾空白和過短的 chunks
+  return chunks.filter(chunk => chunk.content.trim().length > 50);
+}
+
+// 對超長句子進行字符級分割
+function chunkLongSentence(sentence, maxSize) {
+  const chunks = [];
+  const text = sentence.text;
+  let start = 0;
+  const overlap = 50;
+
+  while (start < text.length) {
+    let end = start + maxSize;
+
+    if (end < text.length) {
+      const breakPoints = [',', '，', ';', '；', ':', '：', ' '];
+      for (const bp of breakPoints) {
+        const lastBreak = text.lastIndexOf(bp, end);
+        if (lastBreak > start + maxSize / 2) {
+          end = lastBreak + 1;
+          break;
+        }
+      }
+    }
+
+    end = Math.min(end, text.length);
+    chunks.push({
+      content: text.substring(start, end).trim(),
+      start: sentence.start + start,
+      end: sentence.start + end
+    });
+    if (end >= text.length) break;
+    start = end - overlap;
+  }
+
+  return chunks;
+}
@@ -0,0 +1,101 @@
+/**
+ * 引用工具 - 為 RAG 回答中的 [n] 標記對應來源區塊
+ */
+
+import { tokenize } from './lexical';
+
+const CITATION_PATTERN = /\[(\d{1,3})\](?!\()/g;
+
+// 頁碼範圍文字（第 3 頁 / 第 3-5 頁）
+export const formatPageRange = (metadata = {}) => {
+  const { pageStart, pageEnd } = metadata;
+  if (pageStart == null) return '';
+  if (pageEnd == null || pageEnd === pageStart) return `第 ${pageStart} 頁`;
+  return `第 ${pageStart}-${pageEnd} 頁`;
+};
+
+// 將檢索到的區塊轉為可保存在訊息上的引用清單（編號從 1 開始）
+export const buildCitationSources = (chunks) => {
+  return chunks.map((chunk, i) => ({
+    n: i + 1,
+    chunkId: chunk.id,
+    docId: chunk.docId,
+    fileName: chunk.metadata?.fileName || '未知文件',
+    pageStart: chunk.metadata?.pageStart ?? null,
+    pageEnd: chunk.metadata?.pageEnd ?? null,
+    // 搜尋舊版本時，標示來源屬於哪一版
+    version: chunk.historical ? (chunk.version || 1) : null,
+    // 檢索分數（混合模式另有 BM25 分數與關鍵字涵蓋率）
+    similarity: chunk.similarity ?? null,
+    bm25Score: chunk.bm25Score ?? null,
+    keywordCoverage: chunk.keywordCoverage ?? null,
+    content: chunk.content
+  }));
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 擷取區塊中最先命中查詢詞的片段，並標出命中的部分
+ * 查詢詞沿用 BM25 的斷詞（中文 bigram、拉丁文字單字）
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export const highlightSnippet = (content, query, maxLength = 240) => {
+  const text = content || '';
+  const terms = [...new Set(tokenize(query))].sort((a, b) => b.length - a.length);
+  const pattern = terms.length > 0 ? new RegExp(terms.map(escapeRegExp).join('|'), 'gi') : null;
+
+  const firstMatch = pattern ? text.search(pattern) : -1;
+  const start = Math.max(0, Math.min(firstMatch - Math.floor(maxLength / 3), text.length - maxLength));
+  const end = Math.min(text.length, start + maxLength);
+  const snippet = text.slice(start, end);
+
+  const segments = [];
+  if (start > 0) segments.push({ text: '…', match: false });
+
+  let last = 0;
+  for (const match of pattern ? snippet.matchAll(pattern) : []) {
+    if (match.index > last) segments.push({ text: snippet.slice(last, match.index), match: false });
+    segments.push({ text: match[0], match: true });
+    last = match.index + match[0].length;
+  }
+  if (last < snippet.length) segments.push({ text: snippet.slice(last), match: false });
+
+  if (end < text.length) segments.push({ text: '…', match: false });
+  return segments;
+};
+
+// 程式碼區塊（``` 或 ~~~，串流中尚未結束的也算）與行內程式碼；其中的 [n] 是程式碼（如 arr[0]），不是引用
+const CODE_PATTERN = /(```|~~~)[\s\S]*?(?:\1|$)|(`+)[^`]*?\2/g;
+
+// 將文字拆成程式碼與非程式碼片段，只對非程式碼片段套用 transform
+const mapOutsideCode = (text, transform) => {
+  let result = '';
+  let last = 0;
+  for (const match of text.matchAll(CODE_PATTERN)) {
+    result += transform(text.slice(last, match.index)) + match[0];
+    last = match.index + match[0].length;
+  }
+  return result + transform(text.slice(last));
+};
+
+// 找出回答中的引用編號，區分有效與無效（超出來源數量）
+export const extractCitations = (text, sourceCount) => {
+  const cited = new Set();
+  const invalid = new Set();
+  const prose = (text || '').replace(CODE_PATTERN, '');
+  for (const match of prose.matchAll(CITATION_PATTERN)) {
+    const n = parseInt(match[1], 10);
+    if (n >= 1 && n <= sourceCount) {
+      cited.add(n);
+    } else {
+      invalid.add(n);
+    }
+  }
+  return { cited: [...cited], invalid: [...invalid] };
+};
+
+// 將 [n] 轉成 Markdown 連結（#cite-n），讓 ReactMarkdown 以自訂元件渲染；程式碼內的 [n] 保持原樣
+export const linkifyCitations = (text) => {
+  return mapOutsideCode(text || '', segment => segment.replace(CITATION_PATTERN, (_, n) => `[${n}](#cite-${n})`));
+};
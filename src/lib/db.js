@@ -1,7 +1,34 @@
 import { openDB } from 'idb';
+import {
+  addToIndex,
+  removeFromIndex,
+  clearIndex,
+  getIndexMeta,
+  findUnindexedChunks,
+  searchIndex,
+  EF_SEARCH
+} from './hnsw';
+import {
+  addToLexicalIndex,
+  removeFromLexicalIndex,
+  clearLexicalIndex,
+  getLexicalIndexMeta,
+  findUnindexedLexicalChunks,
+  searchLexical
+} from './lexical';
+import { isSameEmbeddingSpace, getDocumentEmbeddingSpace } from './embeddingSpace';
+import { getDocumentMetadata, isDocumentFilterActive, matchesDocumentFilter } from './documentFilter';
 
 const DB_NAME = 'GeminiRAG_DB_V2';
-const DB_VERSION = 3;
+const DB_VERSION = 11;
+
+const DEFAULT_SESSION_TITLE = '新對話';
+
+// 篩選範圍內的區塊數低於此值時直接精確掃描（比 ANN 後過濾更準確）
+const EXACT_SCAN_LIMIT = 2000;
+
+// Reciprocal Rank Fusion 常數
+const RRF_K = 60;
 
 export const initDB = async () => {
   return openDB(DB_NAME, DB_VERSION, {
@@ -28,7 +55,95 @@ export const initDB = async () => {
         db.createObjectStore('settings', { keyPath: 'key' });
       }
 
+      // HNSW 向量索引 (V4 新增)
+      if (!db.objectStoreNames.contains('annNodes')) {
+        db.createObjectStore('annNodes', { keyPath: 'id' });
+      }
+
+      if (!db.objectStoreNames.contains('indexMeta')) {
+        db.createObjectStore('indexMeta', { keyPath: 'key' });
+      }
+
+      // BM25 倒排索引 (V5 新增)
+      if (!db.objectStoreNames.contains('lexicon')) {
+        db.createObjectStore('lexicon', { keyPath: 'term' });
+      }
+
+      if (!db.objectStoreNames.contains('lexDocs')) {
+        db.createObjectStore('lexDocs', { keyPath: 'id' });
+      }
+
+      // Chat sessions store (V6 新增)
+      if (!db.objectStoreNames.contains('sessions')) {
+        const sessionStore = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+        sessionStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+      }
+
+      // 背景匯入佇列 (V7 新增)：工作本身與逐區塊的向量化進度
+      if (!db.objectStoreNames.contains('ingestJobs')) {
+        db.createObjectStore('ingestJobs', { keyPath: 'id', autoIncrement: true });
+      }
+
+      if (!db.objectStoreNames.contains('ingestEmbeddings')) {
+        const embeddingStore = db.createObjectStore('ingestEmbeddings', { keyPath: ['jobId', 'index'] });
+        embeddingStore.createIndex('jobId', 'jobId', { unique: false });
+      }
+
+      // 重新向量化 (V8 新增)：新向量先暫存於此，完成後才一次替換
+      if (!db.objectStoreNames.contains('reindexVectors')) {
+        db.createObjectStore('reindexVectors', { keyPath: 'chunkId' });
+      }
+
+      // 向量快取 (V9 新增)：以內容雜湊為 key，重複的文字不再呼叫 API
+      if (!db.objectStoreNames.contains('embeddingCache')) {
+        db.createObjectStore('embeddingCache', { keyPath: 'key' });
+      }
+
+      // 垃圾桶 (V10 新增)：刪除的文件與其區塊（含向量）保留至期限後才清除
+      if (!db.objectStoreNames.contains('trash')) {
+        const trashStore = db.createObjectStore('trash', { keyPath: 'id', autoIncrement: true });
+        trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains('trashChunks')) {
+        const trashChunkStore = db.createObjectStore('trashChunks', { keyPath: 'id' });
+        trashChunkStore.createIndex('trashId', 'trashId', { unique: false });
+      }
+
+      // RAG 評估紀錄 (V11 新增)
+      if (!db.objectStoreNames.contains('evalRuns')) {
+        const evalStore = db.createObjectStore('evalRuns', { keyPath: 'id', autoIncrement: true });
+        evalStore.createIndex('createdAt', 'createdAt', { unique: false });
+      }
+
+      const chatStore = transaction.objectStore('chatHistory');
+      if (!chatStore.indexNames.contains('sessionId')) {
+        chatStore.createIndex('sessionId', 'sessionId', { unique: false });
+      }
+
       // Migration for older versions
+      if (oldVersion > 0 && oldVersion < 6) {
+        // 舊版的單一對話記錄歸入一個預設對話（沒有任何訊息時不建立）
+        chatStore.openCursor().then(firstCursor => {
+          if (!firstCursor) return;
+          const now = new Date();
+          transaction.objectStore('sessions').add({
+            title: '先前的對話',
+            pinned: false,
+            createdAt: now,
+            updatedAt: now,
+            selectedCategories: [],
+            lastChunks: []
+          }).then(sessionId => {
+            (function cursorIterate(cursor) {
+              if (!cursor) return;
+              cursor.update({ ...cursor.value, sessionId });
+              cursor.continue().then(cursorIterate);
+            })(firstCursor);
+          });
+        });
+      }
+
       if (oldVersion < 2) {
         try {
           const docStore = transaction.objectStore('documents');
@@ -51,29 +166,57 @@ export const initDB = async () => {
 
 // ==================== Documents ====================
 
-export const saveDocument = async (name, category = '未分類', chunks) => {
+// embedding：產生向量的 { provider, model, dimension }
+// ingestJobId：由匯入佇列寫入時，在同一交易中移除該工作與其暫存向量，避免重新整理後重複匯入
+// metadata：解析時取得的 { tags, author, source, date, notes }（例如 PDF 文件資訊）
+export const saveDocument = async (name, category = '未分類', chunks, { embedding = null, ingestJobId = null, metadata = {} } = {}) => {
   const db = await initDB();
-  const tx = db.transaction(['documents', 'chunks'], 'readwrite');
+  const stores = ingestJobId != null
+    ? ['documents', 'chunks', 'ingestJobs', 'ingestEmbeddings']
+    : ['documents', 'chunks'];
+  const tx = db.transaction(stores, 'readwrite');
 
+  const timestamp = new Date();
   const docId = await tx.objectStore('documents').add({
     name,
     category,
-    timestamp: new Date(),
+    ...getDocumentMetadata(metadata),
+    timestamp,
     chunkCount: chunks.length,
+    version: 1,
+    versions: [{ version: 1, fileName: name, timestamp, chunkCount: chunks.length }],
+    embeddingProvider: embedding?.provider || null,
+    embeddingModel: embedding?.model || null,
     embeddingDimension: chunks[0]?.embedding?.length || 0
   });
 
   const chunkStore = tx.objectStore('chunks');
+  const chunkIds = [];
   for (const chunk of chunks) {
-    await chunkStore.add({
+    chunkIds.push(await chunkStore.add({
       docId,
+      version: 1,
       content: chunk.content,
       embedding: chunk.embedding,
       metadata: chunk.metadata
-    });
+    }));
+  }
+
+  if (ingestJobId != null) {
+    await tx.objectStore('ingestJobs').delete(ingestJobId);
+    await deleteJobEmbeddings(tx.objectStore('ingestEmbeddings'), ingestJobId);
   }
 
   await tx.done;
+  if (ingestJobId != null) jobStatusCache?.delete(ingestJobId);
+
+  // 增量更新向量索引與關鍵字索引
+  await addToIndex(db, chunkIds);
+  await addToLexicalIndex(db, chunkIds.map((id, i) => ({
+    id,
+    docId,
+    content: chunks[i].content
+  })));
   return docId;
 };
 
@@ -82,32 +225,140 @@ export const getAllDocuments = async () => {
   return db.getAll('documents');
 };
 
-export const deleteDocument = async (docId) => {
+// ==================== Document Versions ====================
+
+// 舊版文件沒有版本記錄，視為只有第 1 版
+export const getDocumentVersions = (doc) => {
+  return doc.versions || [{ version: 1, fileName: doc.name, timestamp: doc.timestamp, chunkCount: doc.chunkCount }];
+};
+
+// 區塊所屬版本（舊資料沒有 version 欄位，屬於第 1 版）
+const chunkVersion = (chunk) => chunk.version || 1;
+
+/**
+ * 上傳新版本：保留文件 id（對話中的引用不會失效），舊版區塊留作歷史
+ * 文件的 chunkCount 與向量空間改為最新版本的值
+ */
+export const addDocumentVersion = async (docId, fileName, chunks, { embedding = null, ingestJobId = null } = {}) => {
   const db = await initDB();
-  const tx = db.transaction(['documents', 'chunks'], 'readwrite');
+  const stores = ingestJobId != null
+    ? ['documents', 'chunks', 'ingestJobs', 'ingestEmbeddings']
+    : ['documents', 'chunks'];
+  const tx = db.transaction(stores, 'readwrite');
+
+  const docStore = tx.objectStore('documents');
+  const doc = await docStore.get(docId);
+  if (!doc) {
+    // 中止會讓 tx.done 拒絕；錯誤由下方拋出，避免未處理的 rejection
+    tx.done.catch(() => {});
+    tx.abort();
+    throw new Error('文件已被刪除，無法新增版本');
+  }
 
-  await tx.objectStore('documents').delete(docId);
+  const version = (doc.version || 1) + 1;
+  const timestamp = new Date();
+  await docStore.put({
+    ...doc,
+    timestamp,
+    chunkCount: chunks.length,
+    version,
+    versions: [...getDocumentVersions(doc), { version, fileName, timestamp, chunkCount: chunks.length }],
+    embeddingProvider: embedding?.provider || null,
+    embeddingModel: embedding?.model || null,
+    embeddingDimension: chunks[0]?.embedding?.length || 0
+  });
 
   const chunkStore = tx.objectStore('chunks');
-  const index = chunkStore.index('docId');
-  let cursor = await index.openCursor(IDBKeyRange.only(docId));
+  const chunkIds = [];
+  for (const chunk of chunks) {
+    chunkIds.push(await chunkStore.add({
+      docId,
+      version,
+      content: chunk.content,
+      embedding: chunk.embedding,
+      metadata: chunk.metadata
+    }));
+  }
 
-  while (cursor) {
-    await cursor.delete();
-    cursor = await cursor.continue();
+  if (ingestJobId != null) {
+    await tx.objectStore('ingestJobs').delete(ingestJobId);
+    await deleteJobEmbeddings(tx.objectStore('ingestEmbeddings'), ingestJobId);
   }
 
   await tx.done;
+  if (ingestJobId != null) jobStatusCache?.delete(ingestJobId);
+
+  await addToIndex(db, chunkIds);
+  await addToLexicalIndex(db, chunkIds.map((id, i) => ({
+    id,
+    docId,
+    content: chunks[i].content
+  })));
+  return version;
+};
+
+/**
+ * 比較兩個版本的區塊內容（忽略空白差異）
+ * @returns {Promise<{ added: Array<{content, metadata}>, removed: Array<{content, metadata}>, unchangedCount: number }>}
+ */
+export const getVersionDiff = async (docId, fromVersion, toVersion) => {
+  const db = await initDB();
+  const chunks = await db.getAllFromIndex('chunks', 'docId', IDBKeyRange.only(docId));
+  const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+  const pick = (version) => chunks
+    .filter(c => chunkVersion(c) === version)
+    .map(({ content, metadata }) => ({ content, metadata, key: normalize(content) }));
+
+  const before = pick(fromVersion);
+  const after = pick(toVersion);
+
+  // 以多重集合比較，重複出現的段落依次數抵銷
+  const remaining = new Map();
+  for (const chunk of before) remaining.set(chunk.key, (remaining.get(chunk.key) || 0) + 1);
+
+  const added = [];
+  let unchangedCount = 0;
+  for (const chunk of after) {
+    if (remaining.get(chunk.key) > 0) {
+      remaining.set(chunk.key, remaining.get(chunk.key) - 1);
+      unchangedCount++;
+    } else {
+      added.push(chunk);
+    }
+  }
+
+  const removed = before.filter(chunk => {
+    if (!(remaining.get(chunk.key) > 0)) return false;
+    remaining.set(chunk.key, remaining.get(chunk.key) - 1);
+    return true;
+  });
+
+  const strip = ({ key, ...chunk }) => chunk;
+  return { added: added.map(strip), removed: removed.map(strip), unchangedCount };
+};
+
+// 刪除的文件移至垃圾桶，可於保留期限內還原（不需重新向量化）
+export const deleteDocument = async (docId) => {
+  const db = await initDB();
+  const doc = await db.get('documents', docId);
+  if (!doc) return null;
+  return moveToTrash(db, [doc], { type: 'document', name: doc.name });
 };
 
 export const deleteCategory = async (categoryName) => {
   const db = await initDB();
   const allDocs = await db.getAll('documents');
   const targetDocs = allDocs.filter(d => (d.category || '未分類') === categoryName);
+  if (targetDocs.length === 0) return null;
+  return moveToTrash(db, targetDocs, { type: 'category', name: categoryName });
+};
 
-  for (const doc of targetDocs) {
-    await deleteDocument(doc.id);
-  }
+// 更新文件的標籤、作者、來源、日期與備註
+export const updateDocumentMetadata = async (docId, metadata) => {
+  const db = await initDB();
+  const doc = await db.get('documents', docId);
+  if (!doc) throw new Error('文件已被刪除');
+  await db.put('documents', { ...doc, ...getDocumentMetadata(metadata) });
 };
 
 export const updateCategory = async (oldName, newName) => {
@@ -127,26 +378,358 @@ export const updateCategory = async (oldName, newName) => {
   await tx.done;
 };
 
+// ==================== Trash (V10 新增) ====================
+
+// 文件與其所有版本的區塊移入同一筆垃圾桶紀錄；區塊保留原本的 id，還原後引用仍然有效
+const moveToTrash = async (db, documents, { type, name }) => {
+  const docIds = documents.map(d => d.id);
+
+  // 先從索引移除（修補鄰居時仍需讀取這些區塊的向量）；整個知識庫都移除時直接清空索引
+  const chunkIds = await getDocumentChunkIds(docIds);
+  if (chunkIds.length === await db.count('chunks')) {
+    await clearIndex(db);
+    await clearLexicalIndex(db);
+  } else {
+    await removeFromIndex(db, chunkIds);
+    await removeFromLexicalIndex(db, chunkIds);
+  }
+
+  const tx = db.transaction(['documents', 'chunks', 'trash', 'trashChunks'], 'readwrite');
+  const trashId = await tx.objectStore('trash').add({
+    type,
+    name,
+    deletedAt: new Date(),
+    documents,
+    chunkCount: chunkIds.length
+  });
+
+  const chunkIndex = tx.objectStore('chunks').index('docId');
+  const trashChunkStore = tx.objectStore('trashChunks');
+  for (const docId of docIds) {
+    await tx.objectStore('documents').delete(docId);
+
+    let cursor = await chunkIndex.openCursor(IDBKeyRange.only(docId));
+    while (cursor) {
+      await trashChunkStore.put({ ...cursor.value, trashId });
+      await cursor.delete();
+      cursor = await cursor.continue();
+    }
+  }
+
+  await tx.done;
+  return trashId;
+};
+
+/**
+ * 垃圾桶內容（新的在前，不含區塊）
+ * @returns {Promise<Array<{ id, type: 'document' | 'category' | 'all', name, deletedAt, documents, chunkCount }>>}
+ */
+export const getTrashEntries = async () => {
+  const db = await initDB();
+  const entries = await db.getAllFromIndex('trash', 'deletedAt');
+  return entries.reverse();
+};
+
+// 還原文件與區塊，索引於背景補建
+export const restoreFromTrash = async (trashId) => {
+  const db = await initDB();
+  const entry = await db.get('trash', trashId);
+  if (!entry) throw new Error('垃圾桶中找不到此項目，可能已被永久刪除');
+
+  const tx = db.transaction(['documents', 'chunks', 'trash', 'trashChunks'], 'readwrite');
+  for (const doc of entry.documents) {
+    await tx.objectStore('documents').add(doc);
+  }
+
+  const chunkStore = tx.objectStore('chunks');
+  let cursor = await tx.objectStore('trashChunks').index('trashId').openCursor(IDBKeyRange.only(trashId));
+  while (cursor) {
+    const { trashId: _, ...chunk } = cursor.value;
+    await chunkStore.add(chunk);
+    await cursor.delete();
+    cursor = await cursor.continue();
+  }
+
+  await tx.objectStore('trash').delete(trashId);
+  await tx.done;
+
+  ensureVectorIndex();
+  ensureLexicalIndex();
+
+  return { documentCount: entry.documents.length, chunkCount: entry.chunkCount };
+};
+
+// 永久刪除垃圾桶中的項目
+export const purgeTrashEntries = async (trashIds) => {
+  const db = await initDB();
+  const tx = db.transaction(['trash', 'trashChunks'], 'readwrite');
+  const chunkIndex = tx.objectStore('trashChunks').index('trashId');
+
+  for (const trashId of trashIds) {
+    await tx.objectStore('trash').delete(trashId);
+    let cursor = await chunkIndex.openCursor(IDBKeyRange.only(trashId));
+    while (cursor) {
+      await cursor.delete();
+      cursor = await cursor.continue();
+    }
+  }
+
+  await tx.done;
+};
+
+export const emptyTrash = async () => {
+  const db = await initDB();
+  const tx = db.transaction(['trash', 'trashChunks'], 'readwrite');
+  await tx.objectStore('trash').clear();
+  await tx.objectStore('trashChunks').clear();
+  await tx.done;
+};
+
+// 清除超過保留天數的項目，回傳清除的筆數
+export const purgeExpiredTrash = async (retentionDays) => {
+  const db = await initDB();
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expiredIds = await db.getAllKeysFromIndex('trash', 'deletedAt', IDBKeyRange.upperBound(cutoff));
+  if (expiredIds.length > 0) await purgeTrashEntries(expiredIds);
+  return expiredIds.length;
+};
+
 // ==================== Search ====================
 
-export const searchChunks = async (queryEmbedding, filterDocIds = null, limit = 5) => {
+// 限定與查詢向量同一空間的文件；知識庫中混有其他向量空間時，一律視為篩選搜尋
+// 預設只搜尋每份文件的最新版本，includeHistory 時包含舊版區塊；documentFilter 依文件欄位再縮小範圍
+// 回傳 { docIds, empty, documents, isLatest, chunkFilter }：
+//   docIds 為 null 表示不需依文件篩選，empty 表示範圍內沒有可比較的文件，chunkFilter 為 null 表示不需依版本篩選
+const resolveSearchScope = async (db, filterDocIds, { space, includeHistory, documentFilter }) => {
+  let hasFilter = filterDocIds && filterDocIds.length > 0;
+  const documents = await db.getAll('documents');
+
+  const latestVersions = new Map(documents.filter(d => (d.version || 1) > 1).map(d => [d.id, d.version]));
+  const isLatest = (chunk) => !latestVersions.has(chunk.docId) || chunkVersion(chunk) === latestVersions.get(chunk.docId);
+  const chunkFilter = !includeHistory && latestVersions.size > 0 ? isLatest : null;
+  const scope = { documents, isLatest, chunkFilter, empty: false };
+
+  if (isDocumentFilterActive(documentFilter)) {
+    const matched = documents.filter(d => matchesDocumentFilter(d, documentFilter)).map(d => d.id);
+    filterDocIds = hasFilter ? filterDocIds.filter(id => matched.includes(id)) : matched;
+    if (filterDocIds.length === 0) return { ...scope, docIds: [], empty: true };
+    hasFilter = true;
+  }
+
+  if (!space) return { ...scope, docIds: hasFilter ? filterDocIds : null };
+
+  const compatible = documents.filter(d => isSameEmbeddingSpace(getDocumentEmbeddingSpace(d), space));
+  if (compatible.length === 0 && documents.length > 0) {
+    throw new Error('知識庫中沒有與目前向量模型相容的文件，請先重新向量化');
+  }
+
+  if (!hasFilter && compatible.length === documents.length) return { ...scope, docIds: null };
+  const docIds = compatible.map(d => d.id).filter(id => !hasFilter || filterDocIds.includes(id));
+  return { ...scope, docIds, empty: docIds.length === 0 };
+};
+
+// 搜尋範圍內的區塊數（含舊版時加上各版本的區塊數）
+const countScopedChunks = (documents, docIds, includeHistory) => {
+  return documents
+    .filter(d => !docIds || docIds.includes(d.id))
+    .reduce((sum, d) => sum + (includeHistory
+      ? getDocumentVersions(d).reduce((n, v) => n + (v.chunkCount || 0), 0)
+      : (d.chunkCount || 0)), 0);
+};
+
+/**
+ * 向量搜尋
+ * @param {{ space?, includeHistory?, documentFilter? }} options
+ *   space：查詢向量的 { provider, model, dimension }，只與同一空間的區塊比較
+ *   includeHistory：包含文件的舊版本（結果中的舊版區塊標記 historical）
+ *   documentFilter：依標籤、作者、來源、日期與備註篩選文件（見 documentFilter.js）
+ */
+export const searchChunks = async (queryEmbedding, filterDocIds = null, limit = 5, { space = null, includeHistory = false, documentFilter = null } = {}) => {
   const db = await initDB();
-  let chunks = await db.getAll('chunks');
+  const scope = await resolveSearchScope(db, filterDocIds, { space, includeHistory, documentFilter });
+  if (scope.empty) return [];
 
-  // Filter by docIds if provided
-  if (filterDocIds && filterDocIds.length > 0) {
-    chunks = chunks.filter(chunk => filterDocIds.includes(chunk.docId));
+  const { docIds, chunkFilter } = scope;
+  const annotate = (results) => (includeHistory
+    ? results.map(chunk => (scope.isLatest(chunk) ? chunk : { ...chunk, historical: true }))
+    : results);
+
+  // 索引尚未涵蓋所有區塊（舊資料或匯入後）：先精確掃描，並在背景補建索引
+  const meta = await getIndexMeta(db);
+  const totalChunks = await db.count('chunks');
+  if (!meta || meta.count < totalChunks) {
+    ensureVectorIndex();
+    return annotate(await scanChunks(db, queryEmbedding, docIds, limit, chunkFilter));
+  }
+
+  if (!docIds && !chunkFilter) {
+    const results = await searchIndex(db, queryEmbedding, limit);
+    return annotate(results.map(r => ({ ...r.chunk, similarity: r.similarity })));
+  }
+
+  // 篩選範圍小：只讀取這些文件的區塊
+  const scopedCount = countScopedChunks(scope.documents, docIds, includeHistory);
+  if (scopedCount <= EXACT_SCAN_LIMIT) {
+    return annotate(await scanChunks(db, queryEmbedding, docIds, limit, chunkFilter));
+  }
+
+  // 篩選範圍大：擴大搜尋寬度後過濾，不足時退回精確掃描
+  const ef = Math.min(1000, Math.ceil(EF_SEARCH * totalChunks / Math.max(scopedCount, 1)));
+  const results = await searchIndex(db, queryEmbedding, limit, {
+    ef,
+    filter: chunk => (!docIds || docIds.includes(chunk.docId)) && (!chunkFilter || chunkFilter(chunk))
+  });
+
+  if (results.length < limit) {
+    return annotate(await scanChunks(db, queryEmbedding, docIds, limit, chunkFilter));
+  }
+  return annotate(results.map(r => ({ ...r.chunk, similarity: r.similarity })));
+};
+
+// 舊版區塊的 id（關鍵字索引只記錄 docId，需另外排除）
+const collectHistoricalChunkIds = async (db, documents, docIds) => {
+  const ids = new Set();
+  for (const doc of documents) {
+    if ((doc.version || 1) <= 1 || (docIds && !docIds.includes(doc.id))) continue;
+    let cursor = await db.transaction('chunks').store.index('docId').openCursor(IDBKeyRange.only(doc.id));
+    while (cursor) {
+      if (chunkVersion(cursor.value) !== doc.version) ids.add(cursor.value.id);
+      cursor = await cursor.continue();
+    }
+  }
+  return ids;
+};
+
+// 混合搜尋：向量 + BM25，以 Reciprocal Rank Fusion 合併排名
+export const searchChunksHybrid = async (queryText, queryEmbedding, filterDocIds = null, limit = 5, { space = null, includeHistory = false, documentFilter = null } = {}) => {
+  const db = await initDB();
+  const candidateCount = limit * 4;
+  // 關鍵字結果也限定在同一向量空間，否則補算的相似度沒有意義
+  const scope = await resolveSearchScope(db, filterDocIds, { space, includeHistory, documentFilter });
+  if (scope.empty) return [];
+  filterDocIds = scope.docIds;
+
+  const lexMeta = await getLexicalIndexMeta(db);
+  if (!lexMeta || lexMeta.docCount < await db.count('chunks')) {
+    ensureLexicalIndex();
   }
 
-  // 計算相似度並排序
-  const results = chunks.map(chunk => ({
-    ...chunk,
-    similarity: cosineSimilarity(queryEmbedding, chunk.embedding)
-  }));
+  const excludeChunkIds = scope.chunkFilter
+    ? await collectHistoricalChunkIds(db, scope.documents, filterDocIds)
+    : null;
+
+  const [vectorResults, lexicalResults] = await Promise.all([
+    searchChunks(queryEmbedding, filterDocIds, candidateCount, { includeHistory }),
+    searchLexical(db, queryText, candidateCount, filterDocIds, { excludeChunkIds })
+  ]);
+
+  const fused = new Map();
+  vectorResults.forEach((chunk, rank) => {
+    fused.set(chunk.id, { chunk, bm25Score: 0, keywordCoverage: 0, rrfScore: 1 / (RRF_K + rank + 1) });
+  });
+  lexicalResults.forEach((hit, rank) => {
+    const entry = fused.get(hit.id) || { chunk: null, rrfScore: 0 };
+    entry.bm25Score = hit.score;
+    entry.keywordCoverage = hit.coverage;
+    entry.rrfScore += 1 / (RRF_K + rank + 1);
+    fused.set(hit.id, entry);
+  });
 
-  return results
-    .sort((a, b) => b.similarity - a.similarity)
+  const ranked = [...fused.entries()]
+    .sort((a, b) => b[1].rrfScore - a[1].rrfScore)
     .slice(0, limit);
+
+  // 只由 BM25 命中的區塊需補讀內容並計算相似度
+  const results = [];
+  for (const [id, entry] of ranked) {
+    const chunk = entry.chunk || await db.get('chunks', id);
+    if (!chunk) continue;
+    results.push({
+      ...chunk,
+      ...(includeHistory && !scope.isLatest(chunk) ? { historical: true } : {}),
+      similarity: entry.chunk ? chunk.similarity : cosineSimilarity(queryEmbedding, chunk.embedding),
+      bm25Score: entry.bm25Score,
+      keywordCoverage: entry.keywordCoverage,
+      rrfScore: entry.rrfScore
+    });
+  }
+  return results;
+};
+
+// 精確掃描：以 cursor 逐筆計算，只保留 top-k，不一次載入所有向量
+const scanChunks = async (db, queryEmbedding, filterDocIds, limit, chunkFilter = null) => {
+  const top = [];
+  const consider = (chunk) => {
+    if (chunkFilter && !chunkFilter(chunk)) return;
+    const similarity = cosineSimilarity(queryEmbedding, chunk.embedding);
+    if (top.length >= limit && similarity <= top[top.length - 1].similarity) return;
+
+    let i = top.length;
+    while (i > 0 && top[i - 1].similarity < similarity) i--;
+    top.splice(i, 0, { ...chunk, similarity });
+    if (top.length > limit) top.pop();
+  };
+
+  const store = db.transaction('chunks').store;
+  if (filterDocIds && filterDocIds.length > 0) {
+    for (const docId of filterDocIds) {
+      let cursor = await store.index('docId').openCursor(IDBKeyRange.only(docId));
+      while (cursor) {
+        consider(cursor.value);
+        cursor = await cursor.continue();
+      }
+    }
+  } else {
+    let cursor = await store.openCursor();
+    while (cursor) {
+      consider(cursor.value);
+      cursor = await cursor.continue();
+    }
+  }
+
+  return top;
+};
+
+// 補建關鍵字索引（舊資料或匯入後）
+let lexicalBuildPromise = null;
+export const ensureLexicalIndex = () => {
+  if (!lexicalBuildPromise) {
+    lexicalBuildPromise = (async () => {
+      const db = await initDB();
+      const missing = await findUnindexedLexicalChunks(db);
+      if (missing.length === 0) return;
+
+      // 分批寫入，避免單一交易過大
+      for (let i = 0; i < missing.length; i += 500) {
+        const chunks = [];
+        for (const id of missing.slice(i, i + 500)) {
+          const chunk = await db.get('chunks', id);
+          if (chunk) chunks.push({ id, docId: chunk.docId, content: chunk.content });
+        }
+        await addToLexicalIndex(db, chunks);
+      }
+    })()
+      .catch(err => console.error('Lexical index build failed:', err))
+      .finally(() => { lexicalBuildPromise = null; });
+  }
+  return lexicalBuildPromise;
+};
+
+// 補建向量索引（只處理尚未索引的區塊，同時間只執行一次）
+let indexBuildPromise = null;
+export const ensureVectorIndex = (onProgress = null) => {
+  if (!indexBuildPromise) {
+    indexBuildPromise = (async () => {
+      const db = await initDB();
+      const missing = await findUnindexedChunks(db);
+      if (missing.length > 0) {
+        await addToIndex(db, missing, onProgress);
+      }
+    })()
+      .catch(err => console.error('Vector index build failed:', err))
+      .finally(() => { indexBuildPromise = null; });
+  }
+  return indexBuildPromise;
 };
 
 // 向量數學：餘弦相似度
@@ -164,26 +747,382 @@ function cosineSimilarity(vecA, vecB) {
   return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
 }
 
+// ==================== Ingest Queue (V7 新增) ====================
+
+// 佇列顯示用的工作狀態（不含檔案與解析結果）保存在記憶體，佇列每次通知時不必讀出完整的工作紀錄
+// 寫入 ingestJobs 的函式都會同步更新；第一次讀取時才從資料庫載入
+const JOB_STATUS_FIELDS = ['id', 'fileName', 'category', 'docId', 'status', 'stage', 'total', 'embedded', 'message', 'error', 'createdAt'];
+let jobStatusCache = null;
+
+const toJobStatus = (job) => Object.fromEntries(JOB_STATUS_FIELDS.map(key => [key, job[key]]));
+
+// docId：上傳既有文件的新版本時指定
+export const createIngestJob = async ({ file, fileName, category, docId = null }) => {
+  const db = await initDB();
+  const now = new Date();
+  const job = {
+    file,
+    fileName,
+    category,
+    docId,
+    status: 'queued', // queued | running | paused | error
+    stage: null,      // parsing | embedding
+    chunks: null,     // 解析完成後保存，續傳時不需重新解析（含 OCR）
+    stats: null,
+    embedding: null,  // 檢查點所屬的向量空間 { provider, model, dimension }
+    total: 0,
+    embedded: 0,
+    message: '等待處理',
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  const id = await db.add('ingestJobs', job);
+  jobStatusCache?.set(id, toJobStatus({ ...job, id }));
+  return id;
+};
+
+export const getIngestJobs = async () => {
+  const db = await initDB();
+  const jobs = await db.getAll('ingestJobs');
+  return jobs.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+// 依建立順序回傳所有工作的狀態（不含檔案與解析結果）
+export const getIngestJobStatuses = async () => {
+  if (!jobStatusCache) {
+    const statuses = new Map((await getIngestJobs()).map(job => [job.id, toJobStatus(job)]));
+    // 載入期間可能已有其他呼叫完成載入，以先完成的為準
+    jobStatusCache = jobStatusCache || statuses;
+  }
+  return [...jobStatusCache.values()].sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const getIngestJob = async (jobId) => {
+  const db = await initDB();
+  return db.get('ingestJobs', jobId);
+};
+
+// 工作已被取消（刪除）時不會重新建立
+export const updateIngestJob = async (jobId, patch) => {
+  const db = await initDB();
+  const tx = db.transaction('ingestJobs', 'readwrite');
+  const job = await tx.store.get(jobId);
+  const updated = job && { ...job, ...patch, id: jobId, updatedAt: new Date() };
+  if (updated) {
+    await tx.store.put(updated);
+  }
+  await tx.done;
+  if (updated) jobStatusCache?.set(jobId, toJobStatus(updated));
+  return !!job;
+};
+
+// 一次寫入一個批次的向量（entries：[{ index, embedding }]）
+export const saveJobEmbeddings = async (jobId, entries) => {
+  const db = await initDB();
+  const tx = db.transaction('ingestEmbeddings', 'readwrite');
+  for (const { index, embedding } of entries) {
+    await tx.store.put({ jobId, index, embedding });
+  }
+  await tx.done;
+};
+
+// 回傳以區塊序號為索引的稀疏陣列（尚未向量化的位置為 undefined）
+export const getJobEmbeddings = async (jobId) => {
+  const db = await initDB();
+  const records = await db.getAllFromIndex('ingestEmbeddings', 'jobId', jobId);
+  const embeddings = [];
+  for (const record of records) {
+    embeddings[record.index] = record.embedding;
+  }
+  return embeddings;
+};
+
+export const clearJobEmbeddings = async (jobId) => {
+  const db = await initDB();
+  const tx = db.transaction('ingestEmbeddings', 'readwrite');
+  await deleteJobEmbeddings(tx.store, jobId);
+  await tx.done;
+};
+
+const deleteJobEmbeddings = async (store, jobId) => {
+  let cursor = await store.index('jobId').openCursor(IDBKeyRange.only(jobId));
+  while (cursor) {
+    await cursor.delete();
+    cursor = await cursor.continue();
+  }
+};
+
+export const deleteIngestJob = async (jobId) => {
+  const db = await initDB();
+  const tx = db.transaction(['ingestJobs', 'ingestEmbeddings'], 'readwrite');
+  await tx.objectStore('ingestJobs').delete(jobId);
+  await deleteJobEmbeddings(tx.objectStore('ingestEmbeddings'), jobId);
+  await tx.done;
+  jobStatusCache?.delete(jobId);
+};
+
+// ==================== Re-embedding (V8 新增) ====================
+
+// 依向量空間分組文件（重新向量化工具用）
+export const getEmbeddingSpaceSummary = async () => {
+  const db = await initDB();
+  const groups = new Map();
+
+  for (const doc of await db.getAll('documents')) {
+    const space = getDocumentEmbeddingSpace(doc);
+    const key = `${space.provider}|${space.model}|${space.dimension}`;
+    const group = groups.get(key) || { space, docIds: [], chunkCount: 0 };
+    group.docIds.push(doc.id);
+    group.chunkCount += doc.chunkCount || 0;
+    groups.set(key, group);
+  }
+  return [...groups.values()];
+};
+
+export const getDocumentChunkIds = async (docIds) => {
+  const db = await initDB();
+  const chunkIds = [];
+  for (const docId of docIds) {
+    chunkIds.push(...await db.getAllKeysFromIndex('chunks', 'docId', IDBKeyRange.only(docId)));
+  }
+  return chunkIds;
+};
+
+export const getChunk = async (chunkId) => {
+  const db = await initDB();
+  return db.get('chunks', chunkId);
+};
+
+// entries：[{ chunkId, embedding }]
+export const saveReindexVectors = async (entries) => {
+  const db = await initDB();
+  const tx = db.transaction('reindexVectors', 'readwrite');
+  for (const entry of entries) {
+    await tx.store.put(entry);
+  }
+  await tx.done;
+};
+
+export const getReindexedChunkIds = async () => {
+  const db = await initDB();
+  return db.getAllKeys('reindexVectors');
+};
+
+export const clearReindexVectors = async () => {
+  const db = await initDB();
+  await db.clear('reindexVectors');
+};
+
+/**
+ * 以暫存的新向量替換文件的向量（單一交易，不會出現新舊向量混雜的文件）
+ * 向量索引在交易前移除這些區塊（修補鄰居仍需舊向量），之後於背景補建；
+ * 索引不完整期間搜尋會退回精確掃描
+ */
+export const commitReindex = async (docIds, target) => {
+  const db = await initDB();
+  const documents = (await Promise.all(docIds.map(id => db.get('documents', id)))).filter(Boolean);
+  const chunkIds = await getDocumentChunkIds(documents.map(d => d.id));
+
+  const staged = new Set(await db.getAllKeys('reindexVectors'));
+  const missing = chunkIds.filter(id => !staged.has(id)).length;
+  if (missing > 0) throw new Error(`尚有 ${missing} 個區塊未完成向量化`);
+
+  // 整個知識庫都換新向量時，直接清空索引比逐一移除快
+  if (chunkIds.length === await db.count('chunks')) {
+    await clearIndex(db);
+  } else {
+    await removeFromIndex(db, chunkIds);
+  }
+
+  try {
+    const tx = db.transaction(['documents', 'chunks', 'reindexVectors'], 'readwrite');
+    const chunkStore = tx.objectStore('chunks');
+    const vectorStore = tx.objectStore('reindexVectors');
+
+    for (const id of chunkIds) {
+      const chunk = await chunkStore.get(id);
+      if (!chunk) continue;
+      const { embedding } = await vectorStore.get(id);
+      await chunkStore.put({ ...chunk, embedding });
+    }
+
+    const docStore = tx.objectStore('documents');
+    for (const doc of documents) {
+      await docStore.put({
+        ...doc,
+        embeddingProvider: target.provider,
+        embeddingModel: target.model,
+        embeddingDimension: target.dimension
+      });
+    }
+
+    await vectorStore.clear();
+    await tx.done;
+  } finally {
+    ensureVectorIndex();
+  }
+
+  return { documentCount: documents.length, chunkCount: chunkIds.length };
+};
+
+// ==================== Embedding Cache (V9 新增) ====================
+
+// 依 keys 順序回傳向量，未命中的位置為 undefined
+export const getCachedEmbeddings = async (keys) => {
+  const db = await initDB();
+  const tx = db.transaction('embeddingCache');
+  const entries = await Promise.all(keys.map(key => tx.store.get(key)));
+  await tx.done;
+  return entries.map(entry => entry?.embedding);
+};
+
+// entries：[{ key, embedding, provider, model, dimension, taskType }]
+export const saveCachedEmbeddings = async (entries) => {
+  const db = await initDB();
+  const tx = db.transaction('embeddingCache', 'readwrite');
+  const createdAt = new Date();
+  for (const entry of entries) {
+    await tx.store.put({ ...entry, createdAt });
+  }
+  await tx.done;
+};
+
+// 以 cursor 統計，不一次載入所有向量
+export const getEmbeddingCacheStats = async () => {
+  const db = await initDB();
+  let count = 0;
+  let bytes = 0;
+  const byModel = {};
+
+  let cursor = await db.transaction('embeddingCache').store.openCursor();
+  while (cursor) {
+    const { model, dimension, embedding } = cursor.value;
+    count++;
+    bytes += (embedding?.length || 0) * 8;
+    const label = `${model} · ${dimension} 維`;
+    byModel[label] = (byModel[label] || 0) + 1;
+    cursor = await cursor.continue();
+  }
+  return { count, bytes, byModel };
+};
+
+export const clearEmbeddingCache = async () => {
+  const db = await initDB();
+  await db.clear('embeddingCache');
+};
+
+// ==================== Chat Sessions (V6 新增) ====================
+
+export const createSession = async (title = DEFAULT_SESSION_TITLE) => {
+  const db = await initDB();
+  const now = new Date();
+  return db.add('sessions', {
+    title,
+    pinned: false,
+    createdAt: now,
+    updatedAt: now,
+    selectedCategories: [],
+    lastChunks: []
+  });
+};
+
+// 置頂優先，其次依最後更新時間
+export const getSessions = async () => {
+  const db = await initDB();
+  const sessions = await db.getAll('sessions');
+  return sessions.sort((a, b) =>
+    (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || b.updatedAt - a.updatedAt
+  );
+};
+
+export const updateSession = async (sessionId, patch) => {
+  const db = await initDB();
+  const tx = db.transaction('sessions', 'readwrite');
+  const session = await tx.store.get(sessionId);
+  if (session) {
+    await tx.store.put({ ...session, ...patch, id: sessionId });
+  }
+  await tx.done;
+};
+
+/**
+ * 寫入對話記憶：只有摘要期間記憶未被變更（例如清除對話），且最後一則摘要的訊息仍存在時才寫入
+ * 檢查與寫入在同一交易中，背景摘要不會讓已清除的記憶復活
+ * @param {object | null} previous - 摘要開始時的記憶
+ * @returns {Promise<boolean>} 是否已寫入
+ */
+export const replaceSessionMemory = async (sessionId, previous, next) => {
+  const db = await initDB();
+  const tx = db.transaction(['sessions', 'chatHistory'], 'readwrite');
+  const sessionStore = tx.objectStore('sessions');
+  const session = await sessionStore.get(sessionId);
+  const lastMessage = await tx.objectStore('chatHistory').get(next.lastMessageId);
+  const current = session?.memory || null;
+  const unchanged = (current?.lastMessageId ?? null) === (previous?.lastMessageId ?? null) &&
+    (current?.summary ?? null) === (previous?.summary ?? null);
+  const written = !!session && unchanged && lastMessage?.sessionId === sessionId;
+  if (written) {
+    await sessionStore.put({ ...session, memory: next });
+  }
+  await tx.done;
+  return written;
+};
+
+export const renameSession = async (sessionId, title) => {
+  await updateSession(sessionId, { title });
+};
+
+export const setSessionPinned = async (sessionId, pinned) => {
+  await updateSession(sessionId, { pinned });
+};
+
+export const deleteSession = async (sessionId) => {
+  const db = await initDB();
+  const tx = db.transaction(['sessions', 'chatHistory'], 'readwrite');
+
+  await tx.objectStore('sessions').delete(sessionId);
+
+  const index = tx.objectStore('chatHistory').index('sessionId');
+  let cursor = await index.openCursor(IDBKeyRange.only(sessionId));
+  while (cursor) {
+    await cursor.delete();
+    cursor = await cursor.continue();
+  }
+
+  await tx.done;
+};
+
 // ==================== Chat History (V2 新增) ====================
 
 export const saveChatMessage = async (message) => {
   const db = await initDB();
-  return db.add('chatHistory', {
+  const timestamp = new Date();
+  const id = await db.add('chatHistory', {
     ...message,
-    timestamp: new Date()
+    timestamp
   });
+
+  if (message.sessionId != null) {
+    await updateSession(message.sessionId, { updatedAt: timestamp });
+  }
+  return id;
 };
 
-export const getChatHistory = async (limit = 100) => {
+export const getChatHistory = async (sessionId, limit = 100) => {
   const db = await initDB();
-  const all = await db.getAll('chatHistory');
+  const all = await db.getAllFromIndex('chatHistory', 'sessionId', sessionId);
   return all.sort((a, b) => a.timestamp - b.timestamp).slice(-limit);
 };
 
-export const clearChatHistory = async () => {
+export const clearChatHistory = async (sessionId) => {
   const db = await initDB();
   const tx = db.transaction('chatHistory', 'readwrite');
-  await tx.objectStore('chatHistory').clear();
+  let cursor = await tx.store.index('sessionId').openCursor(IDBKeyRange.only(sessionId));
+  while (cursor) {
+    await cursor.delete();
+    cursor = await cursor.continue();
+  }
   await tx.done;
 };
 
@@ -200,6 +1139,25 @@ export const getSetting = async (key, defaultValue = null) => {
   return result?.value ?? defaultValue;
 };
 
+// ==================== Evaluation Runs (V11 新增) ====================
+
+export const saveEvalRun = async (run) => {
+  const db = await initDB();
+  return db.add('evalRuns', { ...run, createdAt: new Date() });
+};
+
+// 新的在前
+export const getEvalRuns = async () => {
+  const db = await initDB();
+  const runs = await db.getAllFromIndex('evalRuns', 'createdAt');
+  return runs.reverse();
+};
+
+export const deleteEvalRun = async (runId) => {
+  const db = await initDB();
+  await db.delete('evalRuns', runId);
+};
+
 // ==================== Export / Import (V2 新增) ====================
 
 export const exportKnowledgeBase = async () => {
@@ -207,15 +1165,17 @@ export const exportKnowledgeBase = async () => {
   const documents = await db.getAll('documents');
   const chunks = await db.getAll('chunks');
   const chatHistory = await db.getAll('chatHistory');
+  const sessions = await db.getAll('sessions');
   const settings = await db.getAll('settings');
 
   const exportData = {
-    version: 2,
+    version: 3,
     exportDate: new Date().toISOString(),
     data: {
       documents,
       chunks,
       chatHistory,
+      sessions,
       settings
     }
   };
@@ -234,7 +1194,7 @@ export const importKnowledgeBase = async (importData, options = { clearExisting:
     await clearAllData();
   }
 
-  const tx = db.transaction(['documents', 'chunks', 'chatHistory', 'settings'], 'readwrite');
+  const tx = db.transaction(['documents', 'chunks', 'chatHistory', 'sessions', 'settings'], 'readwrite');
 
   // Import documents and chunks with ID mapping
   const idMap = {};
@@ -251,10 +1211,46 @@ export const importKnowledgeBase = async (importData, options = { clearExisting:
     await tx.objectStore('chunks').add(chunk);
   }
 
-  // Import chat history
+  // Import sessions
+  const sessionIdMap = {};
+  for (const session of importData.data.sessions || []) {
+    const oldId = session.id;
+    delete session.id;
+    sessionIdMap[oldId] = await tx.objectStore('sessions').add(session);
+  }
+
+  // Import chat history（V2 備份沒有對話清單，訊息歸入一個新對話）
+  let fallbackSessionId = null;
+  const messageIdMap = {};
   for (const msg of importData.data.chatHistory || []) {
+    const oldId = msg.id;
     delete msg.id;
-    await tx.objectStore('chatHistory').add(msg);
+    if (msg.sessionId != null && sessionIdMap[msg.sessionId] != null) {
+      msg.sessionId = sessionIdMap[msg.sessionId];
+    } else {
+      if (fallbackSessionId === null) {
+        const now = new Date();
+        fallbackSessionId = await tx.objectStore('sessions').add({
+          title: '匯入的對話',
+          pinned: false,
+          createdAt: now,
+          updatedAt: now,
+          selectedCategories: [],
+          lastChunks: []
+        });
+      }
+      msg.sessionId = fallbackSessionId;
+    }
+    messageIdMap[oldId] = await tx.objectStore('chatHistory').add(msg);
+  }
+
+  // 對話記憶以訊息 id 標記摘要進度，改為新的 id（對應不到時捨棄，之後重新摘要）
+  for (const sessionId of Object.values(sessionIdMap)) {
+    const session = await tx.objectStore('sessions').get(sessionId);
+    if (!session.memory) continue;
+    const lastMessageId = messageIdMap[session.memory.lastMessageId];
+    session.memory = lastMessageId != null ? { ...session.memory, lastMessageId } : null;
+    await tx.objectStore('sessions').put(session);
   }
 
   // Import settings
@@ -264,6 +1260,10 @@ export const importKnowledgeBase = async (importData, options = { clearExisting:
 
   await tx.done;
 
+  // 新匯入的區塊在背景加入向量索引與關鍵字索引
+  ensureVectorIndex();
+  ensureLexicalIndex();
+
   return {
     documentsImported: importData.data.documents?.length || 0,
     chunksImported: importData.data.chunks?.length || 0,
@@ -273,13 +1273,32 @@ export const importKnowledgeBase = async (importData, options = { clearExisting:
 
 // ==================== Clear All ====================
 
+// 文件移至垃圾桶（可還原），其餘資料直接清除；返回垃圾桶項目 id（沒有文件時為 null）
 export const clearAllData = async () => {
   const db = await initDB();
-  const tx = db.transaction(['documents', 'chunks', 'chatHistory'], 'readwrite');
+  const documents = await db.getAll('documents');
+  const trashId = documents.length > 0
+    ? await moveToTrash(db, documents, { type: 'all', name: '所有文件' })
+    : null;
+
+  const tx = db.transaction(
+    ['documents', 'chunks', 'chatHistory', 'sessions', 'ingestJobs', 'ingestEmbeddings', 'reindexVectors', 'embeddingCache', 'evalRuns'],
+    'readwrite'
+  );
   await tx.objectStore('documents').clear();
   await tx.objectStore('chunks').clear();
   await tx.objectStore('chatHistory').clear();
+  await tx.objectStore('sessions').clear();
+  await tx.objectStore('ingestJobs').clear();
+  await tx.objectStore('ingestEmbeddings').clear();
+  await tx.objectStore('reindexVectors').clear();
+  await tx.objectStore('embeddingCache').clear();
+  await tx.objectStore('evalRuns').clear();
   await tx.done;
+  jobStatusCache?.clear();
+  await clearIndex(db);
+  await clearLexicalIndex(db);
+  return trashId;
 };
 
 // ==================== Validation (V2 新增) ====================
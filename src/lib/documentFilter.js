@@ -0,0 +1,63 @@
+/**
+ * 文件欄位與篩選條件 - 標籤、作者、來源、日期、備註
+ * 此模組不依賴任何 SDK，db.js 與 UI 皆可使用
+ */
+
+export const EMPTY_DOCUMENT_FILTER = {
+  tags: [],
+  author: '',
+  source: '',
+  dateFrom: '',
+  dateTo: '',
+  notes: ''
+};
+
+// 舊版文件沒有這些欄位；date 為 YYYY-MM-DD 字串
+export const getDocumentMetadata = (doc) => ({
+  tags: doc.tags || [],
+  author: doc.author || '',
+  source: doc.source || '',
+  date: doc.date || '',
+  notes: doc.notes || ''
+});
+
+// 以逗號、頓號或換行分隔的標籤文字轉為不重複的陣列
+export const parseTags = (text) => {
+  return [...new Set(text.split(/[,，、\n]/).map(tag => tag.trim()).filter(Boolean))];
+};
+
+// 知識庫中所有的標籤（依名稱排序）
+export const collectTags = (documents) => {
+  return [...new Set(documents.flatMap(d => d.tags || []))].sort((a, b) => a.localeCompare(b));
+};
+
+export const isDocumentFilterActive = (filter) => {
+  if (!filter) return false;
+  return filter.tags.length > 0 ||
+    ['author', 'source', 'dateFrom', 'dateTo', 'notes'].some(key => filter[key].trim() !== '');
+};
+
+const includesText = (value, keyword) => {
+  return !keyword.trim() || value.toLowerCase().includes(keyword.trim().toLowerCase());
+};
+
+/**
+ * 文件是否符合所有條件
+ * 標籤須全部符合；作者、來源、備註為部分比對（不分大小寫）；
+ * 設定日期範圍時，沒有日期的文件不符合
+ */
+export const matchesDocumentFilter = (doc, filter) => {
+  const meta = getDocumentMetadata(doc);
+
+  if (!filter.tags.every(tag => meta.tags.includes(tag))) return false;
+  if (!includesText(meta.author, filter.author)) return false;
+  if (!includesText(meta.source, filter.source)) return false;
+  if (!includesText(meta.notes, filter.notes)) return false;
+
+  if (filter.dateFrom || filter.dateTo) {
+    if (!meta.date) return false;
+    if (filter.dateFrom && meta.date < filter.dateFrom) return false;
+    if (filter.dateTo && meta.date > filter.dateTo) return false;
+  }
+  return true;
+};
@@ -0,0 +1,21 @@
+/**
+ * 向量空間識別 - { provider, model, dimension }
+ * 不同向量空間產生的向量無法互相比較；此模組不依賴任何 SDK，db.js 與 UI 皆可使用
+ */
+
+// 舊版文件沒有記錄 provider，一律由 Gemini 產生
+const LEGACY_SPACE = { provider: 'gemini', model: 'gemini-embedding-001' };
+
+export const isSameEmbeddingSpace = (a, b) => {
+  return !!a && !!b && a.provider === b.provider && a.model === b.model && a.dimension === b.dimension;
+};
+
+export const getDocumentEmbeddingSpace = (doc) => ({
+  provider: doc.embeddingProvider || LEGACY_SPACE.provider,
+  model: doc.embeddingModel || LEGACY_SPACE.model,
+  dimension: doc.embeddingDimension
+});
+
+export const formatEmbeddingSpace = (space) => {
+  return space ? `${space.model} · ${space.dimension || '?'} 維` : '未知';
+};
@@ -0,0 +1,279 @@
+/**
+ * Embedding Provider 抽象層
+ * App 與匯入佇列只透過此模組取得向量，實際由 Gemini 或 OpenAI 相容端點產生
+ * 相同內容的向量會先從 IndexedDB 快取取得，重新上傳修訂版文件時只需向量化有變動的段落
+ */
+
+import {
+  initGemini,
+  verifyGeminiApiKey,
+  getEmbedding as getGeminiEmbedding,
+  getEmbeddingsBatch as getGeminiEmbeddingsBatch,
+  getEmbeddingModelInfo as getGeminiModelInfo
+} from './gemini';
+import {
+  verifyOpenAIEmbedding,
+  getOpenAIEmbedding,
+  getOpenAIEmbeddingsBatch
+} from './openaiEmbedding';
+import { isSameEmbeddingSpace, getDocumentEmbeddingSpace, formatEmbeddingSpace } from './embeddingSpace';
+import { getCachedEmbeddings, saveCachedEmbeddings, getEmbeddingCacheStats, clearEmbeddingCache } from './db';
+
+export { isSameEmbeddingSpace };
+
+const providers = {
+  gemini: {
+    id: 'gemini',
+    label: 'Google Gemini',
+    rateLimit: '15 RPM (Free Tier)',
+    // 每次請求間隔 4.5 秒，batchEmbedContents 一次最多 100 筆
+    secondsPerRequest: 4.5,
+    batchSize: 100,
+    taskTypes: { query: 'RETRIEVAL_QUERY', document: 'RETRIEVAL_DOCUMENT' },
+    // gemini-embedding-001 支援以 outputDimensionality 截短向量
+    dimensions: [768, 1536, 3072],
+    // 只有一個模型，連線不需指定
+    fixedModel: getGeminiModelInfo().id,
+    async connect({ apiKey }) {
+      await verifyGeminiApiKey(apiKey);
+      initGemini(apiKey);
+      const info = getGeminiModelInfo();
+      return { model: info.id, dimension: info.dimensions, client: null };
+    },
+    embed: (_client, text, dimension, signal) => getGeminiEmbedding(text, { taskType: 'RETRIEVAL_QUERY', outputDimensionality: dimension, signal }),
+    embedBatch: (_client, texts, onProgress, { title, dimension, signal }) => getGeminiEmbeddingsBatch(texts, onProgress, {
+      taskType: 'RETRIEVAL_DOCUMENT',
+      title,
+      outputDimensionality: dimension,
+      signal
+    })
+  },
+  openai: {
+    id: 'openai',
+    label: 'OpenAI 相容',
+    rateLimit: '依自架服務而定',
+    secondsPerRequest: 0.5,
+    batchSize: 32,
+    taskTypes: { query: null, document: null }, // 查詢與文件的向量相同，共用快取
+    dimensions: null, // 由模型決定，無法調整
+    fixedModel: null,
+    async connect({ baseUrl, apiKey, model }) {
+      const dimension = await verifyOpenAIEmbedding({ baseUrl, apiKey, model });
+      const client = { baseUrl: baseUrl.trim(), apiKey: apiKey || '', model: model.trim() };
+      return { model: client.model, dimension, client };
+    },
+    embed: (client, text, _dimension, signal) => getOpenAIEmbedding(client, text, signal),
+    embedBatch: (client, texts, onProgress, { signal }) => getOpenAIEmbeddingsBatch(client, texts, onProgress, { signal })
+  }
+};
+
+// 查詢使用的向量空間 { provider, model, dimension }；重新向量化完成並切換前維持舊的空間
+let active = null;
+// 已連線的模型：登入的模型與重新向量化的目標模型可同時存在，API Key 只保存在記憶體
+// `${provider}\u0000${model}` -> { client, dimension }（dimension 為模型預設維度）
+const connections = new Map();
+
+const connectionKey = ({ provider, model }) => `${provider}\u0000${model}`;
+
+export const EMBEDDING_PROVIDERS = Object.values(providers).map(({ id, label, fixedModel }) => ({ id, label, fixedModel }));
+
+// 驗證設定並記住連線；dimension 為支援的輸出維度之一時採用，否則使用模型預設維度
+const connect = async (config) => {
+  const provider = providers[config.provider];
+  if (!provider) throw new Error(`不支援的 Embedding Provider：${config.provider}`);
+
+  const { model, dimension, client } = await provider.connect(config);
+  connections.set(connectionKey({ provider: provider.id, model }), { client, dimension });
+  return {
+    provider: provider.id,
+    model,
+    dimension: provider.dimensions?.includes(config.dimension) ? config.dimension : dimension
+  };
+};
+
+/**
+ * 驗證並啟用 Embedding Provider（登入），作為查詢使用的向量空間
+ * @param {{ provider: 'gemini' | 'openai', apiKey?, baseUrl?, model?, dimension? }} config
+ */
+export const initEmbeddingProvider = async (config) => {
+  connections.clear();
+  active = await connect(config);
+  return active;
+};
+
+/**
+ * 連線重新向量化的目標模型，不改變查詢使用的向量空間
+ * @param {{ provider: 'gemini' | 'openai', apiKey?, baseUrl?, model? }} config
+ * @returns {Promise<{ provider, model, dimension }>} dimension 為模型預設維度
+ */
+export const connectEmbeddingTarget = (config) => connect(config);
+
+// 已連線模型的向量空間（模型預設維度，OpenAI 相容服務另含 baseUrl），未連線時為 null
+export const getConnectedEmbeddingSpace = ({ provider, model }) => {
+  const connection = connections.get(connectionKey({ provider, model }));
+  if (!connection) return null;
+  return {
+    provider,
+    model,
+    dimension: connection.dimension,
+    ...(connection.client?.baseUrl && { baseUrl: connection.client.baseUrl })
+  };
+};
+
+export const isEmbeddingSpaceConnected = (space) => !!space && connections.has(connectionKey(space));
+
+const getActiveProvider = () => {
+  if (!active) throw new Error('Embedding 服務未初始化，請先登入');
+  return providers[active.provider];
+};
+
+const getConnection = (space) => {
+  const connection = connections.get(connectionKey(space));
+  if (!connection) throw new Error(`尚未連線 ${formatEmbeddingSpace(space)}，請在重新向量化視窗輸入設定`);
+  return connection;
+};
+
+// ==================== 向量快取 ====================
+
+// 本次開啟頁面後的命中統計
+const cacheCounters = { hits: 0, misses: 0 };
+
+// 統一全形半形與空白，排版差異不影響命中
+const normalizeText = (text) => text.normalize('NFKC').replace(/\s+/g, ' ').trim();
+
+// 以 (provider, model, dimension, task type, 正規化文字) 的 SHA-256 作為 key
+// 文件標題不列入：同一段落在改名後的新版文件中仍可命中
+const cacheKey = async (space, text, taskType) => {
+  const source = [space.provider, space.model, space.dimension, taskType || '', normalizeText(text)].join('\u0000');
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(source));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// 查詢快取：found 為命中的向量，missing 為需要向量化的文字（同一批內重複的文字只列一次）
+const lookupCache = async (space, texts, taskType) => {
+  const keys = await Promise.all(texts.map(text => cacheKey(space, text, taskType)));
+  const cached = await getCachedEmbeddings(keys);
+
+  const found = new Map();
+  const missing = new Map(); // key -> text
+  keys.forEach((key, i) => {
+    if (cached[i]) found.set(key, cached[i]);
+    else if (!missing.has(key)) missing.set(key, texts[i]);
+  });
+  return { keys, found, missing };
+};
+
+/**
+ * 先查快取，只把未命中的文字交給 embedMissing（同一批內重複的文字只送一次）
+ * 非安全環境（http 區網位址）沒有 crypto.subtle 時直接略過快取
+ */
+const withCache = async (space, texts, taskType, embedMissing) => {
+  if (!globalThis.crypto?.subtle) return embedMissing(texts);
+
+  const { keys, found, missing } = await lookupCache(space, texts, taskType);
+
+  cacheCounters.hits += texts.length - missing.size;
+  cacheCounters.misses += missing.size;
+
+  if (missing.size > 0) {
+    const missingKeys = [...missing.keys()];
+    const vectors = await embedMissing([...missing.values()]);
+    missingKeys.forEach((key, i) => found.set(key, vectors[i]));
+    await saveCachedEmbeddings(missingKeys.map((key, i) => ({
+      key,
+      embedding: vectors[i],
+      provider: space.provider,
+      model: space.model,
+      dimension: space.dimension,
+      taskType
+    })));
+  }
+
+  return keys.map(key => found.get(key));
+};
+
+// 技術規格面板用：快取筆數、估計大小與本次命中率
+export const getEmbeddingCacheInfo = async () => ({
+  ...await getEmbeddingCacheStats(),
+  ...cacheCounters
+});
+
+export const purgeEmbeddingCache = async () => {
+  await clearEmbeddingCache();
+  cacheCounters.hits = 0;
+  cacheCounters.misses = 0;
+};
+
+// ==================== 向量化 ====================
+
+// 查詢向量化（Gemini 使用 RETRIEVAL_QUERY），可用 signal 中止
+export const getEmbedding = async (text, { signal = null } = {}) => {
+  const provider = getActiveProvider();
+  const space = active;
+  const { client } = getConnection(space);
+  const [embedding] = await withCache(space, [text], provider.taskTypes.query,
+    ([missing]) => provider.embed(client, missing, space.dimension, signal).then(vector => [vector]));
+  return embedding;
+};
+
+/**
+ * 文件區塊向量化（Gemini 使用 RETRIEVAL_DOCUMENT 並帶入文件標題），依 Provider 批次送出
+ * @param {{ title?, space?, signal? }} options - space：重新向量化時指定目標向量空間（需已連線），未指定則使用查詢的向量空間；
+ *   signal 中止時拋出 AbortError
+ */
+export const getEmbeddingsBatch = async (texts, onProgress = null, { title = null, space = null, signal = null } = {}) => {
+  if (!space) getActiveProvider();
+  const target = space || active;
+  const provider = providers[target.provider];
+  const { client } = getConnection(target);
+  return withCache(target, texts, provider.taskTypes.document,
+    (missing) => provider.embedBatch(client, missing, onProgress, { title, dimension: target.dimension, signal }));
+};
+
+/**
+ * 文件區塊中需要呼叫 API 的數量（快取未命中，重複的文字只計一次），用於估算剩餘時間
+ * @param {{ space? }} options - 同 getEmbeddingsBatch
+ */
+export const countUncachedEmbeddings = async (texts, { space = null } = {}) => {
+  if (!space) getActiveProvider();
+  const target = space || active;
+  if (!globalThis.crypto?.subtle) return texts.length;
+
+  const { missing } = await lookupCache(target, texts, providers[target.provider].taskTypes.document);
+  return missing.size;
+};
+
+// 每次批次呼叫的區塊數（匯入與重新向量化以此為檢查點單位）；space 省略時為查詢的向量空間
+export const getEmbeddingBatchSize = (space = active) => providers[space?.provider || 'gemini'].batchSize;
+
+// 目前向量空間的識別資訊（寫入文件紀錄，用於判斷向量是否可互相比較）
+export const getEmbeddingInfo = () => active && { ...active };
+
+export const getDocumentEmbeddingInfo = getDocumentEmbeddingSpace;
+
+// Provider 可選的輸出維度（null 表示由模型固定），省略時為查詢使用的 Provider
+export const getSupportedDimensions = (providerId = active?.provider) => (providerId ? providers[providerId].dimensions : null);
+
+// 重新向量化完成後切換查詢使用的向量空間（目標模型需已連線）
+export const setQueryEmbeddingSpace = (space) => {
+  getConnection(space);
+  active = { provider: space.provider, model: space.model, dimension: space.dimension };
+};
+
+// 預估向量化指定數量區塊所需的秒數（用於剩餘時間估算）；space 省略時為查詢的向量空間
+export const estimateEmbeddingSeconds = (chunkCount, space = active) => {
+  const provider = providers[space?.provider || 'gemini'];
+  return Math.ceil(Math.ceil(chunkCount / provider.batchSize) * provider.secondsPerRequest);
+};
+
+// 技術說明頁面用
+export const getEmbeddingModelInfo = () => {
+  const provider = providers[active?.provider || 'gemini'];
+  return {
+    name: provider.label,
+    provider: provider.label,
+    id: active?.model || getGeminiModelInfo().id,
+    dimensions: active?.dimension || getGeminiModelInfo().dimensions,
+    rateLimit: provider.rateLimit
+  };
+};
@@ -0,0 +1,213 @@
+/**
+ * RAG 離線評估 - 以題組檢驗檢索與回答品質
+ * 每題依序執行與對話相同的流程：意圖分析 → 查詢向量化 → 檢索 → 生成回答 → LLM 評分
+ * 指標：recall@k、MRR（需指定預期文件）、faithfulness 與 correctness（LLM 評分，1-5 分正規化為 0-1）
+ */
+
+import { getEmbedding, getEmbeddingInfo } from './embeddings';
+import { analyzeQueryIntent, chatWithGroq, judgeAnswer } from './groq';
+import { searchChunks, searchChunksHybrid, getAllDocuments, saveEvalRun } from './db';
+import { parseCSVRows } from './parsers';
+import { formatPageRange } from './citations';
+import { applyIntentFilters } from './queryIntent';
+import { isRelevantResult } from './lexical';
+
+const NO_RESULT_ANSWER = '知識庫中無相關資訊。';
+
+// ==================== 題組 ====================
+
+// 預期文件可為陣列或以 ; | 換行分隔的文字
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  return String(value || '').split(/[;|\n]/).map(v => v.trim()).filter(Boolean);
+};
+
+const normalizeQuestion = (item) => ({
+  question: String(item.question ?? item.q ?? '').trim(),
+  expectedDocs: toList(item.expectedDocs ?? item.expected_docs ?? item.docs),
+  expectedAnswer: String(item.expectedAnswer ?? item.expected_answer ?? item.answer ?? '').trim()
+});
+
+/**
+ * 解析題組檔案
+ * JSON：[{ question, expectedDocs, expectedAnswer }] 或 { name, questions: [...] }
+ * CSV：首列為欄位名稱 question, expected_docs, expected_answer
+ * @returns {{ name: string, questions: Array<{ question, expectedDocs: string[], expectedAnswer: string }> }}
+ */
+export const parseEvalSet = (text, fileName = '') => {
+  const baseName = fileName.replace(/\.[^.]+$/, '') || '未命名題組';
+  let name = baseName;
+  let items;
+
+  if (/\.csv$/i.test(fileName)) {
+    const [header = [], ...rows] = parseCSVRows(text.replace(/^\uFEFF/, ''));
+    const keys = header.map(h => h.trim().toLowerCase());
+    if (!keys.includes('question')) throw new Error('CSV 題組需包含 question 欄位');
+    items = rows.map(row => Object.fromEntries(keys.map((key, i) => [key, row[i] ?? ''])));
+  } else {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('題組檔案不是有效的 JSON');
+    }
+    items = Array.isArray(data) ? data : data.questions;
+    if (!Array.isArray(items)) throw new Error('JSON 題組需為陣列或包含 questions 陣列');
+    name = data.name || baseName;
+  }
+
+  const questions = items.map(normalizeQuestion).filter(q => q.question);
+  if (questions.length === 0) throw new Error('題組中沒有任何題目');
+  return { name, questions };
+};
+
+// ==================== 指標 ====================
+
+// 文件名稱比對不分大小寫，可省略副檔名
+const normalizeName = (name) => name.trim().toLowerCase().replace(/\.[a-z0-9]+$/, '');
+
+// 第一個屬於預期文件的區塊排名（1 起算），沒有時為 null
+const findFirstRelevantRank = (retrieved, expected) => {
+  const index = retrieved.findIndex(r => r.docNames.some(n => expected.has(n)));
+  return index === -1 ? null : index + 1;
+};
+
+const average = (values) => {
+  const valid = values.filter(v => v != null);
+  return valid.length > 0 ? valid.reduce((sum, v) => sum + v, 0) / valid.length : null;
+};
+
+// 1-5 分正規化為 0-1
+const normalizeScore = (score) => (score == null ? null : (score - 1) / 4);
+
+export const summarizeResults = (results) => {
+  const ok = results.filter(r => !r.error);
+  return {
+    recallAtK: average(ok.map(r => r.recall)),
+    mrr: average(ok.map(r => r.reciprocalRank)),
+    faithfulness: average(ok.map(r => normalizeScore(r.faithfulness))),
+    correctness: average(ok.map(r => normalizeScore(r.correctness))),
+    answered: ok.filter(r => !r.abstained).length,
+    errors: results.length - ok.length
+  };
+};
+
+// ==================== 執行 ====================
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw new DOMException('評估已取消', 'AbortError');
+};
+
+const evaluateQuestion = async (item, settings, documents, docNames, signal) => {
+  const intent = await analyzeQueryIntent(item.question, [], { documents, signal });
+  const query = intent.newQuery || item.question;
+  throwIfAborted(signal);
+
+  // 題組的每一題都需要檢索，不論意圖判斷結果；問題中提到的分類、文件與日期範圍同樣自動套用
+  const scoped = applyIntentFilters(intent.filters, documents);
+  const vec = await getEmbedding(query, { signal });
+  const options = { space: getEmbeddingInfo(), includeHistory: settings.includeHistory, documentFilter: scoped.documentFilter };
+  const chunks = settings.searchMode === 'hybrid'
+    ? await searchChunksHybrid(`${item.question} ${query}`, vec, scoped.scopeDocIds, settings.limit, options)
+    : await searchChunks(vec, scoped.scopeDocIds, settings.limit, options);
+  throwIfAborted(signal);
+
+  const retrieved = chunks.map(c => ({
+    chunkId: c.id,
+    fileName: c.metadata?.fileName || '未知文件',
+    pages: formatPageRange(c.metadata),
+    similarity: c.similarity,
+    bm25Score: c.bm25Score ?? null,
+    docNames: [docNames.get(c.docId), c.metadata?.fileName].filter(Boolean).map(normalizeName)
+  }));
+
+  let recall = null;
+  let reciprocalRank = null;
+  if (item.expectedDocs.length > 0) {
+    const expected = new Set(item.expectedDocs.map(normalizeName));
+    const found = new Set(retrieved.flatMap(r => r.docNames).filter(n => expected.has(n)));
+    recall = found.size / expected.size;
+    const rank = findFirstRelevantRank(retrieved, expected);
+    reciprocalRank = rank ? 1 / rank : 0;
+  }
+
+  // 與對話相同：沒有區塊通過門檻時不生成回答
+  const abstained = !chunks.some(c => isRelevantResult(c, settings.threshold));
+  // 評分只參考實際放入提示的區塊
+  let promptChunks = [];
+  const answer = abstained
+    ? NO_RESULT_ANSWER
+    : await chatWithGroq(query, chunks, [], {
+      language: intent.filters.language,
+      signal,
+      onContext: (used) => { promptChunks = used; }
+    });
+  throwIfAborted(signal);
+
+  // 評分失敗時保留檢索指標與回答，只有該題的評分不計入
+  let judged = { faithfulness: null, correctness: null, reason: '' };
+  let judgeError = null;
+  try {
+    judged = await judgeAnswer(item.question, answer, promptChunks, item.expectedAnswer, signal);
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    console.error('Evaluation judge failed:', err);
+    judgeError = err.message;
+  }
+
+  return {
+    ...item,
+    intent: intent.type,
+    query,
+    retrieved: retrieved.map(({ docNames: _, ...r }) => r),
+    recall,
+    reciprocalRank,
+    abstained,
+    answer,
+    faithfulness: judged.faithfulness,
+    correctness: judged.correctness,
+    reason: judged.reason,
+    judgeError,
+    error: null
+  };
+};
+
+/**
+ * 執行評估並保存結果
+ * @param {{ name, questions }} evalSet
+ * @param {{ searchMode: 'vector' | 'hybrid', limit: number, threshold: number, includeHistory: boolean }} settings
+ * @param {{ onProgress?: Function, signal?: AbortSignal }} options
+ * @returns {Promise<object>} 保存的評估紀錄（含 id）
+ */
+export const runEvaluation = async (evalSet, settings, { onProgress = null, signal = null } = {}) => {
+  const documents = await getAllDocuments();
+  const docNames = new Map(documents.map(d => [d.id, d.name]));
+  const results = [];
+
+  for (let i = 0; i < evalSet.questions.length; i++) {
+    throwIfAborted(signal);
+    const item = evalSet.questions[i];
+    onProgress?.({ current: i + 1, total: evalSet.questions.length, question: item.question });
+
+    try {
+      results.push(await evaluateQuestion(item, settings, documents, docNames, signal));
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      // 單題失敗（例如 API 錯誤）不中斷整個評估，該題不計入指標
+      console.error('Evaluation question failed:', err);
+      results.push({ ...item, error: err.message });
+    }
+  }
+
+  const run = {
+    setName: evalSet.name,
+    settings,
+    embedding: getEmbeddingInfo(),
+    documentCount: documents.length,
+    questionCount: evalSet.questions.length,
+    metrics: summarizeResults(results),
+    results
+  };
+  const id = await saveEvalRun(run);
+  return { ...run, id };
+};
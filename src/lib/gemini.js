@@ -2,11 +2,17 @@
  * Gemini API Client - V3 (僅向量化功能)
  * 在 V3 中，Gemini 只負責文字向量化
  * 對話和圖像分析由 Groq 處理
+ * 請求經由 fetchWithRetry（重試、逾時），可用 signal 中止
  */
 
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { fetchWithRetry, sleep } from './http';
 
-let genAI = null;
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+// 單次請求逾時（批次最多 100 筆）
+const EMBEDDING_TIMEOUT_MS = 60000;
+const VERIFY_TIMEOUT_MS = 15000;
+
+let geminiApiKey = null;
 
 // 速率限制配置 (免費 API: 15 RPM)
 const RATE_LIMIT = {
@@ -17,8 +23,8 @@ const RATE_LIMIT = {
   windowStart: 0,
 };
 
-// 速率限制等待函數
-const waitForRateLimit = async () => {
+// 速率限制等待函數，等待中可被 signal 中止
+const waitForRateLimit = async (signal = null) => {
   const now = Date.now();
 
   if (now - RATE_LIMIT.windowStart > 60000) {
@@ -29,7 +35,7 @@ const waitForRateLimit = async () => {
   if (RATE_LIMIT.requestCount >= RATE_LIMIT.maxRequestsPerMinute) {
     const waitTime = 60000 - (now - RATE_LIMIT.windowStart) + 1000;
     if (waitTime > 0) {
-      await new Promise(r => setTimeout(r, waitTime));
+      await sleep(waitTime, signal);
       RATE_LIMIT.requestCount = 0;
       RATE_LIMIT.windowStart = Date.now();
     }
@@ -37,89 +43,112 @@ const waitForRateLimit = async () => {
 
   const timeSinceLastRequest = now - RATE_LIMIT.lastRequestTime;
   if (timeSinceLastRequest < RATE_LIMIT.minDelayMs) {
-    await new Promise(r => setTimeout(r, RATE_LIMIT.minDelayMs - timeSinceLastRequest));
+    await sleep(RATE_LIMIT.minDelayMs - timeSinceLastRequest, signal);
   }
 
   RATE_LIMIT.lastRequestTime = Date.now();
   RATE_LIMIT.requestCount++;
 };
 
-// 帶重試的 API 調用
-const withRetry = async (fn, maxRetries = 3) => {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      const isRateLimit = error.message?.includes('429') ||
-                          error.message?.includes('quota') ||
-                          error.message?.includes('rate');
-
-      if (isRateLimit && attempt < maxRetries) {
-        const backoffTime = 15000 * Math.pow(2, attempt - 1);
-        console.log(`Rate limited, waiting ${backoffTime/1000}s before retry ${attempt + 1}/${maxRetries}`);
-        await new Promise(r => setTimeout(r, backoffTime));
-        continue;
-      }
-      throw error;
-    }
-  }
-};
-
 // 初始化 Gemini
 export const initGemini = (apiKey) => {
-  genAI = new GoogleGenerativeAI(apiKey);
+  geminiApiKey = apiKey;
 };
 
 // 驗證 Gemini API Key
 export const verifyGeminiApiKey = async (apiKey) => {
   try {
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`
-    );
-    if (!response.ok) {
-      throw new Error('API Key 無效');
-    }
+    await fetchWithRetry(`${GEMINI_BASE_URL}/models?key=${apiKey}`, {}, {
+      timeoutMs: VERIFY_TIMEOUT_MS,
+      label: 'Gemini'
+    });
     return true;
   } catch (error) {
     throw new Error('Gemini API Key 驗證失敗: ' + error.message);
   }
 };
 
-// 向量化功能 (gemini-embedding-001)
-export const getEmbedding = async (text, outputDimensionality = null) => {
-  if (!genAI) throw new Error("Gemini 未初始化，請先輸入 API Key");
+// batchEmbedContents 單次最多 100 筆
+const MAX_BATCH_SIZE = 100;
+
+const EMBEDDING_MODEL = "gemini-embedding-001";
+
+// 429 與 5xx 由 fetchWithRetry 依 retry-after 退避重試
+const embeddingRequest = (method, body, signal) => {
+  if (!geminiApiKey) throw new Error("Gemini 未初始化，請先輸入 API Key");
+  return fetchWithRetry(`${GEMINI_BASE_URL}/models/${EMBEDDING_MODEL}:${method}?key=${geminiApiKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }, {
+    signal,
+    timeoutMs: EMBEDDING_TIMEOUT_MS,
+    label: 'Gemini Embedding',
+    read: (response) => response.json()
+  });
+};
+
+// 查詢與文件使用不同的 task type，讓短查詢與長段落落在更容易比對的位置
+const toEmbedRequest = (text, { taskType, title, outputDimensionality }) => ({
+  content: { role: "user", parts: [{ text }] },
+  taskType,
+  // title 只適用於 RETRIEVAL_DOCUMENT
+  ...(taskType === "RETRIEVAL_DOCUMENT" && title ? { title } : {}),
+  ...(outputDimensionality ? { outputDimensionality } : {})
+});
 
-  await waitForRateLimit();
+// 向量化功能 (gemini-embedding-001)，預設以查詢用途向量化
+export const getEmbedding = async (text, { taskType = "RETRIEVAL_QUERY", title = null, outputDimensionality = null, signal = null } = {}) => {
+  if (!geminiApiKey) throw new Error("Gemini 未初始化，請先輸入 API Key");
 
-  return await withRetry(async () => {
-    const model = genAI.getGenerativeModel({ model: "gemini-embedding-001" });
-    const config = outputDimensionality ? { outputDimensionality } : {};
-    const result = await model.embedContent({ content: { parts: [{ text }] }, ...config });
-    return result.embedding.values;
-  });
+  await waitForRateLimit(signal);
+
+  const result = await embeddingRequest('embedContent', toEmbedRequest(text, { taskType, title, outputDimensionality }), signal);
+  return result.embedding.values;
 };
 
-// 批量向量化（帶進度回調）
-export const getEmbeddingsBatch = async (texts, onProgress = null, outputDimensionality = null) => {
+/**
+ * 批量向量化（文件區塊）：以 batchEmbedContents 每次送出多筆，每次呼叫計為一個請求
+ * @param {Function} onProgress - ({ current, total, estimatedRemainingSeconds, message })
+ * @param {{ taskType?, title?, outputDimensionality?, batchSize?, signal? }} options - title 為文件名稱
+ */
+export const getEmbeddingsBatch = async (texts, onProgress = null, {
+  taskType = "RETRIEVAL_DOCUMENT",
+  title = null,
+  outputDimensionality = null,
+  batchSize = MAX_BATCH_SIZE,
+  signal = null
+} = {}) => {
+  if (!geminiApiKey) throw new Error("Gemini 未初始化，請先輸入 API Key");
+
+  const size = Math.min(batchSize, MAX_BATCH_SIZE);
   const results = [];
   const total = texts.length;
+  const totalBatches = Math.ceil(total / size);
   const estimatedTimePerRequest = RATE_LIMIT.minDelayMs / 1000;
 
-  for (let i = 0; i < total; i++) {
-    const remainingRequests = total - i;
-    const estimatedRemainingTime = Math.ceil(remainingRequests * estimatedTimePerRequest);
+  for (let b = 0; b < totalBatches; b++) {
+    const batch = texts.slice(b * size, (b + 1) * size);
+    const estimatedRemainingTime = Math.ceil((totalBatches - b) * estimatedTimePerRequest);
 
     if (onProgress) {
       onProgress({
-        current: i + 1,
+        current: Math.min((b + 1) * size, total),
         total,
         estimatedRemainingSeconds: estimatedRemainingTime,
-        message: `向量化中... (${i + 1}/${total}) - 預計剩餘 ${formatTime(estimatedRemainingTime)}`
+        message: `向量化中... (${Math.min((b + 1) * size, total)}/${total}) - 預計剩餘 ${formatTime(estimatedRemainingTime)}`
       });
     }
 
-    const embedding = await getEmbedding(texts[i], outputDimensionality);
-    results.push(embedding);
+    await waitForRateLimit(signal);
+    // REST 的批次請求需在每筆指定模型
+    const result = await embeddingRequest('batchEmbedContents', {
+      requests: batch.map(text => ({
+        model: `models/${EMBEDDING_MODEL}`,
+        ...toEmbedRequest(text, { taskType, title, outputDimensionality })
+      }))
+    }, signal);
+    results.push(...result.embeddings.map(e => e.values));
   }
 
   return results;
@@ -136,7 +165,7 @@ const formatTime = (seconds) => {
 // 獲取模型資訊
 export const getEmbeddingModelInfo = () => ({
   name: 'Gemini Embedding',
-  id: 'gemini-embedding-001',
+  id: EMBEDDING_MODEL,
   provider: 'Google',
   dimensions: 3072,
   rateLimit: '15 RPM (Free Tier)'
@@ -1,114 +1,100 @@
 /**
- * Groq API Client for Llama 4 Scout Vision
- * 處理對話和圖像分析
+ * 對話與圖像分析（RAG 問答、意圖分析、PDF 頁面分析）
+ * 實際呼叫的模型依 llm.js 的任務設定而定，預設為 Groq Llama 4 Scout
  */
 
-const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
-const DEFAULT_MODEL = 'meta-llama/llama-4-scout-17b-16e-instruct';
-
-let groqApiKey = null;
-
-// 速率限制配置 (Groq Free Tier: 約 30 RPM)
-const RATE_LIMIT = {
-  minDelayMs: 2000,
-  lastRequestTime: 0,
-};
-
-// 速率限制等待
-const waitForRateLimit = async () => {
-  const now = Date.now();
-  const timeSinceLastRequest = now - RATE_LIMIT.lastRequestTime;
-  if (timeSinceLastRequest < RATE_LIMIT.minDelayMs) {
-    await new Promise(r => setTimeout(r, RATE_LIMIT.minDelayMs - timeSinceLastRequest));
-  }
-  RATE_LIMIT.lastRequestTime = Date.now();
-};
+import { formatPageRange } from './citations';
+import {
+  GROQ_BASE_URL,
+  GROQ_DEFAULT_MODEL,
+  LLM_PROVIDERS,
+  DEFAULT_CONTEXT_TOKENS,
+  setProviderCredential,
+  getTaskConfig,
+  completeTask,
+  streamTask
+} from './llm';
+import { fetchWithRetry, APIError, TimeoutError, PayloadTooLargeError } from './http';
+import {
+  estimateTokens,
+  estimateMessageTokens,
+  truncateToTokens,
+  splitContextBudget,
+  fitChunks,
+  fitHistory,
+  fitTexts
+} from './tokens';
+import {
+  INTENT_SCHEMA,
+  EMPTY_INTENT_FILTERS,
+  IntentValidationError,
+  parseIntent,
+  buildIntentCatalog,
+  getLanguageLabel
+} from './queryIntent';
+
+// 回答與批量整合的輸出上限（上下文預算不足時再縮小）
+const CHAT_MAX_TOKENS = 4096;
+const SYNTHESIS_MAX_TOKENS = 8192;
+// 意圖分析放入的對話記憶摘要上限
+const INTENT_SUMMARY_TOKENS = 800;
 
 // 初始化 Groq
 export const initGroq = (apiKey) => {
-  groqApiKey = apiKey;
+  setProviderCredential('groq', apiKey);
 };
 
 // 驗證 Groq API Key
 export const verifyGroqApiKey = async (apiKey) => {
   try {
-    const response = await fetch(GROQ_API_URL, {
+    await fetchWithRetry(`${GROQ_BASE_URL}/chat/completions`, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
-        model: DEFAULT_MODEL,
+        model: GROQ_DEFAULT_MODEL,
         messages: [{ role: 'user', content: 'Hi' }],
         max_completion_tokens: 10,
       }),
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error?.message || 'API Key 無效');
-    }
+    }, { label: 'Groq', timeoutMs: 30000, read: (response) => response.json() });
 
     return true;
   } catch (error) {
-    if (error.message.includes('API Key')) {
-      throw error;
-    }
     throw new Error('Groq API Key 驗證失敗: ' + error.message);
   }
 };
 
-// 基礎 API 調用
-const callGroqAPI = async (messages, options = {}) => {
-  if (!groqApiKey) throw new Error('Groq 未初始化，請先輸入 API Key');
-
-  await waitForRateLimit();
-
-  const response = await fetch(GROQ_API_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${groqApiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: options.model || DEFAULT_MODEL,
-      messages,
-      temperature: options.temperature ?? 0.7,
-      max_completion_tokens: options.maxTokens || 4096,
-      top_p: options.topP ?? 1,
-      stream: false,
-    }),
-  });
-
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Groq API 錯誤');
+// 圖片轉為 OpenAI 格式的 image_url 內容
+const imagePart = (base64Image, mimeType) => ({
+  type: 'image_url',
+  image_url: {
+    url: `data:${mimeType};base64,${base64Image}`
   }
+});
 
-  const data = await response.json();
-  return data.choices[0]?.message?.content || '';
-};
-
-// RAG 對話功能
-export const chatWithGroq = async (prompt, contextChunks, history = []) => {
-  // 格式化上下文
-  const contextText = contextChunks.map(c => `[參考資訊]: ${c.content}`).join('\n\n');
-
-  // 格式化歷史
-  const historyText = history.slice(-6).map(msg =>
-    `${msg.role === 'user' ? 'User' : 'AI'}: ${msg.content}`
-  ).join('\n');
-
-  const systemPrompt = `你是一個專業的 RAG 知識庫助手。請根據以下提供的[參考資訊]與[對話歷史]來回答[使用者問題]。
+const RAG_SYSTEM_PROMPT = `你是一個專業的 RAG 知識庫助手。請根據以下提供的[參考資訊]與[對話歷史]來回答[使用者問題]。
 
 規則：
 1. 請優先依據[參考資訊]回答。
 2. 如果參考資訊不足以回答，請明確告知「知識庫中無相關資訊」，不要編造。
 3. 請使用 Markdown 格式回答，若有數據請整理成表格。
-4. 回答要簡潔明瞭，直接切入重點。`;
+4. 回答要簡潔明瞭，直接切入重點。
+5. 每一個依據參考資訊的陳述後，都必須加上對應的引用標記，例如 [1] 或 [2][3]，編號即參考資訊前的編號。
+6. 只能引用實際存在的編號，不要自行編造引用。`;
+
+// 參考資訊（編號 + 來源文件與頁碼，供回答引用）
+const formatContextChunk = (c, i) => {
+  const pages = formatPageRange(c.metadata);
+  const source = `《${c.metadata?.fileName || '未知文件'}》${pages ? ` ${pages}` : ''}`;
+  return `[${i + 1}] 來源：${source}\n${c.content}`;
+};
+
+const buildRAGUserContent = (prompt, historyText, summaryText, contextText) => `${summaryText ? `[較早的對話摘要]:
+${summaryText}
 
-  const userContent = `[對話歷史]:
+` : ''}[對話歷史]:
 ${historyText}
 
 [參考資訊]:
@@ -117,96 +103,191 @@ ${contextText}
 [使用者問題]:
 ${prompt}`;
 
-  const messages = [
+/**
+ * 組合 RAG 對話訊息，依對話模型的上下文預算取捨
+ * 對話記憶摘要最多使用扣除系統提示與問題後的 15%，對話歷史最多 30%，其餘放參考資訊，超過時捨棄分數最低的區塊
+ * 較早的對話只以對話記憶的滾動摘要提供：history 與 summary 需先經 applyConversationMemory（見 memory.js）拆分，
+ * history 只含尚未摘要的訊息並保留原文
+ * @param {{ summary?: string, language?: string }} options - summary 為已併入對話記憶的較早訊息摘要，
+ *   language 為使用者要求的回答語言（BCP 47 代碼）
+ * @returns {{ messages: Array, chunks: Array, maxTokens: number }} chunks 為實際放入的區塊，編號依此順序
+ */
+const buildRAGMessages = (prompt, contextChunks, history, { summary: memorySummary = '', language = null } = {}) => {
+  const { promptBudget, maxOutput } = splitContextBudget(getTaskConfig('chat').contextTokens, CHAT_MAX_TOKENS);
+  const systemPrompt = language
+    ? `${RAG_SYSTEM_PROMPT}\n7. 請使用${getLanguageLabel(language)}（${language}）回答。`
+    : RAG_SYSTEM_PROMPT;
+  let remaining = promptBudget - estimateMessageTokens([
     { role: 'system', content: systemPrompt },
-    { role: 'user', content: userContent }
-  ];
+    { role: 'user', content: buildRAGUserContent(prompt, '', '', '') }
+  ]);
+
+  const memoryText = truncateToTokens(memorySummary, Math.floor(remaining * 0.15));
+  remaining -= estimateTokens(memoryText);
+
+  const { text: historyText, omitted } = fitHistory(history, Math.floor(remaining * 0.3));
+  if (omitted > 0) console.warn(`[Context] ${omitted} 則尚未摘要的較早訊息超過對話歷史預算，未放入提示`);
+  remaining -= estimateTokens(historyText) + (memoryText ? 10 : 0);
+
+  const chunks = fitChunks(contextChunks, remaining, c => estimateTokens(formatContextChunk(c, 0)) + 1);
+  const contextText = chunks.map(formatContextChunk).join('\n\n');
+
+  return {
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: buildRAGUserContent(prompt, historyText, memoryText, contextText) }
+    ],
+    chunks,
+    maxTokens: maxOutput
+  };
+};
+
+// RAG 對話功能；onContext 收到實際放入提示的區塊（引用編號以此為準），summary 為對話記憶摘要，language 為回答語言，可用 signal 中止
+export const chatWithGroq = async (prompt, contextChunks, history = [], { signal, onContext, summary, language } = {}) => {
+  const { messages, chunks, maxTokens } = buildRAGMessages(prompt, contextChunks, history, { summary, language });
+  onContext?.(chunks);
+  return await completeTask('chat', messages, { signal, maxTokens });
+};
+
+// RAG 對話功能（串流），逐段 yield 回答內容，可用 signal 中止
+export async function* streamChatWithGroq(prompt, contextChunks, history = [], { signal, onContext, summary, language } = {}) {
+  const { messages, chunks, maxTokens } = buildRAGMessages(prompt, contextChunks, history, { summary, language });
+  onContext?.(chunks);
+  yield* streamTask('chat', messages, { signal, maxTokens });
+}
+
+// 意圖分析的目錄上限（文件很多時只列出部分名稱）
+const INTENT_CATALOG_TOKENS = 1500;
+// 輸出不符合格式時，帶著錯誤原因重試的次數
+const INTENT_MAX_ATTEMPTS = 2;
 
-  return await callGroqAPI(messages);
+const INTENT_SYSTEM_PROMPT = `You are a query intent analyzer for a document knowledge base. Analyze the user's query and determine:
+1. If it needs document search ('search') or is general chat ('chat')
+2. If 'search', rewrite the query to be standalone and specific.
+3. Filters the user explicitly asks for: categories, documents, a document date range and the answer language. Resolve relative dates against today's date. Leave a filter empty ([] or null) unless the user clearly asks for it.
+
+Output a JSON object that matches this JSON Schema:
+${JSON.stringify(INTENT_SCHEMA)}`;
+
+const formatIntentCatalog = (documents) => {
+  const catalog = buildIntentCatalog(documents);
+  return truncateToTokens(`Categories: ${catalog.categories.join(', ') || '(none)'}
+Documents: ${catalog.documents.join(', ') || '(none)'}`, INTENT_CATALOG_TOKENS);
 };
 
-// 意圖分析（使用 Groq）
-export const analyzeQueryIntent = async (query, history) => {
+/**
+ * 意圖分析：以 JSON 模式輸出並依 INTENT_SCHEMA 驗證（見 queryIntent.js）
+ * 不符合格式時帶著錯誤原因重試一次；服務不支援 JSON 模式（回傳 400）時改用一般模式重試
+ * 仍失敗時以原始問題搜尋，並在 fallback 記錄原因；signal 中止時拋出 AbortError
+ * @param {{ summary?: string, documents?: Array, signal?: AbortSignal }} options - summary 為對話記憶摘要；documents 為知識庫文件，用來列出可篩選的分類與文件名稱
+ * @returns {Promise<{ type, newQuery, filters, fallback? }>}
+ */
+export const analyzeQueryIntent = async (query, history, { summary, documents = [], signal } = {}) => {
   const historyText = history.slice(-4).map(msg =>
     `${msg.role === 'user' ? 'User' : 'AI'}: ${msg.content}`
   ).join('\n');
 
-  const systemPrompt = `You are a query intent analyzer. Analyze the user's query and determine:
-1. If it needs document search ('search') or is general chat ('chat')
-2. If 'search', rewrite the query to be standalone and specific.
+  const summaryText = summary ? `Conversation summary:
+${truncateToTokens(summary, INTENT_SUMMARY_TOKENS)}
 
-Output JSON only: { "type": "search" | "chat", "newQuery": "..." }`;
+` : '';
+  const userContent = `Today: ${new Date().toLocaleDateString('sv-SE')}
 
-  const userContent = `History:
+${formatIntentCatalog(documents)}
+
+${summaryText}History:
 ${historyText}
 
 User Query: "${query}"`;
 
-  try {
-    const result = await callGroqAPI([
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userContent }
-    ], { maxTokens: 256, temperature: 0.3 });
-
-    // 解析 JSON
-    const jsonStr = result.replace(/```json/g, '').replace(/```/g, '').trim();
-    return JSON.parse(jsonStr);
-  } catch (e) {
-    console.error('Intent analysis failed:', e);
-    return { type: 'search', newQuery: query };
+  const messages = [
+    { role: 'system', content: INTENT_SYSTEM_PROMPT },
+    { role: 'user', content: userContent }
+  ];
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= INTENT_MAX_ATTEMPTS; attempt++) {
+    let result = '';
+    try {
+      result = await completeTask('intent', messages, {
+        maxTokens: 512,
+        temperature: 0.3,
+        json: !(lastError instanceof APIError && lastError.status === 400),
+        signal
+      });
+      return parseIntent(result);
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      lastError = e;
+      const retryable = e instanceof IntentValidationError || (e instanceof APIError && e.status === 400);
+      if (!retryable || attempt === INTENT_MAX_ATTEMPTS) break;
+      console.warn(`Intent output rejected (${attempt}/${INTENT_MAX_ATTEMPTS}):`, e.message);
+      if (e instanceof IntentValidationError) {
+        messages.push(
+          { role: 'assistant', content: result },
+          { role: 'user', content: `The output is invalid: ${e.message}. Output only a JSON object that matches the schema.` }
+        );
+      }
+    }
   }
+
+  console.error('Intent analysis failed:', lastError);
+  return { type: 'search', newQuery: query, filters: EMPTY_INTENT_FILTERS, fallback: lastError.message };
 };
 
-// 圖像分析功能（用於 PDF 頁面截圖）
-export const analyzeImage = async (base64Image, prompt, mimeType = 'image/png') => {
-  if (!groqApiKey) throw new Error('Groq 未初始化');
+// 評估評分：回答是否忠於參考資訊（faithfulness），有標準答案時另評正確性（correctness），皆為 1-5 分
+export const judgeAnswer = async (question, answer, contextChunks, expectedAnswer = '', signal = null) => {
+  const contextText = contextChunks.map((c, i) => `[${i + 1}] ${c.content}`).join('\n\n');
 
-  await waitForRateLimit();
+  const systemPrompt = `You are a strict evaluator of a retrieval-augmented QA system.
+Score the ANSWER on a 1-5 scale:
+- faithfulness: every claim in the answer is supported by the CONTEXT (5 = fully supported, 1 = mostly unsupported or fabricated). An answer that correctly says the context lacks the information scores 5.
+- correctness: the answer agrees with the EXPECTED ANSWER (use null when no expected answer is given).
 
-  const messages = [
+Output JSON only: { "faithfulness": 1-5, "correctness": 1-5 | null, "reason": "one short sentence" }`;
+
+  const userContent = `QUESTION:
+${question}
+
+CONTEXT:
+${contextText || '(none)'}
+
+ANSWER:
+${answer}
+
+EXPECTED ANSWER:
+${expectedAnswer || '(none)'}`;
+
+  const result = await completeTask('judge', [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userContent }
+  ], { maxTokens: 256, temperature: 0, signal });
+
+  const jsonStr = result.replace(/```json/g, '').replace(/```/g, '').trim();
+  const parsed = JSON.parse(jsonStr.slice(jsonStr.indexOf('{'), jsonStr.lastIndexOf('}') + 1));
+  const toScore = (value) => (value == null || !Number.isFinite(Number(value)) ? null : Math.min(5, Math.max(1, Number(value))));
+  return {
+    faithfulness: toScore(parsed.faithfulness),
+    correctness: expectedAnswer ? toScore(parsed.correctness) : null,
+    reason: parsed.reason || ''
+  };
+};
+
+// 圖像分析功能（用於 PDF 頁面截圖）
+export const analyzeImage = async (base64Image, prompt, mimeType = 'image/png') => {
+  return await completeTask('pageAnalysis', [
     {
       role: 'user',
       content: [
         { type: 'text', text: prompt },
-        {
-          type: 'image_url',
-          image_url: {
-            url: `data:${mimeType};base64,${base64Image}`
-          }
-        }
+        imagePart(base64Image, mimeType)
       ]
     }
-  ];
-
-  const response = await fetch(GROQ_API_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${groqApiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: DEFAULT_MODEL,
-      messages,
-      temperature: 0.7,
-      max_completion_tokens: 4096,
-    }),
-  });
-
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Groq Vision API 錯誤');
-  }
-
-  const data = await response.json();
-  return data.choices[0]?.message?.content || '';
+  ]);
 };
 
 // PDF 頁面對話（帶歷史）
 export const chatWithPDFPage = async (base64Image, prompt, history = [], mimeType = 'image/png') => {
-  if (!groqApiKey) throw new Error('Groq 未初始化');
-
-  await waitForRateLimit();
-
   // 構建消息歷史
   const messages = [];
 
@@ -234,42 +315,16 @@ export const chatWithPDFPage = async (base64Image, prompt, history = [], mimeTyp
     role: 'user',
     content: [
       { type: 'text', text: prompt },
-      {
-        type: 'image_url',
-        image_url: {
-          url: `data:${mimeType};base64,${base64Image}`
-        }
-      }
+      imagePart(base64Image, mimeType)
     ]
   });
 
-  const response = await fetch(GROQ_API_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${groqApiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: DEFAULT_MODEL,
-      messages,
-      temperature: 0.7,
-      max_completion_tokens: 4096,
-    }),
-  });
-
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Groq Vision API 錯誤');
-  }
-
-  const data = await response.json();
-  return data.choices[0]?.message?.content || '';
+  return await completeTask('pageAnalysis', messages);
 };
 
 // 多頁 PDF 分析（最多 4 頁，保守設定）
 // Groq 限制：Base64 請求總大小 4MB
 export const chatWithPDFPages = async (images, prompt, history = []) => {
-  if (!groqApiKey) throw new Error('Groq 未初始化');
   if (images.length === 0) throw new Error('請至少選擇一頁');
   if (images.length > 5) throw new Error('單次請求最多 5 頁，請使用批量分析模式');
 
@@ -281,9 +336,7 @@ export const chatWithPDFPages = async (images, prompt, history = []) => {
     throw new Error(`圖片總大小 ${estimatedMB}MB 超過限制（最大 3.5MB）。請減少頁數或選擇文字較多的頁面。`);
   }
 
-  console.log(`[Groq Vision] 發送 ${images.length} 張圖片，總大小: ${estimatedMB}MB`);
-
-  await waitForRateLimit();
+  console.log(`[Vision] 發送 ${images.length} 張圖片，總大小: ${estimatedMB}MB`);
 
   // 構建消息
   const messages = [];
@@ -317,12 +370,7 @@ export const chatWithPDFPages = async (images, prompt, history = []) => {
 
   // 添加所有圖像（使用 JPEG 格式）
   for (const img of images) {
-    contentParts.push({
-      type: 'image_url',
-      image_url: {
-        url: `data:${img.mimeType || 'image/jpeg'};base64,${img.base64}`
-      }
-    });
+    contentParts.push(imagePart(img.base64, img.mimeType || 'image/jpeg'));
   }
 
   messages.push({
@@ -330,68 +378,54 @@ export const chatWithPDFPages = async (images, prompt, history = []) => {
     content: contentParts
   });
 
-  // 使用 AbortController 設定超時（60 秒）
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 60000);
-
   try {
-    const response = await fetch(GROQ_API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${groqApiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: DEFAULT_MODEL,
-        messages,
-        temperature: 0.7,
-        max_completion_tokens: 8192,
-      }),
-      signal: controller.signal,
+    const response = await completeTask('pageAnalysis', messages, {
+      maxTokens: 8192,
+      timeoutMs: 60000 // 超時 60 秒
     });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      const errorMsg = errorData.error?.message || `HTTP ${response.status}`;
-
-      // 針對常見錯誤提供更好的訊息
-      if (response.status === 413) {
-        throw new Error('請求大小超過限制，請減少選擇的頁數');
-      } else if (response.status === 429) {
-        throw new Error('API 請求過於頻繁，請稍後再試');
-      } else if (response.status === 400) {
-        throw new Error(`請求格式錯誤: ${errorMsg}`);
-      }
-
-      throw new Error(`Groq API 錯誤: ${errorMsg}`);
-    }
-
-    const data = await response.json();
-    return data.choices[0]?.message?.content || '（無回應內容）';
+    return response || '（無回應內容）';
 
   } catch (err) {
-    clearTimeout(timeoutId);
-
-    if (err.name === 'AbortError') {
-      throw new Error('請求超時（60秒），請減少頁數或稍後再試');
+    // 逾時與超過大小時提示減少頁數，其餘錯誤（含已重試過的速率限制）原樣拋出
+    if (err instanceof TimeoutError) {
+      throw new TimeoutError('請求超時（60秒），請減少頁數或稍後再試', err);
+    }
+    if (err instanceof PayloadTooLargeError) {
+      throw new PayloadTooLargeError('請求大小超過限制，請減少選擇的頁數', err);
     }
     throw err;
   }
 };
 
-// 獲取模型資訊
-export const getModelInfo = () => ({
-  name: 'Llama 4 Scout',
-  id: DEFAULT_MODEL,
-  provider: 'Groq',
-  contextWindow: '131K tokens',
-  capabilities: ['Text Generation', 'Vision/Image Analysis', 'Multilingual (12 languages)'],
-  imageLimit: '4MB (base64) / 20MB (URL)',
-  maxImages: 5,
-  maxOutputTokens: 8192
-});
+// 獲取模型資訊：預設的 Llama 4 Scout 回報其規格；其他模型的規格未知，只回報名稱與設定的上下文預算
+export const getModelInfo = () => {
+  const { provider, model, contextTokens } = getTaskConfig('chat');
+  const providerLabel = LLM_PROVIDERS.find(p => p.id === provider)?.label || provider;
+
+  if (provider === 'groq' && model === GROQ_DEFAULT_MODEL) {
+    return {
+      name: 'Llama 4 Scout',
+      id: model,
+      provider: providerLabel,
+      contextWindow: '131K tokens',
+      capabilities: ['Text Generation', 'Vision/Image Analysis', 'Multilingual (12 languages)'],
+      imageLimit: '4MB (base64) / 20MB (URL)',
+      maxImages: 5,
+      maxOutputTokens: 8192
+    };
+  }
+
+  return {
+    name: model,
+    id: model,
+    provider: providerLabel,
+    contextWindow: `${Math.round((contextTokens || DEFAULT_CONTEXT_TOKENS) / 1000)}K tokens（設定的預算）`,
+    capabilities: ['Text Generation'],
+    imageLimit: null,
+    maxImages: null,
+    maxOutputTokens: null
+  };
+};
 
 // ============ 批量分析模式 ============
 
@@ -434,10 +468,6 @@ export const createBatches = (images, maxSizeMB = 3.0, maxImages = 5) => {
 
 // 單批次分析（提取摘要）
 export const analyzeBatch = async (images, batchIndex, totalBatches, userPrompt) => {
-  if (!groqApiKey) throw new Error('Groq 未初始化');
-
-  await waitForRateLimit();
-
   const pageNums = images.map(img => img.pageNum).join('、');
 
   const messages = [
@@ -465,53 +495,25 @@ export const analyzeBatch = async (images, batchIndex, totalBatches, userPrompt)
   ];
 
   for (const img of images) {
-    contentParts.push({
-      type: 'image_url',
-      image_url: {
-        url: `data:${img.mimeType || 'image/jpeg'};base64,${img.base64}`
-      }
-    });
+    contentParts.push(imagePart(img.base64, img.mimeType || 'image/jpeg'));
   }
 
   messages.push({ role: 'user', content: contentParts });
 
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 90000); // 90秒超時
-
   try {
-    const response = await fetch(GROQ_API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${groqApiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: DEFAULT_MODEL,
-        messages,
-        temperature: 0.3, // 較低溫度確保準確性
-        max_completion_tokens: 4096,
-      }),
-      signal: controller.signal,
+    const summary = await completeTask('pageAnalysis', messages, {
+      temperature: 0.3, // 較低溫度確保準確性
+      timeoutMs: 90000  // 90秒超時
     });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error?.message || `HTTP ${response.status}`);
-    }
-
-    const data = await response.json();
     return {
       batchIndex,
       pages: images.map(img => img.pageNum),
-      summary: data.choices[0]?.message?.content || ''
+      summary
     };
 
   } catch (err) {
-    clearTimeout(timeoutId);
-    if (err.name === 'AbortError') {
-      throw new Error(`批次 ${batchIndex + 1} 超時`);
+    if (err instanceof TimeoutError) {
+      throw new TimeoutError(`批次 ${batchIndex + 1} 超時`, err);
     }
     throw err;
   }
@@ -519,15 +521,8 @@ export const analyzeBatch = async (images, batchIndex, totalBatches, userPrompt)
 
 // 整合所有批次結果並生成最終回答
 export const synthesizeBatchResults = async (batchResults, userPrompt, history = []) => {
-  if (!groqApiKey) throw new Error('Groq 未初始化');
-
-  await waitForRateLimit();
-
-  // 合併所有摘要
-  const allSummaries = batchResults
-    .sort((a, b) => a.batchIndex - b.batchIndex)
-    .map(r => `## 批次 ${r.batchIndex + 1}（第 ${r.pages.join('、')} 頁）\n${r.summary}`)
-    .join('\n\n---\n\n');
+  const { contextTokens } = getTaskConfig('pageAnalysis');
+  const { promptBudget } = splitContextBudget(contextTokens, SYNTHESIS_MAX_TOKENS);
 
   const messages = [
     {
@@ -543,52 +538,37 @@ export const synthesizeBatchResults = async (batchResults, userPrompt, history =
     }
   ];
 
-  // 添加簡化的歷史
+  const buildUserContent = (summaries) => `## 各批次分析結果\n\n${summaries}\n\n---\n\n## 用戶問題\n${userPrompt}`;
+  let remaining = promptBudget - estimateMessageTokens([...messages, { role: 'user', content: buildUserContent('') }]);
+
+  // 添加簡化的歷史（兩則共用剩餘預算的 20%）
+  const historyTokens = Math.floor(remaining * 0.1);
   for (const msg of history.slice(-2)) {
-    messages.push({
-      role: msg.role === 'assistant' ? 'assistant' : 'user',
-      content: typeof msg.content === 'string' ? msg.content : '[圖片分析]'
-    });
+    const content = truncateToTokens(typeof msg.content === 'string' ? msg.content : '[圖片分析]', historyTokens);
+    messages.push({ role: msg.role === 'assistant' ? 'assistant' : 'user', content });
+    remaining -= estimateMessageTokens([{ role: 'user', content }]);
   }
 
-  messages.push({
-    role: 'user',
-    content: `## 各批次分析結果\n\n${allSummaries}\n\n---\n\n## 用戶問題\n${userPrompt}`
-  });
+  // 合併所有摘要；總量超過預算時，較長的批次摘要平均截斷
+  const sorted = batchResults.sort((a, b) => a.batchIndex - b.batchIndex);
+  const summaries = fitTexts(sorted.map(r => r.summary), remaining - sorted.length * 20);
+  const allSummaries = sorted
+    .map((r, i) => `## 批次 ${r.batchIndex + 1}（第 ${r.pages.join('、')} 頁）\n${summaries[i]}`)
+    .join('\n\n---\n\n');
 
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 60000);
+  messages.push({ role: 'user', content: buildUserContent(allSummaries) });
 
   try {
-    const response = await fetch(GROQ_API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${groqApiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: DEFAULT_MODEL,
-        messages,
-        temperature: 0.7,
-        max_completion_tokens: 8192,
-      }),
-      signal: controller.signal,
+    const response = await completeTask('pageAnalysis', messages, {
+      // 輸出可使用提示之外的全部預算，但不超過模型上限
+      maxTokens: Math.min(SYNTHESIS_MAX_TOKENS, contextTokens - estimateMessageTokens(messages)),
+      timeoutMs: 60000
     });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error?.message || `HTTP ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data.choices[0]?.message?.content || '（無回應）';
+    return response || '（無回應）';
 
   } catch (err) {
-    clearTimeout(timeoutId);
-    if (err.name === 'AbortError') {
-      throw new Error('整合分析超時');
+    if (err instanceof TimeoutError) {
+      throw new TimeoutError('整合分析超時', err);
     }
     throw err;
   }
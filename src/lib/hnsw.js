@@ -0,0 +1,397 @@
+/**
+ * HNSW 近似最近鄰索引（持久化於 IndexedDB）
+ * 圖結構存於 annNodes，向量直接讀取 chunks store，
+ * 查詢時只載入走訪到的節點，不需要把所有向量讀進記憶體
+ * 不同維度的向量無法互相比較，每個維度各自成為一張圖（各有入口點），插入與查詢都從同維度的入口點出發
+ */
+
+// 索引參數（M: 每層鄰居數，第 0 層加倍）
+const M = 16;
+const M0 = M * 2;
+const EF_CONSTRUCTION = 64;
+export const EF_SEARCH = 64;
+const LEVEL_MULT = 1 / Math.log(M);
+const META_KEY = 'hnsw';
+const CACHE_SIZE = 4096;
+
+// 簡易 LRU 快取（限制單次操作的記憶體用量）
+const createLRU = (max) => {
+  const map = new Map();
+  return {
+    get(key) {
+      if (!map.has(key)) return undefined;
+      const value = map.get(key);
+      map.delete(key);
+      map.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      map.delete(key);
+      map.set(key, value);
+      if (map.size > max) map.delete(map.keys().next().value);
+    },
+    delete(key) {
+      map.delete(key);
+    }
+  };
+};
+
+// 所有寫入索引的操作依序執行，避免背景建置與上傳同時修改圖結構
+let indexLock = Promise.resolve();
+export const withIndexLock = (fn) => {
+  const run = indexLock.then(fn, fn);
+  indexLock = run.catch(() => {});
+  return run;
+};
+
+const vectorNorm = (vec) => {
+  let sum = 0;
+  for (let i = 0; i < vec.length; i++) sum += vec[i] * vec[i];
+  return Math.sqrt(sum);
+};
+
+export const toQuery = (vec) => ({ vec, norm: vectorNorm(vec) });
+
+// 單次操作的上下文：快取節點與區塊，記錄待寫入的節點
+const createContext = (db) => ({
+  db,
+  chunks: createLRU(CACHE_SIZE),
+  nodes: createLRU(CACHE_SIZE),
+  dirty: new Map(),
+  meta: null
+});
+
+const getChunk = async (ctx, id) => {
+  let entry = ctx.chunks.get(id);
+  if (entry === undefined) {
+    const chunk = await ctx.db.get('chunks', id);
+    entry = chunk?.embedding
+      ? { chunk, norm: vectorNorm(chunk.embedding) }
+      : null;
+    ctx.chunks.set(id, entry);
+  }
+  return entry;
+};
+
+const getNode = async (ctx, id) => {
+  if (ctx.dirty.has(id)) return ctx.dirty.get(id);
+  let node = ctx.nodes.get(id);
+  if (node === undefined) {
+    node = (await ctx.db.get('annNodes', id)) || null;
+    ctx.nodes.set(id, node);
+  }
+  return node;
+};
+
+const markDirty = (ctx, node) => {
+  ctx.dirty.set(node.id, node);
+  ctx.nodes.set(node.id, node);
+};
+
+// 餘弦距離（1 - 相似度），向量不存在或維度不符時回傳 null
+const distance = async (ctx, query, id) => {
+  const entry = await getChunk(ctx, id);
+  if (!entry || entry.chunk.embedding.length !== query.vec.length) return null;
+  const vec = entry.chunk.embedding;
+  let dot = 0;
+  for (let i = 0; i < vec.length; i++) dot += query.vec[i] * vec[i];
+  const denom = query.norm * entry.norm;
+  return denom ? 1 - dot / denom : 1;
+};
+
+// 依距離遞增插入
+const insertSorted = (list, item) => {
+  let i = list.length;
+  while (i > 0 && list[i - 1].dist > item.dist) i--;
+  list.splice(i, 0, item);
+};
+
+// 在單一層做貪婪搜尋，回傳最接近的 ef 個節點（依距離遞增）
+const searchLayer = async (ctx, query, entryIds, ef, level) => {
+  const visited = new Set(entryIds);
+  const candidates = [];
+  const results = [];
+
+  for (const id of entryIds) {
+    const dist = await distance(ctx, query, id);
+    if (dist === null) continue;
+    insertSorted(candidates, { id, dist });
+    insertSorted(results, { id, dist });
+  }
+
+  while (candidates.length > 0) {
+    const current = candidates.shift();
+    if (results.length >= ef && current.dist > results[results.length - 1].dist) break;
+
+    const node = await getNode(ctx, current.id);
+    if (!node || node.removed) continue;
+
+    for (const neighborId of node.neighbors[level] || []) {
+      if (visited.has(neighborId)) continue;
+      visited.add(neighborId);
+
+      const dist = await distance(ctx, query, neighborId);
+      if (dist === null) continue;
+
+      if (results.length < ef || dist < results[results.length - 1].dist) {
+        insertSorted(candidates, { id: neighborId, dist });
+        insertSorted(results, { id: neighborId, dist });
+        if (results.length > ef) results.pop();
+      }
+    }
+  }
+
+  return results;
+};
+
+// 鄰居數超過上限時，只保留最接近的節點
+const pruneNeighbors = async (ctx, node, level, exclude = null) => {
+  const maxConn = level === 0 ? M0 : M;
+  if (node.neighbors[level].length <= maxConn && !exclude) return;
+
+  const entry = await getChunk(ctx, node.id);
+  if (!entry) return;
+  const query = { vec: entry.chunk.embedding, norm: entry.norm };
+
+  const scored = [];
+  for (const id of new Set(node.neighbors[level])) {
+    if (id === node.id || exclude?.has(id)) continue;
+    const dist = await distance(ctx, query, id);
+    if (dist !== null) insertSorted(scored, { id, dist });
+  }
+  node.neighbors[level] = scored.slice(0, maxConn).map(s => s.id);
+};
+
+// meta.graphs：{ [維度]: { entryPoint, maxLevel } }，count 為所有維度的節點總數
+const loadMeta = async (ctx) => {
+  if (!ctx.meta) {
+    ctx.meta = (await ctx.db.get('indexMeta', META_KEY)) || {
+      key: META_KEY,
+      graphs: {},
+      count: 0
+    };
+  }
+  return ctx.meta;
+};
+
+// 舊格式只有單一入口點，切換維度後插入的節點可能沒有連上任何鄰居，需整個重建
+const isLegacyMeta = (meta) => !!meta && !meta.graphs;
+
+const resetLegacyIndex = async (db) => {
+  if (!isLegacyMeta(await db.get('indexMeta', META_KEY))) return;
+  const tx = db.transaction(['annNodes', 'indexMeta'], 'readwrite');
+  await tx.objectStore('annNodes').clear();
+  await tx.objectStore('indexMeta').delete(META_KEY);
+  await tx.done;
+};
+
+// 將變更的節點與 meta 一次寫入
+const flush = async (ctx) => {
+  const tx = ctx.db.transaction(['annNodes', 'indexMeta'], 'readwrite');
+  const nodeStore = tx.objectStore('annNodes');
+  for (const [id, node] of ctx.dirty) {
+    if (node.removed) {
+      nodeStore.delete(id);
+    } else {
+      nodeStore.put(node);
+    }
+  }
+  tx.objectStore('indexMeta').put(ctx.meta);
+  await tx.done;
+  ctx.dirty.clear();
+};
+
+const insertNode = async (ctx, chunkId) => {
+  const meta = await loadMeta(ctx);
+  const entry = await getChunk(ctx, chunkId);
+  if (!entry || await getNode(ctx, chunkId)) return;
+
+  const query = { vec: entry.chunk.embedding, norm: entry.norm };
+  const dimension = query.vec.length;
+  const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * LEVEL_MULT);
+  const node = {
+    id: chunkId,
+    dimension,
+    level,
+    neighbors: Array.from({ length: level + 1 }, () => [])
+  };
+  markDirty(ctx, node);
+  meta.count++;
+
+  // 此維度的第一個節點成為新圖的入口點
+  const graph = meta.graphs[dimension];
+  if (!graph) {
+    meta.graphs[dimension] = { entryPoint: chunkId, maxLevel: level };
+    return;
+  }
+
+  let entryIds = [graph.entryPoint];
+
+  // 上層：只找最近的一個點往下走
+  for (let l = graph.maxLevel; l > level; l--) {
+    const nearest = await searchLayer(ctx, query, entryIds, 1, l);
+    if (nearest.length > 0) entryIds = [nearest[0].id];
+  }
+
+  // 下層：建立雙向連結
+  for (let l = Math.min(level, graph.maxLevel); l >= 0; l--) {
+    const found = await searchLayer(ctx, query, entryIds, EF_CONSTRUCTION, l);
+    const maxConn = l === 0 ? M0 : M;
+    node.neighbors[l] = found.slice(0, maxConn).map(f => f.id);
+
+    for (const neighborId of node.neighbors[l]) {
+      const neighbor = await getNode(ctx, neighborId);
+      if (!neighbor || !neighbor.neighbors[l]) continue;
+      neighbor.neighbors[l].push(chunkId);
+      await pruneNeighbors(ctx, neighbor, l);
+      markDirty(ctx, neighbor);
+    }
+
+    if (found.length > 0) entryIds = found.map(f => f.id);
+  }
+
+  if (level > graph.maxLevel) {
+    graph.entryPoint = chunkId;
+    graph.maxLevel = level;
+  }
+};
+
+// 移除節點並用其鄰居修補圖的連通性
+const removeNode = async (ctx, chunkId, removing) => {
+  const node = await getNode(ctx, chunkId);
+  if (!node) return;
+
+  const meta = await loadMeta(ctx);
+
+  for (let l = 0; l <= node.level; l++) {
+    const orphans = node.neighbors[l] || [];
+    for (const neighborId of orphans) {
+      if (removing.has(neighborId)) continue;
+      const neighbor = await getNode(ctx, neighborId);
+      if (!neighbor || !neighbor.neighbors[l]) continue;
+
+      neighbor.neighbors[l] = [
+        ...neighbor.neighbors[l].filter(id => id !== chunkId),
+        ...orphans.filter(id => id !== neighborId && !neighbor.neighbors[l].includes(id))
+      ];
+      await pruneNeighbors(ctx, neighbor, l, removing);
+      markDirty(ctx, neighbor);
+    }
+  }
+
+  markDirty(ctx, { id: chunkId, removed: true });
+  meta.count = Math.max(0, meta.count - 1);
+
+  if (meta.graphs[node.dimension]?.entryPoint === chunkId) {
+    await pickEntryPoint(ctx, node, removing);
+  }
+};
+
+// 入口點被刪除時，改用同維度最高層的其他節點；該維度已沒有節點時移除這張圖
+const pickEntryPoint = async (ctx, removedNode, removing) => {
+  const { graphs } = ctx.meta;
+  const { dimension } = removedNode;
+
+  for (let l = removedNode.level; l >= 0; l--) {
+    const candidate = (removedNode.neighbors[l] || []).find(id => !removing.has(id));
+    if (candidate !== undefined) {
+      const node = await getNode(ctx, candidate);
+      if (node && !node.removed) {
+        graphs[dimension] = { entryPoint: node.id, maxLevel: node.level };
+        return;
+      }
+    }
+  }
+
+  // 鄰居都不可用：掃描節點表（僅含 id、維度與鄰居，不含向量）
+  let best = null;
+  let cursor = await ctx.db.transaction('annNodes').store.openCursor();
+  while (cursor) {
+    const node = cursor.value;
+    if (node.dimension === dimension && !removing.has(node.id) && !ctx.dirty.get(node.id)?.removed &&
+        (!best || node.level > best.level)) {
+      best = node;
+    }
+    cursor = await cursor.continue();
+  }
+
+  if (best) {
+    graphs[dimension] = { entryPoint: best.id, maxLevel: best.level };
+  } else {
+    delete graphs[dimension];
+  }
+};
+
+// ==================== Public API ====================
+
+export const addToIndex = (db, chunkIds, onProgress = null) => withIndexLock(async () => {
+  await resetLegacyIndex(db);
+  const ctx = createContext(db);
+  for (let i = 0; i < chunkIds.length; i++) {
+    await insertNode(ctx, chunkIds[i]);
+    await flush(ctx);
+    if (onProgress) onProgress({ current: i + 1, total: chunkIds.length });
+  }
+});
+
+export const removeFromIndex = (db, chunkIds) => withIndexLock(async () => {
+  await resetLegacyIndex(db);
+  const ctx = createContext(db);
+  const removing = new Set(chunkIds);
+  for (const id of chunkIds) {
+    await removeNode(ctx, id, removing);
+  }
+  if (ctx.meta) await flush(ctx);
+});
+
+export const clearIndex = (db) => withIndexLock(async () => {
+  const tx = db.transaction(['annNodes', 'indexMeta'], 'readwrite');
+  await tx.objectStore('annNodes').clear();
+  await tx.objectStore('indexMeta').delete(META_KEY);
+  await tx.done;
+});
+
+// 舊格式的索引視為尚未建立，搜尋時先精確掃描並在背景重建
+export const getIndexMeta = async (db) => {
+  const meta = await db.get('indexMeta', META_KEY);
+  return meta && !isLegacyMeta(meta) ? meta : null;
+};
+
+// 找出尚未進入索引的區塊（舊版資料庫升級或匯入後）；舊格式的索引會在 addToIndex 時清空，所有區塊都需重建
+export const findUnindexedChunks = async (db) => {
+  const chunkIds = await db.getAllKeys('chunks');
+  if (isLegacyMeta(await db.get('indexMeta', META_KEY))) return chunkIds;
+  const indexed = new Set(await db.getAllKeys('annNodes'));
+  return chunkIds.filter(id => !indexed.has(id));
+};
+
+/**
+ * 近似 top-k 查詢
+ * @param {Function} [filter] - 以區塊判斷是否保留（例如依 docId 篩選）
+ * @returns {Promise<Array<{chunk, similarity}>>}
+ */
+export const searchIndex = async (db, queryEmbedding, k, { ef = EF_SEARCH, filter = null } = {}) => {
+  const ctx = createContext(db);
+  const meta = await loadMeta(ctx);
+  const graph = meta.graphs?.[queryEmbedding.length];
+  if (!graph) return [];
+
+  const query = toQuery(queryEmbedding);
+  let entryIds = [graph.entryPoint];
+
+  for (let l = graph.maxLevel; l > 0; l--) {
+    const nearest = await searchLayer(ctx, query, entryIds, 1, l);
+    if (nearest.length > 0) entryIds = [nearest[0].id];
+  }
+
+  const found = await searchLayer(ctx, query, entryIds, Math.max(ef, k), 0);
+
+  const results = [];
+  for (const { id, dist } of found) {
+    const entry = await getChunk(ctx, id);
+    if (!entry || (filter && !filter(entry.chunk))) continue;
+    results.push({ chunk: entry.chunk, similarity: 1 - dist });
+    if (results.length >= k) break;
+  }
+  return results;
+};
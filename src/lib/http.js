@@ -0,0 +1,235 @@
+/**
+ * 模型 API 的共用 HTTP 請求 - 重試、退避、逾時與錯誤分類
+ * 429 與 5xx 以指數退避重試（優先依 retry-after 等待），錯誤依狀態碼轉為對應的錯誤類別
+ */
+
+// 可重試的狀態碼
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+// retry-after 超過此時間（例如每日額度用盡）時不等待，直接拋出錯誤
+const MAX_RETRY_DELAY_MS = 60000;
+
+// ==================== 錯誤類別 ====================
+
+export class APIError extends Error {
+  constructor(message, { status = null, retryAfterMs = null, detail = '' } = {}) {
+    super(message);
+    this.name = 'APIError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.detail = detail;
+  }
+}
+
+// 429：速率限制或額度用盡
+export class RateLimitError extends APIError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'RateLimitError';
+  }
+}
+
+// 413：請求內容（圖片或 token）超過限制
+export class PayloadTooLargeError extends APIError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+// 401 / 403：API Key 無效或沒有權限
+export class AuthError extends APIError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'AuthError';
+  }
+}
+
+// 超過單次請求的逾時時間（使用者中止仍為 AbortError）
+export class TimeoutError extends APIError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'TimeoutError';
+  }
+}
+
+// ==================== 共用工具 ====================
+
+// retry-after 可為秒數或 HTTP 日期；Gemini 另在錯誤內容的 RetryInfo 提供等待時間（如 "30s"）
+const parseRetryAfter = (response, body) => {
+  const header = response.headers.get('retry-after');
+  if (header) {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const retryInfo = body?.error?.details?.find?.(d => d.retryDelay);
+  if (retryInfo) return parseFloat(retryInfo.retryDelay) * 1000;
+  return null;
+};
+
+// Gemini 的無效 API Key 回傳 400
+const isInvalidKey = (body) => {
+  return !!body?.error?.details?.some?.(d => d.reason === 'API_KEY_INVALID');
+};
+
+const createAPIError = async (response, label) => {
+  const data = await response.json().catch(() => ({}));
+  // Gemini 串流端點的錯誤內容為陣列
+  const body = Array.isArray(data) ? data[0] : data;
+  const detail = body?.error?.message || (typeof body?.error === 'string' ? body.error : '') || `HTTP ${response.status}`;
+  const options = { status: response.status, retryAfterMs: parseRetryAfter(response, body), detail };
+
+  if (response.status === 429) {
+    return new RateLimitError(`${label} 請求過於頻繁，請稍後再試（${detail}）`, options);
+  }
+  if (response.status === 413) {
+    return new PayloadTooLargeError(`${label} 請求大小超過限制（${detail}）`, options);
+  }
+  if (response.status === 401 || response.status === 403 || isInvalidKey(body)) {
+    return new AuthError(`${label} API Key 無效或沒有權限（${detail}）`, options);
+  }
+  return new APIError(`${label} 錯誤: ${detail}`, options);
+};
+
+// 合併外部 signal 與逾時；串流回應需保留外部 signal 的連結直到讀取結束，讓使用者仍可中止讀取
+const linkSignal = (signal, timeoutMs) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timeoutId = timeoutMs
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs)
+    : null;
+
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', onAbort);
+
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    release: (keepLinked = false) => {
+      clearTimeout(timeoutId);
+      if (!keepLinked) signal?.removeEventListener('abort', onAbort);
+    }
+  };
+};
+
+// 串流回應：讀取完畢、出錯或被取消時才解除與外部 signal 的連結
+const releaseOnStreamEnd = (response, release) => {
+  if (!response.body) {
+    release();
+    return response;
+  }
+
+  const reader = response.body.getReader();
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          release();
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (err) {
+        release();
+        controller.error(err);
+      }
+    },
+    cancel(reason) {
+      release();
+      return reader.cancel(reason);
+    }
+  });
+
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+};
+
+// 可被 signal 中止的等待
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timeoutId);
+    reject(new DOMException('請求已中止', 'AbortError'));
+  };
+  const timeoutId = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// 長時間處理（例如逐頁解析、OCR）在每個步驟之間檢查是否已中止
+export const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw new DOMException('已中止', 'AbortError');
+};
+
+// 回傳等待毫秒數，不應重試時回傳 null
+const getRetryDelay = (error, attempt, maxRetries) => {
+  if (attempt >= maxRetries) return null;
+
+  // fetch 的 TypeError 為網路錯誤
+  const retryable = error instanceof TypeError ||
+    (error instanceof APIError && RETRYABLE_STATUS.has(error.status));
+  if (!retryable) return null;
+
+  if (error.retryAfterMs != null) {
+    return error.retryAfterMs <= MAX_RETRY_DELAY_MS ? error.retryAfterMs : null;
+  }
+  return Math.min(BASE_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS) + Math.random() * 500;
+};
+
+// ==================== 請求 ====================
+
+/**
+ * 送出請求，失敗時依錯誤類型重試
+ * @param {string} url
+ * @param {RequestInit} init - 不含 signal
+ * @param {{ signal?: AbortSignal, timeoutMs?: number, maxRetries?: number, label?: string, read?: Function }} options
+ *   - timeoutMs: 每次嘗試的逾時時間，0 表示不限
+ *   - label: 錯誤訊息中的服務名稱
+ *   - read: 讀取回應的函式（在逾時範圍內執行）；省略時回傳 Response，供串流讀取
+ * @returns {Promise<any>} read 的結果或 Response
+ */
+export const fetchWithRetry = async (url, init = {}, {
+  signal = null,
+  timeoutMs = 0,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  label = 'API',
+  read = null
+} = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    const link = linkSignal(signal, timeoutMs);
+    let streaming = false;
+
+    try {
+      const response = await fetch(url, { ...init, signal: link.signal });
+      if (!response.ok) throw await createAPIError(response, label);
+
+      if (read) return await read(response);
+      streaming = true;
+      return releaseOnStreamEnd(response, () => link.release());
+    } catch (err) {
+      // 使用者中止時原樣拋出 AbortError
+      if (signal?.aborted) throw err;
+
+      const error = link.timedOut()
+        ? new TimeoutError(`${label} 請求逾時（${timeoutMs / 1000} 秒）`)
+        : err;
+      const delay = getRetryDelay(error, attempt, maxRetries);
+      if (delay == null) throw error;
+
+      console.warn(`[HTTP] ${label} ${error.status || error.message}，${(delay / 1000).toFixed(1)} 秒後重試 (${attempt + 1}/${maxRetries})`);
+      await sleep(delay, signal);
+    } finally {
+      link.release(streaming);
+    }
+  }
+};
@@ -0,0 +1,266 @@
+/**
+ * 背景匯入佇列 - 解析、向量化並寫入知識庫
+ * 工作與逐區塊的向量化結果保存在 IndexedDB，重新整理頁面後可從中斷處繼續
+ */
+
+import {
+  getEmbeddingsBatch,
+  getEmbeddingBatchSize,
+  countUncachedEmbeddings,
+  getEmbeddingInfo,
+  estimateEmbeddingSeconds,
+  isSameEmbeddingSpace
+} from './embeddings';
+import { parseDocument } from './parsers';
+import {
+  createIngestJob,
+  getIngestJobs,
+  getIngestJobStatuses,
+  getIngestJob,
+  updateIngestJob,
+  deleteIngestJob,
+  saveJobEmbeddings,
+  getJobEmbeddings,
+  clearJobEmbeddings,
+  saveDocument,
+  addDocumentVersion,
+  getAllDocuments
+} from './db';
+import { getDocumentEmbeddingSpace } from './embeddingSpace';
+
+let runner = null;
+let rerun = false;
+let current = null; // { jobId, controller }
+const listeners = new Set();
+
+// 事件：{ type: 'changed' } | { type: 'completed', job, docId, version? } | { type: 'failed', job, error }
+const notify = (event = { type: 'changed' }) => {
+  listeners.forEach(listener => listener(event));
+};
+
+export const subscribeIngest = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const formatTime = (seconds) => {
+  if (seconds < 60) return `${seconds} 秒`;
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins} 分 ${secs} 秒`;
+};
+
+const setJob = async (jobId, patch) => {
+  const exists = await updateIngestJob(jobId, patch);
+  if (exists) notify();
+  return exists;
+};
+
+const processJob = async (job, signal) => {
+  let { chunks, stats, metadata } = job;
+  await setJob(job.id, { status: 'running', error: null });
+
+  // 解析與向量化的進度都透過此回呼更新工作訊息：({ current?, total?, estimatedRemainingSeconds?, message })
+  const onProgress = async (progress) => {
+    if (progress.message) await setJob(job.id, { message: progress.message });
+  };
+
+  // 1. 解析（已解析過的工作直接使用保存的區塊）
+  if (!chunks) {
+    await setJob(job.id, { stage: 'parsing', message: '解析文件中...' });
+
+    // 暫停或取消時，解析與 OCR 在頁與頁之間中止
+    const result = await parseDocument(job.file, { enableOCR: true, signal }, onProgress);
+
+    if (result.chunks.length === 0) {
+      throw new Error(result.stats.format === 'pdf'
+        ? '無法從 PDF 提取文字（文字層為空且 OCR 失敗）'
+        : '無法從文件提取文字（內容為空）');
+    }
+
+    chunks = result.chunks;
+    stats = result.stats;
+    metadata = result.metadata || {};
+    if (!await setJob(job.id, { chunks, stats, metadata, total: chunks.length })) return;
+  }
+
+  if (signal.aborted) return;
+
+  // 2. 向量化：批次送出（以文件名稱作為標題），每完成一個批次即寫入檢查點
+  // 換了 Embedding Provider / 模型後，先前的檢查點屬於不同向量空間，必須重來
+  const embeddingInfo = getEmbeddingInfo();
+  if (job.docId != null) {
+    // 新版本與舊版本必須在同一向量空間，才能一起搜尋歷史版本
+    const doc = (await getAllDocuments()).find(d => d.id === job.docId);
+    if (!doc) throw new Error('原文件已被刪除，無法新增版本');
+    if (!isSameEmbeddingSpace(getDocumentEmbeddingSpace(doc), embeddingInfo)) {
+      throw new Error('原文件由其他向量模型建立，請先重新向量化後再上傳新版本');
+    }
+  }
+  if (job.embedding && !isSameEmbeddingSpace(job.embedding, embeddingInfo)) {
+    await clearJobEmbeddings(job.id);
+  }
+  if (!await setJob(job.id, { embedding: embeddingInfo })) return;
+
+  const embeddings = await getJobEmbeddings(job.id);
+  let embedded = embeddings.filter(Boolean).length;
+  await setJob(job.id, { stage: 'embedding', embedded });
+
+  const pending = chunks.map((_, i) => i).filter(i => !embeddings[i]);
+  const batchSize = getEmbeddingBatchSize();
+  // 剩餘時間只計快取未命中的區塊，命中的區塊不需呼叫 API
+  let uncached = await countUncachedEmbeddings(pending.map(i => chunks[i].content));
+
+  for (let start = 0; start < pending.length; start += batchSize) {
+    if (signal.aborted) return;
+    const batch = pending.slice(start, start + batchSize);
+    const texts = batch.map(i => chunks[i].content);
+
+    const estimatedRemainingSeconds = estimateEmbeddingSeconds(uncached);
+    await onProgress({
+      current: embedded + batch.length,
+      total: chunks.length,
+      estimatedRemainingSeconds,
+      message: `向量化中... (${embedded + batch.length}/${chunks.length}) - 預計剩餘 ${formatTime(estimatedRemainingSeconds)}`
+    });
+
+    const misses = await countUncachedEmbeddings(texts);
+    const vectors = await getEmbeddingsBatch(texts, null, { title: job.fileName, signal });
+    // 已取消的工作不再寫入；暫停時保留這次的結果
+    if (signal.aborted && signal.reason === 'cancel') return;
+
+    await saveJobEmbeddings(job.id, batch.map((index, k) => ({ index, embedding: vectors[k] })));
+    batch.forEach((index, k) => { embeddings[index] = vectors[k]; });
+    embedded += batch.length;
+    uncached = Math.max(0, uncached - misses);
+    if (!await setJob(job.id, { embedded })) return;
+  }
+
+  if (signal.aborted) return;
+
+  // 3. 寫入知識庫（同一交易刪除工作與暫存向量）
+  await setJob(job.id, { message: '寫入知識庫...' });
+  const processed = chunks.map((chunk, i) => ({
+    content: chunk.content,
+    embedding: embeddings[i],
+    metadata: {
+      fileName: job.fileName,
+      ocrUsed: stats.ocrUsed,
+      ...chunk.metadata
+    }
+  }));
+
+  const options = { embedding: embeddingInfo, ingestJobId: job.id };
+  if (job.docId != null) {
+    const version = await addDocumentVersion(job.docId, job.fileName, processed, options);
+    notify({ type: 'completed', job: { ...job, stats, total: chunks.length }, docId: job.docId, version });
+    return;
+  }
+
+  // 新版本保留使用者編輯過的文件欄位，只有新文件使用解析取得的資訊
+  const docId = await saveDocument(job.fileName, job.category, processed, { ...options, metadata });
+  notify({ type: 'completed', job: { ...job, stats, total: chunks.length }, docId });
+};
+
+// 依建立順序逐一處理排隊中的工作
+const drainQueue = async () => {
+  while (true) {
+    const queued = (await getIngestJobStatuses()).find(j => j.status === 'queued');
+    if (!queued) return;
+    const next = await getIngestJob(queued.id);
+    if (!next) continue;
+
+    const controller = new AbortController();
+    current = { jobId: next.id, controller };
+
+    try {
+      await processJob(next, controller.signal);
+      // 暫停請求可能與狀態更新交錯，結束後再確認一次
+      if (controller.signal.reason === 'pause') {
+        await setJob(next.id, { status: 'paused', message: '已暫停' });
+      }
+    } catch (err) {
+      // 暫停或取消造成的中止不是錯誤（解析中暫停的工作繼續時重新解析，取消的工作已刪除）
+      if (controller.signal.aborted) {
+        if (controller.signal.reason === 'pause') {
+          await setJob(next.id, { status: 'paused', message: '已暫停' });
+        }
+        continue;
+      }
+      console.error('Ingest job failed:', err);
+      if (await setJob(next.id, { status: 'error', error: err.message, message: `錯誤: ${err.message}` })) {
+        notify({ type: 'failed', job: next, error: err });
+      }
+    } finally {
+      current = null;
+    }
+  }
+};
+
+const kick = () => {
+  rerun = true;
+  if (!runner) {
+    runner = (async () => {
+      while (rerun) {
+        rerun = false;
+        await drainQueue();
+      }
+    })().finally(() => {
+      runner = null;
+      notify();
+    });
+  }
+  return runner;
+};
+
+/**
+ * 啟動佇列（登入後呼叫）
+ * 上次因重新整理而中斷的工作會重新排入佇列，並從最後的檢查點繼續
+ */
+export const startIngestQueue = async () => {
+  for (const job of await getIngestJobs()) {
+    if (job.status === 'running' && current?.jobId !== job.id) {
+      await updateIngestJob(job.id, { status: 'queued', message: '等待繼續處理' });
+    }
+  }
+
+  notify();
+  kick();
+};
+
+export const enqueueFiles = async (files, category) => {
+  for (const file of files) {
+    await createIngestJob({ file, fileName: file.name, category });
+  }
+  notify();
+  kick();
+};
+
+// 上傳既有文件的新版本（沿用原文件的分類）
+export const enqueueVersion = async (file, doc) => {
+  await createIngestJob({ file, fileName: file.name, category: doc.category || '未分類', docId: doc.id });
+  notify();
+  kick();
+};
+
+export const pauseJob = async (jobId) => {
+  const job = await getIngestJob(jobId);
+  if (!job || !['queued', 'running'].includes(job.status)) return;
+
+  await setJob(jobId, { status: 'paused', message: '已暫停' });
+  if (current?.jobId === jobId) current.controller.abort('pause');
+};
+
+export const resumeJob = async (jobId) => {
+  const job = await getIngestJob(jobId);
+  if (!job || !['paused', 'error'].includes(job.status)) return;
+
+  await setJob(jobId, { status: 'queued', error: null, message: '等待處理' });
+  kick();
+};
+
+export const cancelJob = async (jobId) => {
+  if (current?.jobId === jobId) current.controller.abort('cancel');
+  await deleteIngestJob(jobId);
+  notify();
+};
@@ -0,0 +1,227 @@
+/**
+ * BM25 關鍵字索引（倒排索引，持久化於 IndexedDB）
+ * 用於精確比對料號、錯誤碼、專有名詞等向量搜尋容易漏掉的字串
+ */
+
+const META_KEY = 'bm25';
+
+// BM25 參數
+const K1 = 1.2;
+const B = 0.75;
+
+// 關鍵字命中至少需涵蓋查詢詞的比例（依 IDF 加權），才視為與問題相關
+// 只共用一兩個常見的中文 bigram 或單字時涵蓋率很低，不會繞過相似度門檻
+export const KEYWORD_COVERAGE_THRESHOLD = 0.5;
+
+// 中日韓文字（漢字、假名、韓文）
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]+/g;
+// 拉丁字母與數字，允許以 - _ . / 連接（如 AB-1234、v2.1、E_0x1F）
+const WORD_PATTERN = /[a-z0-9]+(?:[-_./][a-z0-9]+)*/g;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+/**
+ * 斷詞：中文使用字元 bigram，拉丁文字以單字為單位
+ * 含連接符號的 token 會同時保留完整形式與各段（AB-1234 → ab-1234, ab, 1234）
+ */
+export const tokenize = (text) => {
+  if (!text) return [];
+  const normalized = text.normalize('NFKC').toLowerCase();
+  const tokens = [];
+
+  for (const run of normalized.match(CJK_PATTERN) || []) {
+    if (run.length === 1) {
+      tokens.push(run);
+      continue;
+    }
+    for (let i = 0; i < run.length - 1; i++) {
+      tokens.push(run.slice(i, i + 2));
+    }
+  }
+
+  for (const word of normalized.match(WORD_PATTERN) || []) {
+    if (STOPWORDS.has(word)) continue;
+    tokens.push(word);
+    if (/[-_./]/.test(word)) {
+      for (const part of word.split(/[-_./]/)) {
+        if (part && !STOPWORDS.has(part)) tokens.push(part);
+      }
+    }
+  }
+
+  return tokens;
+};
+
+const countTerms = (tokens) => {
+  const counts = new Map();
+  for (const t of tokens) counts.set(t, (counts.get(t) || 0) + 1);
+  return counts;
+};
+
+const loadMeta = async (store) => {
+  return (await store.get(META_KEY)) || { key: META_KEY, docCount: 0, totalLength: 0 };
+};
+
+/**
+ * 將區塊加入倒排索引
+ * 已在索引中的區塊會略過：儲存文件與背景補建（ensureLexicalIndex）可能同時處理同一批區塊，
+ * 重複加入會讓 postings 與 docCount / totalLength 重複計算，使 IDF 與長度正規化失準
+ * @param {Array<{id, docId, content}>} chunks
+ */
+export const addToLexicalIndex = async (db, chunks) => {
+  const tx = db.transaction(['lexicon', 'lexDocs', 'indexMeta'], 'readwrite');
+  const lexicon = tx.objectStore('lexicon');
+  const lexDocStore = tx.objectStore('lexDocs');
+
+  // 在同一交易中確認尚未索引，再於記憶體彙整本批次的 postings，一次寫入
+  const batch = new Map();
+  const lexDocs = [];
+  const seen = new Set();
+  let addedLength = 0;
+
+  for (const chunk of chunks) {
+    if (seen.has(chunk.id) || await lexDocStore.getKey(chunk.id) !== undefined) continue;
+    seen.add(chunk.id);
+
+    const tokens = tokenize(chunk.content);
+    const counts = countTerms(tokens);
+    for (const [term, tf] of counts) {
+      if (!batch.has(term)) batch.set(term, []);
+      // posting: [chunkId, tf, 區塊長度, docId]
+      batch.get(term).push([chunk.id, tf, tokens.length, chunk.docId]);
+    }
+    lexDocs.push({ id: chunk.id, docId: chunk.docId, length: tokens.length, terms: [...counts.keys()] });
+    addedLength += tokens.length;
+  }
+
+  if (lexDocs.length === 0) {
+    await tx.done;
+    return;
+  }
+
+  for (const [term, postings] of batch) {
+    const entry = await lexicon.get(term);
+    await lexicon.put({ term, postings: entry ? [...entry.postings, ...postings] : postings });
+  }
+
+  for (const doc of lexDocs) {
+    await lexDocStore.put(doc);
+  }
+
+  const meta = await loadMeta(tx.objectStore('indexMeta'));
+  meta.docCount += lexDocs.length;
+  meta.totalLength += addedLength;
+  await tx.objectStore('indexMeta').put(meta);
+
+  await tx.done;
+};
+
+export const removeFromLexicalIndex = async (db, chunkIds) => {
+  const tx = db.transaction(['lexicon', 'lexDocs', 'indexMeta'], 'readwrite');
+  const lexicon = tx.objectStore('lexicon');
+  const lexDocStore = tx.objectStore('lexDocs');
+  const removing = new Set(chunkIds);
+
+  const affectedTerms = new Set();
+  let removedCount = 0;
+  let removedLength = 0;
+
+  for (const id of chunkIds) {
+    const doc = await lexDocStore.get(id);
+    if (!doc) continue;
+    doc.terms.forEach(t => affectedTerms.add(t));
+    removedCount++;
+    removedLength += doc.length;
+    await lexDocStore.delete(id);
+  }
+
+  for (const term of affectedTerms) {
+    const entry = await lexicon.get(term);
+    if (!entry) continue;
+    const postings = entry.postings.filter(p => !removing.has(p[0]));
+    if (postings.length > 0) {
+      await lexicon.put({ term, postings });
+    } else {
+      await lexicon.delete(term);
+    }
+  }
+
+  const meta = await loadMeta(tx.objectStore('indexMeta'));
+  meta.docCount = Math.max(0, meta.docCount - removedCount);
+  meta.totalLength = Math.max(0, meta.totalLength - removedLength);
+  await tx.objectStore('indexMeta').put(meta);
+
+  await tx.done;
+};
+
+export const clearLexicalIndex = async (db) => {
+  const tx = db.transaction(['lexicon', 'lexDocs', 'indexMeta'], 'readwrite');
+  await tx.objectStore('lexicon').clear();
+  await tx.objectStore('lexDocs').clear();
+  await tx.objectStore('indexMeta').delete(META_KEY);
+  await tx.done;
+};
+
+export const getLexicalIndexMeta = async (db) => {
+  return (await db.get('indexMeta', META_KEY)) || null;
+};
+
+export const findUnindexedLexicalChunks = async (db) => {
+  const chunkIds = await db.getAllKeys('chunks');
+  const indexed = new Set(await db.getAllKeys('lexDocs'));
+  return chunkIds.filter(id => !indexed.has(id));
+};
+
+/**
+ * 檢索結果是否與問題相關：相似度達到門檻，或關鍵字涵蓋率達到 KEYWORD_COVERAGE_THRESHOLD
+ * 對話、檢索偵錯工具與 RAG 評估共用
+ */
+export const isRelevantResult = (result, threshold) => {
+  return result.similarity >= threshold || (result.keywordCoverage ?? 0) >= KEYWORD_COVERAGE_THRESHOLD;
+};
+
+/**
+ * BM25 查詢
+ * @param {{ excludeChunkIds?: Set<number> }} options - 排除的區塊（例如文件的舊版本）
+ * @returns {Promise<Array<{id, docId, score, coverage}>>} 依分數遞減
+ *   coverage：區塊包含的查詢詞占全部查詢詞的比例（依 IDF 加權，索引中沒有的詞也計入分母）
+ */
+export const searchLexical = async (db, queryText, limit = 20, filterDocIds = null, { excludeChunkIds = null } = {}) => {
+  const terms = [...new Set(tokenize(queryText))];
+  if (terms.length === 0) return [];
+
+  const meta = await getLexicalIndexMeta(db);
+  if (!meta || meta.docCount === 0) return [];
+
+  const avgLength = meta.totalLength / meta.docCount || 1;
+  const hasFilter = filterDocIds && filterDocIds.length > 0;
+  const scores = new Map();
+  const idfOf = (df) => Math.log(1 + (meta.docCount - df + 0.5) / (df + 0.5));
+  let totalWeight = 0;
+
+  const tx = db.transaction('lexicon');
+  for (const term of terms) {
+    const entry = await tx.store.get(term);
+    const idf = idfOf(entry ? entry.postings.length : 0);
+    totalWeight += idf;
+    if (!entry) continue;
+
+    for (const [chunkId, tf, length, docId] of entry.postings) {
+      if (hasFilter && !filterDocIds.includes(docId)) continue;
+      if (excludeChunkIds?.has(chunkId)) continue;
+      const norm = tf + K1 * (1 - B + B * length / avgLength);
+      const current = scores.get(chunkId) || { id: chunkId, docId, score: 0, matchedWeight: 0 };
+      current.score += idf * (tf * (K1 + 1)) / norm;
+      current.matchedWeight += idf;
+      scores.set(chunkId, current);
+    }
+  }
+
+  return [...scores.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ matchedWeight, ...hit }) => ({ ...hit, coverage: totalWeight > 0 ? matchedWeight / totalWeight : 0 }));
+};
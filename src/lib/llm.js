@@ -0,0 +1,310 @@
+/**
+ * LLM Provider 抽象層 - 對話、視覺與 OCR
+ * 每個任務（對話、意圖分析、OCR、頁面分析、評估評分、對話摘要）可各自指定 Provider、Base URL 與模型
+ * 訊息一律使用 OpenAI 格式（content 可為字串或 text / image_url 陣列），由各 Adapter 轉換
+ */
+
+import { fetchWithRetry } from './http';
+import { acquireBudget, recordUsage } from './budget';
+import { estimateTokens, estimateMessageTokens } from './tokens';
+
+export const GROQ_BASE_URL = 'https://api.groq.com/openai/v1';
+export const GROQ_DEFAULT_MODEL = 'meta-llama/llama-4-scout-17b-16e-instruct';
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+export const LLM_PROVIDERS = [
+  { id: 'groq', label: 'Groq', defaultModel: GROQ_DEFAULT_MODEL },
+  { id: 'openai', label: 'OpenAI 相容', defaultModel: '' },
+  { id: 'gemini', label: 'Google Gemini', defaultModel: 'gemini-2.0-flash' }
+];
+
+// contextBudget：組裝提示時依 contextTokens 取捨參考資訊與對話歷史
+export const LLM_TASKS = [
+  { id: 'chat', label: '對話生成', needsVision: false, contextBudget: true },
+  { id: 'intent', label: '意圖分析', needsVision: false },
+  { id: 'ocr', label: 'OCR 文字識別', needsVision: true },
+  { id: 'pageAnalysis', label: 'PDF 頁面分析', needsVision: true, contextBudget: true },
+  { id: 'judge', label: '評估評分', needsVision: false },
+  { id: 'memory', label: '對話摘要', needsVision: false }
+];
+
+// 預設上下文預算（輸入 + 輸出 tokens），低於 Groq 免費方案每分鐘 30K tokens 的限制
+export const DEFAULT_CONTEXT_TOKENS = 24000;
+
+const DEFAULT_TASK_CONFIG = { provider: 'groq', baseUrl: '', model: GROQ_DEFAULT_MODEL, contextTokens: DEFAULT_CONTEXT_TOKENS };
+
+// 未指定 timeoutMs 時，單次請求（串流為等到開始回應）的逾時時間
+const DEFAULT_TIMEOUT_MS = 120000;
+
+// API Key 只保存在記憶體
+const credentials = { groq: '', openai: '', gemini: '' };
+
+let taskConfigs = Object.fromEntries(LLM_TASKS.map(t => [t.id, { ...DEFAULT_TASK_CONFIG }]));
+
+// ==================== 共用工具 ====================
+
+const getProviderLabel = (provider) => LLM_PROVIDERS.find(p => p.id === provider)?.label || provider;
+
+// 共用的請求選項：非串流在逾時範圍內讀取 JSON，串流回傳 Response
+// meta 收集回應標頭與 usage，供額度管理使用
+const requestOptions = (config, options, meta, stream) => ({
+  signal: options.signal,
+  timeoutMs: options.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+  label: getProviderLabel(config.provider),
+  read: stream ? null : (response) => {
+    meta.headers = response.headers;
+    return response.json();
+  }
+});
+
+// 讀取 SSE 串流，逐筆 yield 解析後的 JSON
+async function* readSSE(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop(); // 保留不完整的最後一行
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const data = trimmed.slice(5).trim();
+        if (data === '[DONE]') return;
+        yield JSON.parse(data);
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+const parseDataUrl = (url) => {
+  const match = /^data:([^;]+);base64,(.*)$/.exec(url);
+  return match ? { mimeType: match[1], data: match[2] } : null;
+};
+
+// ==================== OpenAI 相容（Groq / vLLM / Ollama / LM Studio） ====================
+
+const toOpenAIUsage = (usage) => (usage ? {
+  promptTokens: usage.prompt_tokens || 0,
+  completionTokens: usage.completion_tokens || 0
+} : null);
+
+const openAIRequest = async (config, messages, options, meta, stream) => {
+  const baseUrl = (config.provider === 'groq' ? GROQ_BASE_URL : config.baseUrl || '').replace(/\/+$/, '');
+  if (!baseUrl) throw new Error('請設定 Base URL');
+
+  const apiKey = credentials[config.provider];
+  if (config.provider === 'groq' && !apiKey) throw new Error('Groq 未初始化，請先輸入 API Key');
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+  return fetchWithRetry(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: config.model,
+      messages,
+      temperature: options.temperature ?? 0.7,
+      max_completion_tokens: options.maxTokens || 4096,
+      top_p: options.topP ?? 1,
+      stream,
+      // JSON 模式：回答保證為 JSON 物件（提示中需提到 JSON）
+      ...(options.json && { response_format: { type: 'json_object' } }),
+    }),
+  }, requestOptions(config, options, meta, stream));
+};
+
+const openAIAdapter = {
+  async complete(config, messages, options, meta) {
+    const data = await openAIRequest(config, messages, options, meta, false);
+    meta.usage = toOpenAIUsage(data.usage);
+    return data.choices?.[0]?.message?.content || '';
+  },
+
+  async *stream(config, messages, options, meta) {
+    const response = await openAIRequest(config, messages, options, meta, true);
+    meta.headers = response.headers;
+
+    for await (const json of readSSE(response)) {
+      if (json.error) throw new Error(json.error.message || 'API 錯誤');
+      // Groq 在最後一筆附上 x_groq.usage，其他相容服務使用 usage
+      const usage = toOpenAIUsage(json.usage || json.x_groq?.usage);
+      if (usage) meta.usage = usage;
+      const delta = json.choices?.[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+};
+
+// ==================== Gemini generateContent ====================
+
+const toGeminiParts = (content) => {
+  if (typeof content === 'string') return [{ text: content }];
+  return content.map(part => {
+    if (part.type === 'image_url') {
+      const image = parseDataUrl(part.image_url.url);
+      return image ? { inlineData: image } : { text: part.image_url.url };
+    }
+    return { text: part.text };
+  });
+};
+
+const toGeminiBody = (messages, options) => {
+  const system = messages.filter(m => m.role === 'system');
+  const body = {
+    contents: messages
+      .filter(m => m.role !== 'system')
+      .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: toGeminiParts(m.content) })),
+    generationConfig: {
+      temperature: options.temperature ?? 0.7,
+      maxOutputTokens: options.maxTokens || 4096,
+      topP: options.topP ?? 1,
+      ...(options.json && { responseMimeType: 'application/json' })
+    }
+  };
+  if (system.length > 0) {
+    body.systemInstruction = { parts: system.flatMap(m => toGeminiParts(m.content)) };
+  }
+  return body;
+};
+
+const toGeminiUsage = (usage) => (usage ? {
+  promptTokens: usage.promptTokenCount || 0,
+  completionTokens: usage.candidatesTokenCount || 0
+} : null);
+
+const geminiRequest = async (config, messages, options, meta, method) => {
+  const apiKey = credentials.gemini;
+  if (!apiKey) throw new Error('請設定 Gemini API Key');
+
+  const query = method === 'streamGenerateContent' ? `alt=sse&key=${apiKey}` : `key=${apiKey}`;
+  return fetchWithRetry(`${GEMINI_BASE_URL}/models/${config.model}:${method}?${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(toGeminiBody(messages, options)),
+  }, requestOptions(config, options, meta, method === 'streamGenerateContent'));
+};
+
+const candidateText = (json) => {
+  return (json.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join('');
+};
+
+const geminiAdapter = {
+  async complete(config, messages, options, meta) {
+    const data = await geminiRequest(config, messages, options, meta, 'generateContent');
+    meta.usage = toGeminiUsage(data.usageMetadata);
+    return candidateText(data);
+  },
+
+  async *stream(config, messages, options, meta) {
+    const response = await geminiRequest(config, messages, options, meta, 'streamGenerateContent');
+    meta.headers = response.headers;
+
+    for await (const json of readSSE(response)) {
+      if (json.error) throw new Error(json.error.message || 'Gemini API 錯誤');
+      // usageMetadata 為累計值，保留最後一筆
+      const usage = toGeminiUsage(json.usageMetadata);
+      if (usage) meta.usage = usage;
+      const delta = candidateText(json);
+      if (delta) yield delta;
+    }
+  }
+};
+
+const adapters = {
+  groq: openAIAdapter,
+  openai: openAIAdapter,
+  gemini: geminiAdapter
+};
+
+// ==================== 設定 ====================
+
+export const setProviderCredential = (provider, apiKey) => {
+  credentials[provider] = apiKey || '';
+};
+
+export const hasProviderCredential = (provider) => !!credentials[provider];
+
+// 套用各任務設定（缺少的任務沿用預設的 Groq）
+export const configureLLM = (configs = {}) => {
+  taskConfigs = Object.fromEntries(LLM_TASKS.map(t => [
+    t.id,
+    { ...DEFAULT_TASK_CONFIG, ...(configs[t.id] || {}) }
+  ]));
+};
+
+export const getTaskConfig = (task) => ({ ...taskConfigs[task] });
+
+export const getTaskConfigs = () => Object.fromEntries(
+  Object.entries(taskConfigs).map(([task, config]) => [task, { ...config }])
+);
+
+// ==================== 呼叫 ====================
+
+/**
+ * 以任務設定呼叫模型，回傳完整回答
+ * @param {'chat' | 'intent' | 'ocr' | 'pageAnalysis' | 'judge' | 'memory'} task
+ * @param {Array} messages - OpenAI 格式訊息
+ * @param {{ temperature?, maxTokens?, topP?, signal?, timeoutMs?, json? }} options - json: 要求回答為 JSON 物件
+ *   錯誤類型見 http.js，排程與用量統計見 budget.js
+ */
+export const completeTask = async (task, messages, options = {}) => {
+  return completeWithConfig(taskConfigs[task], messages, { ...options, task });
+};
+
+// 回應沒有 usage 時以估算值記錄
+const resolveUsage = (meta, promptTokens, text) => meta.usage || {
+  promptTokens,
+  completionTokens: estimateTokens(text),
+  estimated: true
+};
+
+export const completeWithConfig = async (config, messages, options = {}) => {
+  if (!config.model) throw new Error('請設定模型名稱');
+  const promptTokens = estimateMessageTokens(messages);
+  await acquireBudget(config.provider, promptTokens, options.signal);
+
+  const meta = { headers: null, usage: null };
+  const text = await adapters[config.provider].complete(config, messages, options, meta);
+  recordUsage(config.provider, options.task, meta.headers, resolveUsage(meta, promptTokens, text));
+  return text;
+};
+
+// 串流呼叫，逐段 yield 回答內容
+export async function* streamTask(task, messages, options = {}) {
+  const config = taskConfigs[task];
+  if (!config.model) throw new Error('請設定模型名稱');
+  const promptTokens = estimateMessageTokens(messages);
+  await acquireBudget(config.provider, promptTokens, options.signal);
+
+  const meta = { headers: null, usage: null };
+  let text = '';
+  try {
+    for await (const delta of adapters[config.provider].stream(config, messages, options, meta)) {
+      text += delta;
+      yield delta;
+    }
+  } finally {
+    // 中止的串流也已消耗額度；請求失敗（沒有回應）時不記錄
+    if (meta.headers) recordUsage(config.provider, task, meta.headers, resolveUsage(meta, promptTokens, text));
+  }
+}
+
+// 設定面板的「測試」：送出最小請求確認端點、金鑰與模型可用
+export const verifyLLMConfig = async (config) => {
+  try {
+    await completeWithConfig(config, [{ role: 'user', content: 'Hi' }], { maxTokens: 10, timeoutMs: 30000 });
+    return true;
+  } catch (error) {
+    throw new Error(`${getProviderLabel(config.provider)} 連線失敗: ${error.message}`);
+  }
+};
@@ -0,0 +1,96 @@
+/**
+ * 對話記憶 - 以模型將較早的對話整理成滾動摘要，保存在對話（session）紀錄中
+ * 最近的訊息維持原文，更早的訊息累積到一定數量後併入摘要；摘要會放入意圖分析與回答生成的提示
+ */
+
+import { completeTask } from './llm';
+import { getChatHistory, getSessions, replaceSessionMemory } from './db';
+import { truncateToTokens } from './tokens';
+
+// 最近幾則訊息不摘要（與回答生成保留原文的數量一致）
+const RECENT_MESSAGES = 6;
+// 累積幾則未摘要的較早訊息才更新一次摘要
+const SUMMARY_BATCH = 6;
+// 單次最多併入幾則（較長的對話分次摘要，由舊到新）
+const MAX_BATCH = 20;
+// 每則訊息放入摘要請求的上限
+const MESSAGE_TOKENS = 600;
+
+// 每個對話同時只進行一次摘要
+const pending = new Map();
+
+const SUMMARY_PROMPT = `你負責維護一段知識庫問答對話的記憶摘要。請將[既有摘要]與[新的對話]整合成一份新的摘要。
+
+規則：
+1. 保留使用者的研究目標、提過的問題、得到的關鍵結論與數據、提及的文件名稱與尚未解決的問題。
+2. 省略寒暄與重複內容，不要加入對話中沒有的資訊。
+3. 使用與對話相同的語言，以條列方式輸出，總長不超過 300 字。
+4. 只輸出摘要本身。`;
+
+const formatMessages = (messages) => messages.map(m =>
+  `${m.role === 'user' ? 'User' : 'AI'}: ${truncateToTokens(m.content, MESSAGE_TOKENS)}`
+).join('\n\n');
+
+/**
+ * 依記憶區分對話：已併入摘要的訊息改以摘要代表
+ * 尚未寫入資料庫的新訊息沒有 id，一律視為未摘要
+ * @returns {{ summary: string, history: Array }}
+ */
+export const applyConversationMemory = (history, memory) => {
+  if (!memory?.summary) return { summary: '', history };
+  return {
+    summary: memory.summary,
+    history: history.filter(m => m.id == null || m.id > memory.lastMessageId)
+  };
+};
+
+const summarize = async (sessionId) => {
+  const session = (await getSessions()).find(s => s.id === sessionId);
+  if (!session) return null;
+
+  const memory = session.memory || null;
+  const messages = (await getChatHistory(sessionId, Infinity))
+    .filter(m => typeof m.content === 'string' && m.content.trim());
+  const older = messages
+    .slice(0, -RECENT_MESSAGES)
+    .filter(m => !memory || m.id > memory.lastMessageId)
+    .slice(0, MAX_BATCH);
+  if (older.length < SUMMARY_BATCH) return null;
+
+  const summary = await completeTask('memory', [
+    { role: 'system', content: SUMMARY_PROMPT },
+    {
+      role: 'user',
+      content: `[既有摘要]:\n${memory?.summary || '（無）'}\n\n[新的對話]:\n${formatMessages(older)}`
+    }
+  ], { maxTokens: 768, temperature: 0.2 });
+
+  if (!summary.trim()) return null;
+  const next = {
+    summary: summary.trim(),
+    lastMessageId: older[older.length - 1].id,
+    messageCount: (memory?.messageCount || 0) + older.length,
+    updatedAt: new Date()
+  };
+  // 摘要期間對話可能已被清除或刪除，此時捨棄這次的結果
+  if (!await replaceSessionMemory(sessionId, memory, next)) return null;
+  return next;
+};
+
+/**
+ * 回答完成後呼叫：較早的未摘要訊息達到門檻時更新摘要
+ * 失敗只記錄錯誤，下次回答後會再嘗試
+ * @returns {Promise<object | null>} 更新後的記憶，未更新時為 null
+ */
+export const updateConversationMemory = async (sessionId) => {
+  if (pending.has(sessionId)) return null;
+
+  const task = summarize(sessionId)
+    .catch(err => {
+      console.error('Conversation memory update failed:', err);
+      return null;
+    })
+    .finally(() => pending.delete(sessionId));
+  pending.set(sessionId, task);
+  return task;
+};
@@ -1,9 +1,11 @@
 /**
- * OCR 模組 - 使用 Groq Llama 4 Scout Vision 進行 OCR
+ * OCR 模組 - 使用視覺模型進行 OCR（預設 Groq Llama 4 Scout Vision，可在模型設定中更換）
  * 用於處理圖片型 PDF（掃描版）
  */
 
 import * as pdfjsLib from 'pdfjs-dist';
+import { completeTask } from './llm';
+import { sleep, throwIfAborted } from './http';
 
 // 檢測 PDF 是否為圖片型（文字內容很少）
 export const detectImageBasedPDF = async (pdfDoc, samplePages = 3) => {
@@ -68,11 +70,8 @@ export const renderPageToImage = async (pdfDoc, pageNum, scale = 2.0) => {
   };
 };
 
-// 使用 Groq 進行 OCR（單頁）
-export const ocrPage = async (groqApiKey, base64Image, mimeType = 'image/jpeg', pageNum = 1) => {
-  const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
-  const MODEL = 'meta-llama/llama-4-scout-17b-16e-instruct';
-
+// 使用視覺模型進行 OCR（單頁）
+export const ocrPage = async (base64Image, mimeType = 'image/jpeg', pageNum = 1, signal = null) => {
   const systemPrompt = `你是一個專業的 OCR 文字識別助手。請仔細識別圖像中的所有文字內容。
 
 規則：
@@ -84,54 +83,41 @@ export const ocrPage = async (groqApiKey, base64Image, mimeType = 'image/jpeg',
 6. 只輸出識別的文字內容，不要添加任何解釋或評論。
 7. 如果圖像模糊或無法識別某些字，用 [?] 標記。`;
 
-  const response = await fetch(GROQ_API_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${groqApiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: MODEL,
-      messages: [
-        { role: 'system', content: systemPrompt },
+  // 速率限制與暫時性錯誤由共用 HTTP 請求重試，其餘錯誤（逾時、圖片過大）直接拋出
+  return await completeTask('ocr', [
+    { role: 'system', content: systemPrompt },
+    {
+      role: 'user',
+      content: [
+        { type: 'text', text: `請識別這張圖片（第 ${pageNum} 頁）中的所有文字內容：` },
         {
-          role: 'user',
-          content: [
-            { type: 'text', text: `請識別這張圖片（第 ${pageNum} 頁）中的所有文字內容：` },
-            {
-              type: 'image_url',
-              image_url: {
-                url: `data:${mimeType};base64,${base64Image}`
-              }
-            }
-          ]
+          type: 'image_url',
+          image_url: {
+            url: `data:${mimeType};base64,${base64Image}`
+          }
         }
-      ],
-      temperature: 0.1, // 低溫度提高準確性
-      max_completion_tokens: 4096,
-    }),
+      ]
+    }
+  ], {
+    temperature: 0.1, // 低溫度提高準確性
+    maxTokens: 4096,
+    timeoutMs: 90000,
+    signal
   });
-
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'OCR 失敗');
-  }
-
-  const data = await response.json();
-  return data.choices[0]?.message?.content || '';
 };
 
-// 批量 OCR（多頁）
+// 批量 OCR（多頁），signal 中止時在頁與頁之間停止
 export const ocrPDFPages = async (
-  groqApiKey,
   pdfDoc,
   pageNumbers,
-  onProgress = null
+  onProgress = null,
+  signal = null
 ) => {
   const results = [];
   const total = pageNumbers.length;
 
   for (let i = 0; i < total; i++) {
+    throwIfAborted(signal);
     const pageNum = pageNumbers[i];
 
     if (onProgress) {
@@ -158,11 +144,11 @@ export const ocrPDFPages = async (
     }
 
     // 進行 OCR
-    const text = await ocrPage(groqApiKey, image.base64, image.mimeType, pageNum);
+    const text = await ocrPage(image.base64, image.mimeType, pageNum, signal);
 
     // 速率限制等待
     if (i < total - 1) {
-      await new Promise(r => setTimeout(r, 2000));
+      await sleep(2000, signal);
     }
 
     results.push({
@@ -190,13 +176,14 @@ export const mergeOCRResults = (results) => {
 // 混合解析：優先使用 PDF 文字層，不足時使用 OCR
 export const hybridParsePDF = async (
   file,
-  groqApiKey,
+  enableOCR,
   options = {},
   onProgress = null
 ) => {
   const {
     ocrThreshold = 100, // 每頁少於此字數則使用 OCR
     maxOCRPages = 999,  // 移除實際限制（逐頁處理不受 API 大小限制）
+    signal = null       // 中止時在頁與頁之間停止
   } = options;
 
   const arrayBuffer = await file.arrayBuffer();
@@ -208,6 +195,7 @@ export const hybridParsePDF = async (
 
   // 第一輪：提取 PDF 文字層
   for (let i = 1; i <= numPages; i++) {
+    throwIfAborted(signal);
     if (onProgress) {
       onProgress({
         stage: 'extract',
@@ -230,7 +218,7 @@ export const hybridParsePDF = async (
   }
 
   // 第二輪：對需要 OCR 的頁面進行 OCR
-  if (ocrNeededPages.length > 0 && groqApiKey) {
+  if (ocrNeededPages.length > 0 && enableOCR) {
     const pagesToOCR = ocrNeededPages.slice(0, maxOCRPages);
 
     if (onProgress) {
@@ -242,7 +230,6 @@ export const hybridParsePDF = async (
     }
 
     const ocrResults = await ocrPDFPages(
-      groqApiKey,
       pdfDoc,
       pagesToOCR,
       (p) => {
@@ -252,7 +239,8 @@ export const hybridParsePDF = async (
             ...p
           });
         }
-      }
+      },
+      signal
     );
 
     // 合併 OCR 結果
@@ -0,0 +1,72 @@
+/**
+ * OpenAI 相容 Embedding Client
+ * 適用於提供 /v1/embeddings 的自架服務（Ollama、LM Studio、text-embeddings-inference 等）
+ * 資料不離開內網時使用
+ */
+
+import { fetchWithRetry } from './http';
+
+// 單次請求逾時（本機模型第一次載入可能較久）
+const EMBEDDING_TIMEOUT_MS = 60000;
+
+// 去除結尾斜線，使用者填入 http://localhost:11434/v1 或 http://localhost:11434/v1/ 皆可
+const normalizeBaseUrl = (baseUrl) => baseUrl.trim().replace(/\/+$/, '');
+
+const requestEmbeddings = async ({ baseUrl, apiKey, model }, input, signal = null) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+  const data = await fetchWithRetry(`${normalizeBaseUrl(baseUrl)}/embeddings`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ model, input }),
+  }, {
+    signal,
+    timeoutMs: EMBEDDING_TIMEOUT_MS,
+    label: 'Embedding API',
+    read: (response) => response.json()
+  });
+  // 依 index 排序，部分伺服器不保證回傳順序
+  return [...data.data]
+    .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+    .map(item => item.embedding);
+};
+
+// 驗證端點並回傳向量維度
+export const verifyOpenAIEmbedding = async ({ baseUrl, apiKey, model }) => {
+  if (!baseUrl?.trim()) throw new Error('請輸入 Base URL');
+  if (!model?.trim()) throw new Error('請輸入模型名稱');
+
+  try {
+    const [embedding] = await requestEmbeddings({ baseUrl, apiKey, model }, 'test');
+    if (!embedding?.length) throw new Error('回傳的向量為空');
+    return embedding.length;
+  } catch (error) {
+    throw new Error('Embedding 端點驗證失敗: ' + error.message);
+  }
+};
+
+// config 為 { baseUrl, apiKey, model }，由 embeddings.js 依連線傳入（登入的模型與重新向量化的目標可同時使用）
+export const getOpenAIEmbedding = async (config, text, signal = null) => {
+  const [embedding] = await requestEmbeddings(config, text, signal);
+  return embedding;
+};
+
+// 自架服務沒有免費方案的速率限制，一次送出多筆
+export const getOpenAIEmbeddingsBatch = async (config, texts, onProgress = null, { batchSize = 32, signal = null } = {}) => {
+  const results = [];
+
+  for (let i = 0; i < texts.length; i += batchSize) {
+    const batch = texts.slice(i, i + batchSize);
+    if (onProgress) {
+      onProgress({
+        current: Math.min(i + batch.length, texts.length),
+        total: texts.length,
+        message: `向量化中... (${Math.min(i + batch.length, texts.length)}/${texts.length})`
+      });
+    }
+    results.push(...await requestEmbeddings(config, batch, signal));
+  }
+
+  return results;
+};
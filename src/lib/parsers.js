@@ -0,0 +1,312 @@
+/**
+ * 文件解析器註冊表 - 依副檔名 / MIME 類型選擇解析器
+ * 每個解析器都回傳與 parsePDFSmart 相同的 { chunks, stats, fullText }，可另外附上文件資訊 metadata
+ */
+
+import JSZip from 'jszip';
+import { parsePDFSmart, getDocumentStats } from './pdf';
+import { chunkPages } from './chunker';
+import { throwIfAborted } from './http';
+import { estimateEmbeddingSeconds } from './embeddings';
+
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// 區塊型 HTML 元素：轉為純文字時視為段落邊界
+const BLOCK_SELECTOR = 'p, div, li, h1, h2, h3, h4, h5, h6, tr, br, blockquote, pre, section, article, dt, dd';
+
+// ==================== 共用工具 ====================
+
+// 非分頁格式：每個段落作為一「頁」，保留段落邊界但不記錄頁碼
+const toParagraphPages = (paragraphs) => {
+  return paragraphs
+    .map(text => text.trim())
+    .filter(Boolean)
+    .map(text => ({ pageNum: null, text, source: 'text' }));
+};
+
+const buildResult = (pages, format, extraStats = {}) => {
+  const { chunks, fullText } = chunkPages(pages);
+  return {
+    chunks,
+    fullText,
+    stats: {
+      format,
+      totalPages: null,
+      isImageBased: false,
+      ocrUsed: false,
+      ocrPages: 0,
+      ...extraStats
+    }
+  };
+};
+
+// HTML 轉段落（移除 script / style）
+const htmlToParagraphs = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('script, style, noscript').forEach(el => el.remove());
+  doc.querySelectorAll(BLOCK_SELECTOR).forEach(el => el.append('\n'));
+  return (doc.body?.textContent || '').split('\n');
+};
+
+// CSV 解析（支援雙引號包住的欄位與跳脫的 ""）；評估題組也使用
+export const parseCSVRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim()));
+};
+
+// ==================== 各格式解析器 ====================
+
+const parsePlainText = async (file) => {
+  const text = await file.text();
+  return buildResult(toParagraphPages(text.split(/\n\s*\n/)), 'text');
+};
+
+// Markdown：去除語法符號，以空行與標題切分段落
+const parseMarkdown = async (file) => {
+  const text = await file.text();
+  const plain = text
+    .replace(/```[^\n]*\n/g, '\n')                 // 程式碼區塊標記
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')       // 圖片
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')        // 連結
+    .replace(/^\s{0,3}#{1,6}\s+(.*)$/gm, '\n$1\n')  // 標題獨立成段
+    .replace(/^\s*>\s?/gm, '')                      // 引用
+    .replace(/^\s*[-*+]\s+/gm, '')                  // 無序清單
+    .replace(/(\*\*|__|\*|~~|`)/g, '')              // 強調與行內程式碼（保留單一底線，避免破壞料號）
+    .replace(/^\s*\|?[\s:-]+\|[\s|:-]*$/gm, '');    // 表格分隔列
+
+  return buildResult(toParagraphPages(plain.split(/\n\s*\n/)), 'markdown');
+};
+
+const parseHTML = async (file) => {
+  const html = await file.text();
+  return buildResult(toParagraphPages(htmlToParagraphs(html)), 'html');
+};
+
+// CSV：每一列轉為「欄位: 值」的句子，讓語義搜尋能理解欄位意義
+const parseCSV = async (file) => {
+  const rows = parseCSVRows(await file.text());
+  if (rows.length === 0) return buildResult([], 'csv');
+
+  const [header, ...records] = rows;
+  const lines = records.map(record =>
+    header
+      .map((name, i) => `${name.trim() || `欄位${i + 1}`}: ${(record[i] || '').trim()}`)
+      .join('; ')
+  );
+
+  return buildResult(toParagraphPages(lines), 'csv', { rows: records.length });
+};
+
+// DOCX：讀取 word/document.xml 的段落
+const parseDocx = async (file) => {
+  const zip = await JSZip.loadAsync(await file.arrayBuffer());
+  const documentXml = await zip.file('word/document.xml')?.async('string');
+  if (!documentXml) throw new Error('無效的 DOCX 檔案（找不到 word/document.xml）');
+
+  const xml = new DOMParser().parseFromString(documentXml, 'application/xml');
+  const paragraphs = [];
+
+  for (const p of xml.getElementsByTagNameNS(WORD_NS, 'p')) {
+    let text = '';
+    for (const node of p.getElementsByTagNameNS(WORD_NS, '*')) {
+      if (node.localName === 't') text += node.textContent;
+      else if (node.localName === 'tab') text += '\t';
+      else if (node.localName === 'br') text += ' ';
+    }
+    paragraphs.push(text);
+  }
+
+  return buildResult(toParagraphPages(paragraphs), 'docx');
+};
+
+// EPUB：依 OPF spine 順序讀取各章節 XHTML
+const parseEpub = async (file, options, onProgress) => {
+  const zip = await JSZip.loadAsync(await file.arrayBuffer());
+
+  const containerXml = await zip.file('META-INF/container.xml')?.async('string');
+  if (!containerXml) throw new Error('無效的 EPUB 檔案（找不到 container.xml）');
+
+  const container = new DOMParser().parseFromString(containerXml, 'application/xml');
+  const opfPath = container.querySelector('rootfile')?.getAttribute('full-path');
+  const opfXml = opfPath && await zip.file(opfPath)?.async('string');
+  if (!opfXml) throw new Error('無效的 EPUB 檔案（找不到 OPF）');
+
+  const opf = new DOMParser().parseFromString(opfXml, 'application/xml');
+  const baseDir = opfPath.includes('/') ? opfPath.slice(0, opfPath.lastIndexOf('/') + 1) : '';
+
+  const manifest = {};
+  opf.querySelectorAll('manifest > item').forEach(item => {
+    manifest[item.getAttribute('id')] = item.getAttribute('href');
+  });
+
+  const spine = [...opf.querySelectorAll('spine > itemref')]
+    .map(ref => manifest[ref.getAttribute('idref')])
+    .filter(Boolean);
+
+  const paragraphs = [];
+  for (let i = 0; i < spine.length; i++) {
+    throwIfAborted(options.signal);
+    if (onProgress) {
+      onProgress({
+        stage: 'parsing',
+        current: i + 1,
+        total: spine.length,
+        message: `解析章節... (${i + 1}/${spine.length})`
+      });
+    }
+    const path = decodeURIComponent(baseDir + spine[i]);
+    const html = await zip.file(path)?.async('string');
+    if (html) paragraphs.push(...htmlToParagraphs(html));
+  }
+
+  return buildResult(toParagraphPages(paragraphs), 'epub', { chapters: spine.length });
+};
+
+const parsePDF = async (file, options, onProgress) => {
+  const result = await parsePDFSmart(file, !!options.enableOCR, onProgress, options.signal);
+  return { ...result, stats: { format: 'pdf', ...result.stats } };
+};
+
+// ==================== 註冊表 ====================
+
+const parsers = [
+  {
+    id: 'pdf',
+    label: 'PDF',
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf'],
+    parse: parsePDF
+  },
+  {
+    id: 'docx',
+    label: 'Word',
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    parse: parseDocx
+  },
+  {
+    id: 'markdown',
+    label: 'Markdown',
+    extensions: ['.md', '.markdown'],
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    parse: parseMarkdown
+  },
+  {
+    id: 'html',
+    label: 'HTML',
+    extensions: ['.html', '.htm'],
+    mimeTypes: ['text/html'],
+    parse: parseHTML
+  },
+  {
+    id: 'text',
+    label: '純文字',
+    extensions: ['.txt'],
+    mimeTypes: ['text/plain'],
+    parse: parsePlainText
+  },
+  {
+    id: 'csv',
+    label: 'CSV',
+    extensions: ['.csv'],
+    mimeTypes: ['text/csv'],
+    parse: parseCSV
+  },
+  {
+    id: 'epub',
+    label: 'EPUB',
+    extensions: ['.epub'],
+    mimeTypes: ['application/epub+zip'],
+    parse: parseEpub
+  }
+];
+
+// 註冊新的解析器（同 id 會覆蓋）
+export const registerParser = (parser) => {
+  const index = parsers.findIndex(p => p.id === parser.id);
+  if (index !== -1) {
+    parsers[index] = parser;
+  } else {
+    parsers.push(parser);
+  }
+};
+
+// 副檔名優先，其次 MIME 類型（部分瀏覽器對 .md / .csv 不提供 MIME）
+export const getParserForFile = (file) => {
+  const name = file.name.toLowerCase();
+  return parsers.find(p => p.extensions.some(ext => name.endsWith(ext)))
+    || parsers.find(p => file.type && p.mimeTypes.includes(file.type))
+    || null;
+};
+
+// <input accept> 用的字串
+export const getAcceptedFileTypes = () => {
+  return parsers.flatMap(p => p.extensions).join(',');
+};
+
+export const getSupportedFormatLabels = () => parsers.map(p => p.label);
+
+// options：{ enableOCR?, signal? }，signal 中止時拋出 AbortError（PDF 與 EPUB 在頁 / 章節之間檢查）
+export const parseDocument = async (file, options = {}, onProgress = null) => {
+  const parser = getParserForFile(file);
+  if (!parser) throw new Error(`不支援的檔案格式：${file.name}`);
+  return parser.parse(file, options, onProgress);
+};
+
+// 上傳前的預估統計；非 PDF 格式解析成本低，直接解析取得實際區塊數
+export const getFileStats = async (file) => {
+  const parser = getParserForFile(file);
+  if (!parser) throw new Error(`不支援的檔案格式：${file.name}`);
+
+  if (parser.id === 'pdf') {
+    return { format: 'pdf', formatLabel: parser.label, ...await getDocumentStats(file) };
+  }
+
+  const result = await parser.parse(file, {}, null);
+  return {
+    format: parser.id,
+    formatLabel: parser.label,
+    pages: null,
+    estimatedChars: result.fullText.length,
+    estimatedChunks: result.chunks.length,
+    estimatedTime: estimateEmbeddingSeconds(result.chunks.length), // 向量化時間
+    isImageBased: false,
+    needsOCR: false
+  };
+};
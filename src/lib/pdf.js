@@ -1,5 +1,8 @@
 import * as pdfjsLib from 'pdfjs-dist';
 import { hybridParsePDF, detectImageBasedPDF } from './ocr';
+import { chunkPages } from './chunker';
+import { throwIfAborted } from './http';
+import { estimateEmbeddingSeconds } from './embeddings';
 
 // 設定 PDF.js 的 Worker 來源
 pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.mjs`;
@@ -8,7 +11,7 @@ pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs
 export const parsePDF = async (file, onProgress = null) => {
   const arrayBuffer = await file.arrayBuffer();
   const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-  let fullText = '';
+  const pages = [];
 
   for (let i = 1; i <= pdf.numPages; i++) {
     if (onProgress) {
@@ -17,14 +20,33 @@ export const parsePDF = async (file, onProgress = null) => {
     const page = await pdf.getPage(i);
     const content = await page.getTextContent();
     const strings = content.items.map(item => item.str);
-    fullText += strings.join(' ') + '\n';
+    pages.push({ pageNum: i, text: strings.join(' '), source: 'text' });
   }
 
-  return chunkTextSemantic(fullText);
+  return chunkPages(pages).chunks;
 };
 
-// 智能解析（自動偵測並啟用 OCR）
-export const parsePDFSmart = async (file, groqApiKey = null, onProgress = null) => {
+// PDF 文件資訊（Info Dictionary）：作者、主旨 / 標題作為來源、建立日期
+const readPDFMetadata = async (pdfDoc) => {
+  try {
+    const { info } = await pdfDoc.getMetadata();
+    const created = pdfjsLib.PDFDateString.toDateObject(info?.CreationDate || info?.ModDate);
+    const pad = (n) => String(n).padStart(2, '0');
+    return {
+      author: (info?.Author || '').trim(),
+      source: (info?.Subject || info?.Title || '').trim(),
+      date: created
+        ? `${created.getFullYear()}-${pad(created.getMonth() + 1)}-${pad(created.getDate())}`
+        : ''
+    };
+  } catch (err) {
+    console.warn('PDF metadata unavailable:', err);
+    return {};
+  }
+};
+
+// 智能解析（自動偵測並啟用 OCR），signal 中止時在頁與頁之間停止
+export const parsePDFSmart = async (file, enableOCR = false, onProgress = null, signal = null) => {
   const arrayBuffer = await file.arrayBuffer();
   const pdfDoc = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
 
@@ -35,7 +57,8 @@ export const parsePDFSmart = async (file, groqApiKey = null, onProgress = null)
 
   const detection = await detectImageBasedPDF(pdfDoc);
 
-  let fullText = '';
+  // 每頁文字與來源（text: PDF 文字層 / ocr: OCR 識別）
+  let pages = [];
   let stats = {
     totalPages: pdfDoc.numPages,
     isImageBased: detection.isImageBased,
@@ -43,7 +66,7 @@ export const parsePDFSmart = async (file, groqApiKey = null, onProgress = null)
     ocrPages: 0
   };
 
-  if (detection.isImageBased && groqApiKey) {
+  if (detection.isImageBased && enableOCR) {
     // 圖片型 PDF：使用混合解析（OCR）
     if (onProgress) {
       onProgress({
@@ -53,12 +76,17 @@ export const parsePDFSmart = async (file, groqApiKey = null, onProgress = null)
       });
     }
 
-    const result = await hybridParsePDF(file, groqApiKey, {
-      ocrThreshold: 100
+    const result = await hybridParsePDF(file, enableOCR, {
+      ocrThreshold: 100,
       // 不限制 OCR 頁數（逐頁處理不受 API 大小限制）
+      signal
     }, onProgress);
 
-    fullText = result.fullText;
+    pages = result.pageTexts.map(p => ({
+      pageNum: p.pageNum,
+      text: p.text,
+      source: p.ocrApplied ? 'ocr' : 'text'
+    }));
     stats.ocrUsed = true;
     stats.ocrPages = result.stats.ocrPages;
     stats.textLayerPages = result.stats.textLayerPages;
@@ -73,6 +101,7 @@ export const parsePDFSmart = async (file, groqApiKey = null, onProgress = null)
     }
 
     for (let i = 1; i <= pdfDoc.numPages; i++) {
+      throwIfAborted(signal);
       if (onProgress) {
         onProgress({
           stage: 'parsing',
@@ -83,105 +112,24 @@ export const parsePDFSmart = async (file, groqApiKey = null, onProgress = null)
       }
       const page = await pdfDoc.getPage(i);
       const content = await page.getTextContent();
-      fullText += content.items.map(item => item.str).join(' ') + '\n';
+      pages.push({
+        pageNum: i,
+        text: content.items.map(item => item.str).join(' '),
+        source: 'text'
+      });
     }
   }
 
-  const chunks = chunkTextSemantic(fullText);
+  const { chunks, fullText } = chunkPages(pages);
 
   return {
     chunks,
     stats,
-    fullText
+    fullText,
+    metadata: await readPDFMetadata(pdfDoc)
   };
 };
 
-// 語義分塊：按句子邊界切割，保持語義完整性
-function chunkTextSemantic(text, maxSize = 800, overlapSentences = 2) {
-  // 清理文本
-  const cleanedText = text
-    .replace(/\s+/g, ' ')
-    .replace(/\n+/g, '\n')
-    .trim();
-
-  if (!cleanedText) return [];
-
-  // 按句子分割（支援中英文標點）
-  const sentencePattern = /[^。！？.!?\n]+[。！？.!?\n]?/g;
-  const sentences = cleanedText.match(sentencePattern) || [cleanedText];
-
-  const chunks = [];
-  let currentChunk = [];
-  let currentLength = 0;
-
-  for (let i = 0; i < sentences.length; i++) {
-    const sentence = sentences[i].trim();
-    if (!sentence) continue;
-
-    const sentenceLength = sentence.length;
-
-    // 如果單句超過 maxSize，強制分割
-    if (sentenceLength > maxSize) {
-      if (currentChunk.length > 0) {
-        chunks.push(currentChunk.join(' '));
-        currentChunk = [];
-        currentLength = 0;
-      }
-      const subChunks = chunkLongSentence(sentence, maxSize);
-      chunks.push(...subChunks);
-      continue;
-    }
-
-    // 如果加入這句會超過限制
-    if (currentLength + sentenceLength > maxSize && currentChunk.length > 0) {
-      chunks.push(currentChunk.join(' '));
-
-      // 重疊：保留最後幾個句子
-      const overlapStart = Math.max(0, currentChunk.length - overlapSentences);
-      currentChunk = currentChunk.slice(overlapStart);
-      currentLength = currentChunk.reduce((sum, s) => sum + s.length, 0);
-    }
-
-    currentChunk.push(sentence);
-    currentLength += sentenceLength;
-  }
-
-  // 處理最後一個 chunk
-  if (currentChunk.length > 0) {
-    chunks.push(currentChunk.join(' '));
-  }
-
-  // 過濾空白和過短的 chunks
-  return chunks.filter(chunk => chunk.trim().length > 50);
-}
-
-// 對超長句子進行字符級分割
-function chunkLongSentence(sentence, maxSize) {
-  const chunks = [];
-  let start = 0;
-  const overlap = 50;
-
-  while (start < sentence.length) {
-    let end = start + maxSize;
-
-    if (end < sentence.length) {
-      const breakPoints = [',', '，', ';', '；', ':', '：', ' '];
-      for (const bp of breakPoints) {
-        const lastBreak = sentence.lastIndexOf(bp, end);
-        if (lastBreak > start + maxSize / 2) {
-          end = lastBreak + 1;
-          break;
-        }
-      }
-    }
-
-    chunks.push(sentence.substring(start, end).trim());
-    start = end - overlap;
-  }
-
-  return chunks;
-}
-
 // 取得文檔統計資訊（含 OCR 偵測）
 export const getDocumentStats = async (file) => {
   const arrayBuffer = await file.arrayBuffer();
@@ -201,7 +149,7 @@ export const getDocumentStats = async (file) => {
     ? Math.ceil(pdf.numPages * 1.5) // 圖片型估計每頁 1-2 個 chunk
     : Math.ceil(totalChars / 700);
 
-  let estimatedTime = Math.ceil(estimatedChunks * 4.5); // Gemini 向量化時間
+  let estimatedTime = estimateEmbeddingSeconds(estimatedChunks); // 向量化時間
 
   // 如果需要 OCR，加上 OCR 時間（逐頁處理，無頁數限制）
   if (detection.isImageBased) {
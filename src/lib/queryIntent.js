@@ -0,0 +1,232 @@
+/**
+ * 查詢意圖 - 意圖分析輸出的 JSON Schema、驗證，以及將問題中的篩選條件套用到搜尋範圍
+ * 模型從問題中擷取分類、文件名稱、日期範圍與回答語言；只有使用者明確要求時才設定
+ * 此模組不依賴任何 SDK，groq.js 與 UI 皆可使用
+ */
+
+import { EMPTY_DOCUMENT_FILTER, isDocumentFilterActive, matchesDocumentFilter } from './documentFilter';
+
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+
+// 意圖分析的輸出格式（同時放入提示中，description 即給模型的說明）
+export const INTENT_SCHEMA = {
+  type: 'object',
+  required: ['type', 'newQuery'],
+  properties: {
+    type: {
+      enum: ['search', 'chat'],
+      description: "'search' if the query needs document search, 'chat' for general conversation"
+    },
+    newQuery: {
+      type: 'string',
+      minLength: 1,
+      description: "If 'search', the query rewritten to be standalone and specific, without the filter wording; otherwise the original query"
+    },
+    filters: {
+      type: 'object',
+      properties: {
+        categories: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Categories the user explicitly limits the search to, using names from the catalog'
+        },
+        documents: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Documents the user explicitly refers to, using names from the catalog'
+        },
+        dateFrom: {
+          type: ['string', 'null'],
+          pattern: DATE_PATTERN,
+          description: 'Start of the document date range the user asks about (YYYY-MM-DD)'
+        },
+        dateTo: {
+          type: ['string', 'null'],
+          pattern: DATE_PATTERN,
+          description: 'End of the document date range the user asks about (YYYY-MM-DD)'
+        },
+        language: {
+          type: ['string', 'null'],
+          pattern: '^[a-z]{2,3}(-[A-Za-z]{2,4})?$',
+          description: 'BCP 47 code of the language the user wants the answer in, e.g. "en", "ja", "zh-TW"'
+        }
+      }
+    }
+  }
+};
+
+export const EMPTY_INTENT_FILTERS = {
+  categories: [],
+  documents: [],
+  dateFrom: null,
+  dateTo: null,
+  language: null
+};
+
+// 模型輸出不是 JSON 或不符合 INTENT_SCHEMA
+export class IntentValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IntentValidationError';
+  }
+}
+
+// ==================== 驗證 ====================
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+// 支援 INTENT_SCHEMA 用到的關鍵字：type、enum、minLength、pattern、properties、required、items
+const validate = (schema, value, path) => {
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} 必須是 ${schema.enum.map(v => JSON.stringify(v)).join(' / ')}`];
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.includes(typeOf(value))) return [`${path} 必須是 ${types.join(' / ')}`];
+  }
+  if (schema.minLength != null && typeof value === 'string' && value.trim().length < schema.minLength) {
+    errors.push(`${path} 不可為空`);
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path} 格式不符（${value}）`);
+  }
+  if (schema.properties && typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`缺少 ${path}.${key}`);
+    }
+    for (const [key, child] of Object.entries(schema.properties)) {
+      if (value[key] !== undefined) errors.push(...validate(child, value[key], `${path}.${key}`));
+    }
+  }
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+  return errors;
+};
+
+/**
+ * 解析並驗證意圖分析的輸出，缺少的篩選欄位補上預設值
+ * @returns {{ type: 'search' | 'chat', newQuery: string, filters: typeof EMPTY_INTENT_FILTERS }}
+ * @throws {IntentValidationError}
+ */
+export const parseIntent = (text) => {
+  let value;
+  try {
+    // JSON 模式下應為純 JSON；不支援 JSON 模式的服務可能仍包在 code fence 中
+    const json = text.replace(/```json/g, '').replace(/```/g, '').trim();
+    value = JSON.parse(json);
+  } catch {
+    throw new IntentValidationError('輸出不是有效的 JSON');
+  }
+
+  const errors = validate(INTENT_SCHEMA, value, 'intent');
+  if (errors.length > 0) throw new IntentValidationError(errors.join('；'));
+
+  const filters = { ...EMPTY_INTENT_FILTERS, ...value.filters };
+  // 起訖日期顛倒時對調
+  if (filters.dateFrom && filters.dateTo && filters.dateFrom > filters.dateTo) {
+    [filters.dateFrom, filters.dateTo] = [filters.dateTo, filters.dateFrom];
+  }
+  return {
+    type: value.type,
+    newQuery: value.newQuery.trim(),
+    filters: {
+      ...filters,
+      categories: [...new Set(filters.categories.map(c => c.trim()).filter(Boolean))],
+      documents: [...new Set(filters.documents.map(d => d.trim()).filter(Boolean))]
+    }
+  };
+};
+
+// ==================== 套用篩選 ====================
+
+// 文件名稱比對：忽略大小寫與副檔名，問題中提到的名稱包含在文件名稱中即符合（例如「2024 年報」符合「2024 年報 v2.pdf」）
+// 只比對單一方向：文件名稱較短（如「報告」）時，不會因為包含在提到的名稱中而被選入
+const normalizeName = (name) => name.toLowerCase().replace(/\.[a-z0-9]{1,5}$/, '').trim();
+
+const matchesName = (docName, name) => {
+  const a = normalizeName(docName);
+  const b = normalizeName(name);
+  return !!a && !!b && a.includes(b);
+};
+
+/**
+ * 提示中的知識庫目錄：分類與文件名稱，讓模型使用實際存在的名稱
+ * @param {Array} documents
+ * @returns {{ categories: string[], documents: string[] }}
+ */
+export const buildIntentCatalog = (documents) => ({
+  categories: [...new Set(documents.map(d => d.category || '未分類'))].sort((a, b) => a.localeCompare(b)),
+  documents: documents.map(d => d.name)
+});
+
+/**
+ * 將意圖中的篩選條件套用到目前的搜尋範圍（側欄勾選與文件篩選）；回答語言不影響搜尋，由呼叫端另外處理
+ * 依文件、分類、日期的順序逐一縮小範圍；某個條件在目前範圍內沒有符合的文件時略過該條件，
+ * 避免模型誤判的條件讓搜尋落空
+ * @param {typeof EMPTY_INTENT_FILTERS} filters
+ * @param {Array} documents - 知識庫中的所有文件
+ * @param {{ scopeDocIds?: number[] | null, documentFilter? }} scope
+ * @returns {{ scopeDocIds: number[] | null, documentFilter, applied: object | null }}
+ *   applied 為實際套用的條件（顯示在來源面板），沒有套用任何條件時為 null
+ */
+export const applyIntentFilters = (filters, documents, { scopeDocIds = null, documentFilter = null } = {}) => {
+  const baseFilter = { ...EMPTY_DOCUMENT_FILTER, ...documentFilter };
+  const inScope = (d) => (!scopeDocIds || scopeDocIds.includes(d.id)) &&
+    (!isDocumentFilterActive(baseFilter) || matchesDocumentFilter(d, baseFilter));
+  let candidates = documents.filter(inScope);
+  let narrowed = false;
+  const applied = {};
+
+  if (filters.documents.length > 0) {
+    const matched = candidates.filter(d => filters.documents.some(name => matchesName(d.name, name)));
+    if (matched.length > 0) {
+      candidates = matched;
+      narrowed = true;
+      applied.documents = matched.map(d => d.name);
+    }
+  }
+
+  if (filters.categories.length > 0) {
+    const matched = candidates.filter(d => filters.categories.includes(d.category || '未分類'));
+    if (matched.length > 0) {
+      candidates = matched;
+      narrowed = true;
+      applied.categories = [...new Set(matched.map(d => d.category || '未分類'))];
+    }
+  }
+
+  let nextFilter = documentFilter;
+  if (filters.dateFrom || filters.dateTo) {
+    // 與使用者設定的日期範圍取交集
+    const dateFrom = [baseFilter.dateFrom, filters.dateFrom].filter(Boolean).sort().pop() || '';
+    const dateTo = [baseFilter.dateTo, filters.dateTo].filter(Boolean).sort().shift() || '';
+    const candidateFilter = { ...baseFilter, dateFrom, dateTo };
+    if (candidates.some(d => matchesDocumentFilter(d, candidateFilter))) {
+      nextFilter = candidateFilter;
+      applied.dateFrom = filters.dateFrom;
+      applied.dateTo = filters.dateTo;
+    }
+  }
+
+  return {
+    scopeDocIds: narrowed ? candidates.map(d => d.id) : scopeDocIds,
+    documentFilter: nextFilter,
+    applied: Object.keys(applied).length > 0 ? applied : null
+  };
+};
+
+// 語言代碼轉為中文名稱，例如 en → 英文；瀏覽器不支援時回傳代碼
+export const getLanguageLabel = (code) => {
+  try {
+    return new Intl.DisplayNames(['zh-TW'], { type: 'language' }).of(code) || code;
+  } catch {
+    return code;
+  }
+};
@@ -0,0 +1,240 @@
+/**
+ * 背景重新向量化 - 以新的模型或維度重建文件向量
+ * 新向量逐批暫存於 IndexedDB，重新整理頁面後可從中斷處繼續；
+ * 全部完成後才在單一交易中替換，替換前搜尋仍使用舊向量與舊的查詢模型
+ * 目標模型以自己的連線向量化（見 embeddings.js 的 connectEmbeddingTarget），不需以目標模型登入
+ */
+
+import {
+  getEmbeddingsBatch,
+  getEmbeddingBatchSize,
+  getEmbeddingInfo,
+  estimateEmbeddingSeconds,
+  isEmbeddingSpaceConnected,
+  setQueryEmbeddingSpace
+} from './embeddings';
+import { isSameEmbeddingSpace, getDocumentEmbeddingSpace, formatEmbeddingSpace } from './embeddingSpace';
+import {
+  getSetting,
+  saveSetting,
+  getAllDocuments,
+  getDocumentChunkIds,
+  getChunk,
+  getReindexedChunkIds,
+  saveReindexVectors,
+  clearReindexVectors,
+  commitReindex
+} from './db';
+
+const JOB_KEY = 'reindexJob';
+
+let runner = null;
+let controller = null;
+const listeners = new Set();
+
+// 事件：{ type: 'changed' } | { type: 'completed', job, result, switched } | { type: 'failed', job, error }
+const notify = (event = { type: 'changed' }) => {
+  listeners.forEach(listener => listener(event));
+};
+
+export const subscribeReindex = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const formatTime = (seconds) => {
+  if (seconds < 60) return `${seconds} 秒`;
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins} 分 ${secs} 秒`;
+};
+
+/**
+ * 目前的工作（同時間只有一個）；target 另記錄 OpenAI 相容服務的 baseUrl（不含 API Key）
+ * @returns {Promise<{ docIds, target, status: 'running' | 'paused' | 'error', total, done, message, error } | null>}
+ */
+export const getReindexJob = () => getSetting(JOB_KEY);
+
+export const isReindexRunning = () => !!runner;
+
+// 工作執行期間只有 runner 會寫入，暫停與取消透過 AbortController 通知
+const setJob = async (patch) => {
+  const job = await getSetting(JOB_KEY);
+  if (!job) return null;
+
+  const next = { ...job, ...patch, updatedAt: new Date() };
+  await saveSetting(JOB_KEY, next);
+  notify();
+  return next;
+};
+
+// 查詢空間內已沒有任何文件時才切換（模型與維度），避免尚未轉換的文件無法被搜尋
+// 切換後記住新的設定，下次登入預設使用目標模型
+const switchActiveSpace = async (target) => {
+  const active = getEmbeddingInfo();
+  if (isSameEmbeddingSpace(active, target)) return false;
+
+  const documents = await getAllDocuments();
+  if (documents.some(d => isSameEmbeddingSpace(getDocumentEmbeddingSpace(d), active))) return false;
+
+  setQueryEmbeddingSpace(target);
+  const saved = await getSetting('embeddingProvider', {});
+  const sameModel = saved.provider === target.provider && (target.provider === 'gemini' || saved.model === target.model);
+  await saveSetting('embeddingProvider', sameModel
+    ? { ...saved, dimension: target.dimension }
+    : {
+      provider: target.provider,
+      baseUrl: target.baseUrl || '',
+      model: target.provider === 'gemini' ? '' : target.model,
+      dimension: target.dimension
+    });
+  return true;
+};
+
+const processJob = async (signal) => {
+  let job = await setJob({ status: 'running', error: null, message: '準備中...' });
+  const { target } = job;
+
+  // 目標模型需已連線：與查詢相同的模型，或在重新向量化視窗連線（API Key 不保存，重新整理後需重新連線）
+  if (!isEmbeddingSpaceConnected(target)) {
+    throw new Error(`請在重新向量化視窗重新連線 ${formatEmbeddingSpace(target)} 後繼續`);
+  }
+
+  // 處理期間被刪除的文件不再處理
+  const documents = (await getAllDocuments()).filter(d => job.docIds.includes(d.id));
+  const docIds = documents.map(d => d.id);
+  const staged = new Set(await getReindexedChunkIds());
+
+  const pendingByDoc = [];
+  let total = 0;
+  for (const doc of documents) {
+    const chunkIds = await getDocumentChunkIds([doc.id]);
+    total += chunkIds.length;
+    pendingByDoc.push({ doc, chunkIds: chunkIds.filter(id => !staged.has(id)) });
+  }
+
+  let done = total - pendingByDoc.reduce((sum, p) => sum + p.chunkIds.length, 0);
+  job = await setJob({ docIds, total, done });
+
+  // 與匯入相同：以文件名稱作為標題批次向量化，每個批次寫入一次檢查點
+  const batchSize = getEmbeddingBatchSize(target);
+  for (const { doc, chunkIds } of pendingByDoc) {
+    for (let start = 0; start < chunkIds.length; start += batchSize) {
+      if (signal.aborted) return;
+
+      const remaining = estimateEmbeddingSeconds(total - done, target);
+      const chunks = (await Promise.all(chunkIds.slice(start, start + batchSize).map(id => getChunk(id)))).filter(Boolean);
+      await setJob({
+        message: `向量化中... (${done + chunks.length}/${total}) - 預計剩餘 ${formatTime(remaining)}`
+      });
+      if (chunks.length === 0) continue;
+
+      const vectors = await getEmbeddingsBatch(chunks.map(c => c.content), null, {
+        title: doc.name,
+        space: target,
+        signal
+      });
+      // 已取消的工作不再寫入；暫停時保留這次的結果
+      if (signal.aborted && signal.reason === 'cancel') return;
+
+      await saveReindexVectors(chunks.map((chunk, k) => ({ chunkId: chunk.id, embedding: vectors[k] })));
+      done += chunks.length;
+      await setJob({ done });
+    }
+  }
+
+  if (signal.aborted) return;
+
+  // 一次替換所有文件的向量
+  await setJob({ message: '替換向量中...' });
+  const result = await commitReindex(docIds, target);
+  const switched = await switchActiveSpace(target);
+
+  await saveSetting(JOB_KEY, null);
+  notify({ type: 'completed', job, result, switched });
+};
+
+const run = () => {
+  if (runner) return runner;
+
+  controller = new AbortController();
+  const { signal } = controller;
+
+  runner = (async () => {
+    try {
+      await processJob(signal);
+      if (signal.reason === 'pause') {
+        await setJob({ status: 'paused', message: '已暫停' });
+      }
+    } catch (err) {
+      if (signal.reason === 'cancel') return;
+      // 暫停中止了進行中的請求，已完成的批次保留在檢查點
+      if (signal.reason === 'pause') {
+        await setJob({ status: 'paused', message: '已暫停' });
+        return;
+      }
+      console.error('Reindex failed:', err);
+      const job = await setJob({ status: 'error', error: err.message, message: `錯誤: ${err.message}` });
+      if (job) notify({ type: 'failed', job, error: err });
+    }
+  })().finally(() => {
+    runner = null;
+    controller = null;
+    notify();
+  });
+
+  return runner;
+};
+
+/**
+ * 開始重新向量化
+ * @param {{ docIds: number[], target: { provider, model, dimension, baseUrl? } }} options - 目標模型需已連線
+ */
+export const startReindex = async ({ docIds, target }) => {
+  if (await getReindexJob()) throw new Error('已有重新向量化工作，請先完成或取消');
+  if (docIds.length === 0) throw new Error('請選擇要重新向量化的文件');
+
+  await clearReindexVectors();
+  const now = new Date();
+  await saveSetting(JOB_KEY, {
+    docIds,
+    target,
+    status: 'running',
+    total: 0,
+    done: 0,
+    message: '準備中...',
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  notify();
+  run();
+};
+
+// 登入後呼叫：上次因重新整理而中斷的工作從暫存的進度繼續
+export const restoreReindex = async () => {
+  const job = await getReindexJob();
+  notify();
+  if (job?.status === 'running') run();
+};
+
+export const pauseReindex = () => {
+  controller?.abort('pause');
+};
+
+export const resumeReindex = async () => {
+  const job = await getReindexJob();
+  if (!job || !['paused', 'error'].includes(job.status)) return;
+  run();
+};
+
+export const cancelReindex = async () => {
+  if (runner) {
+    controller.abort('cancel');
+    await runner;
+  }
+  await saveSetting(JOB_KEY, null);
+  await clearReindexVectors();
+  notify();
+};
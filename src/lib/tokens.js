@@ -0,0 +1,137 @@
+/**
+ * Token 估算與提示組裝 - 讓系統提示、對話歷史、參考資訊與問題放得進模型的上下文預算
+ * 估算不需載入 tokenizer：中日韓文字約 1 字 1 token，其他文字約 3-4 字元 1 token，皆取偏高的估計
+ */
+
+// 中日韓文字與全形標點
+const CJK_PATTERN = /[\u2E80-\u9FFF\uA960-\uA97F\uAC00-\uD7AF\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFFEF]/;
+
+const CJK_TOKENS = 1.2;
+const OTHER_TOKENS = 0.3;
+
+// 圖片的 token 估計值（實際依解析度而定）
+const IMAGE_TOKENS = 1000;
+
+const charTokens = (ch) => (CJK_PATTERN.test(ch) ? CJK_TOKENS : OTHER_TOKENS);
+
+// ==================== 估算 ====================
+
+export const estimateTokens = (text) => {
+  let total = 0;
+  for (const ch of text || '') total += charTokens(ch);
+  return Math.ceil(total);
+};
+
+// OpenAI 格式訊息（content 可為字串或 text / image_url 陣列），每則訊息另計角色標記
+export const estimateMessageTokens = (messages) => {
+  return messages.reduce((sum, m) => {
+    if (typeof m.content === 'string') return sum + 4 + estimateTokens(m.content);
+    return sum + 4 + m.content.reduce((s, part) => (
+      s + (part.type === 'image_url' ? IMAGE_TOKENS : estimateTokens(part.text))
+    ), 0);
+  }, 0);
+};
+
+// 截斷到指定 token 數以內，被截斷時加上省略號
+export const truncateToTokens = (text, maxTokens) => {
+  const value = text || '';
+  if (maxTokens <= 0) return '';
+
+  let total = 0;
+  let end = 0;
+  for (const ch of value) {
+    total += charTokens(ch);
+    if (total > maxTokens - 1) break;
+    end += ch.length;
+  }
+  return end >= value.length ? value : `${value.slice(0, end)}…`;
+};
+
+// ==================== 組裝 ====================
+
+/**
+ * 依模型上下文大小分配輸入與輸出的 token 數
+ * 輸出最多占一半，其餘留給提示
+ * @returns {{ promptBudget: number, maxOutput: number }}
+ */
+export const splitContextBudget = (contextTokens, maxTokens) => {
+  const maxOutput = Math.min(maxTokens, Math.floor(contextTokens / 2));
+  return { promptBudget: contextTokens - maxOutput, maxOutput };
+};
+
+// 檢索分數：混合模式為 RRF，向量模式為餘弦相似度
+const chunkScore = (chunk) => chunk.rrfScore ?? chunk.similarity ?? 0;
+
+/**
+ * 放入參考資訊區塊：超過預算時先移除分數最低的區塊，只剩一塊仍放不下時截斷其內容
+ * @param {Array} chunks - 檢索結果（保持原順序）
+ * @param {number} budget
+ * @param {Function} costOf - (chunk) => 該區塊格式化後的 token 數
+ * @returns {Array} 放入的區塊（原順序）
+ */
+export const fitChunks = (chunks, budget, costOf) => {
+  const costs = new Map(chunks.map(c => [c, costOf(c)]));
+  let total = chunks.reduce((sum, c) => sum + costs.get(c), 0);
+  const dropped = new Set();
+
+  const byScore = [...chunks].sort((a, b) => chunkScore(a) - chunkScore(b));
+  for (const chunk of byScore) {
+    if (total <= budget || dropped.size === chunks.length - 1) break;
+    dropped.add(chunk);
+    total -= costs.get(chunk);
+  }
+
+  const kept = chunks.filter(c => !dropped.has(c));
+  if (kept.length === 1 && total > budget) {
+    const [chunk] = kept;
+    const overhead = costs.get(chunk) - estimateTokens(chunk.content);
+    return [{ ...chunk, content: truncateToTokens(chunk.content, budget - overhead) }];
+  }
+  return kept;
+};
+
+const formatHistoryLine = (msg) => `${msg.role === 'user' ? 'User' : 'AI'}: ${msg.content}`;
+
+/**
+ * 放入對話歷史：由新到舊保留原文，放不下時停止
+ * 較早的訊息不在此截短，由對話記憶的滾動摘要代表（見 memory.js 的 applyConversationMemory）
+ * @param {Array} history - 尚未併入對話記憶的訊息
+ * @param {number} budget
+ * @returns {{ text: string, omitted: number }} omitted 為放不下的較早訊息數
+ */
+export const fitHistory = (history, budget) => {
+  const messages = history.filter(m => typeof m.content === 'string' && m.content.trim());
+  let remaining = budget;
+
+  const lines = [];
+  let index = messages.length - 1;
+  for (; index >= 0; index--) {
+    const line = formatHistoryLine(messages[index]);
+    const cost = estimateTokens(line) + 1;
+    if (cost > remaining) break;
+    lines.unshift(line);
+    remaining -= cost;
+  }
+
+  return { text: lines.join('\n'), omitted: index + 1 };
+};
+
+/**
+ * 將多段文字放入預算：總量超過時，較短的段落保持完整，較長的段落平均截斷
+ * @returns {string[]}
+ */
+export const fitTexts = (texts, budget) => {
+  const costs = texts.map(estimateTokens);
+  if (costs.reduce((sum, c) => sum + c, 0) <= budget) return texts;
+
+  // 由短到長分配：每段最多取得剩餘預算的平均值
+  const order = costs.map((cost, i) => i).sort((a, b) => costs[a] - costs[b]);
+  const limits = new Array(texts.length);
+  let remaining = budget;
+  order.forEach((i, k) => {
+    limits[i] = Math.min(costs[i], Math.floor(remaining / (order.length - k)));
+    remaining -= limits[i];
+  });
+
+  return texts.map((text, i) => (limits[i] < costs[i] ? truncateToTokens(text, limits[i]) : text));
+};